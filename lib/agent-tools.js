@@ -0,0 +1,244 @@
+/**
+ * HAX AI Interface - Agent Tools
+ * Typed tools the model can call in agent mode. Reading tools answer right
+ * away. add_page, insert_component and deploy are staged as plan steps that
+ * run after the user confirms, like any other AI-proposed command.
+ *
+ * A tool has:
+ *   name, description - what the model sees
+ *   parameters        - JSON Schema for the arguments
+ *   run(args, turn)   - do the work and return a JSON-able result; throw to
+ *                       send an error back to the model
+ *
+ * turn holds { processor, sitesDir, staged } for one user message; staged
+ * collects the plan ({ siteName, commands, pageParents, componentInserts,
+ * action }).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseCommand } = require('./command-executor');
+const { validateHtml } = require('./html-validator');
+const { isValidDomain } = require('./deploy-providers');
+
+const MAX_PAGE_CHARS = 8000;
+
+const siteParameter = { type: 'string', description: 'Site name, as returned by list_sites' };
+
+async function readSiteJson(sitesDir, siteName) {
+  if (!/^[A-Za-z0-9_-]+$/.test(siteName || '')) {
+    throw new Error(`Invalid site name: ${siteName}`);
+  }
+  try {
+    return JSON.parse(await fs.readFile(path.join(sitesDir, siteName, 'site.json'), 'utf8'));
+  } catch (error) {
+    throw new Error(`Site "${siteName}" was not found`);
+  }
+}
+
+// Changes from one message become one plan, and a plan runs in one site
+function stageSite(turn, siteName) {
+  if (turn.staged.siteName && turn.staged.siteName !== siteName) {
+    throw new Error(`Changes in one request must all be in the same site (already changing "${turn.staged.siteName}")`);
+  }
+  turn.staged.siteName = siteName;
+}
+
+function stageCommand(turn, command) {
+  const parsed = parseCommand(command, { sitesDir: turn.sitesDir });
+  if (!parsed.valid) {
+    throw new Error(parsed.error);
+  }
+  turn.staged.commands.push(command);
+}
+
+const AGENT_TOOLS = [
+  {
+    name: 'list_sites',
+    description: 'List the HAX sites the user has.',
+    parameters: { type: 'object', properties: {} },
+    async run(args, turn) {
+      const entries = await fs.readdir(turn.sitesDir, { withFileTypes: true }).catch(() => []);
+      const sites = [];
+      for (const entry of entries.filter(item => item.isDirectory())) {
+        try {
+          const siteJson = await readSiteJson(turn.sitesDir, entry.name);
+          sites.push({ name: entry.name, title: siteJson.title || entry.name, pages: (siteJson.items || []).length });
+        } catch (error) {
+          // Not a HAX site
+        }
+      }
+      return { sites };
+    }
+  },
+  {
+    name: 'read_site',
+    description: "Read a site's site.json: its title, theme and list of pages.",
+    parameters: {
+      type: 'object',
+      required: ['site'],
+      properties: { site: siteParameter }
+    },
+    async run({ site }, turn) {
+      const siteJson = await readSiteJson(turn.sitesDir, site);
+      return {
+        name: site,
+        title: siteJson.title,
+        theme: siteJson.metadata && siteJson.metadata.theme ? siteJson.metadata.theme.element : undefined,
+        pages: (siteJson.items || []).map(item => ({
+          id: item.id,
+          title: item.title,
+          slug: item.slug,
+          parent: item.parent || null,
+          location: item.location
+        }))
+      };
+    }
+  },
+  {
+    name: 'read_page',
+    description: 'Read the HTML content of one page in a site.',
+    parameters: {
+      type: 'object',
+      required: ['site', 'page'],
+      properties: {
+        site: siteParameter,
+        page: { type: 'string', description: 'Page title or slug' }
+      }
+    },
+    async run({ site, page }, turn) {
+      const siteJson = await readSiteJson(turn.sitesDir, site);
+      const item = turn.processor.findPage(siteJson.items || [], String(page));
+      if (!item) {
+        throw new Error(`Page "${page}" was not found in "${site}"`);
+      }
+      const html = await fs.readFile(path.join(turn.sitesDir, site, item.location), 'utf8');
+      return {
+        title: item.title,
+        location: item.location,
+        html: html.substring(0, MAX_PAGE_CHARS),
+        truncated: html.length > MAX_PAGE_CHARS
+      };
+    }
+  },
+  {
+    name: 'add_page',
+    description: 'Add a new page to a site, optionally under a parent page. The page is created after the user confirms, so put all of its content here rather than inserting components into it later.',
+    parameters: {
+      type: 'object',
+      required: ['site', 'title'],
+      properties: {
+        site: siteParameter,
+        title: { type: 'string', description: 'Page title: letters, numbers, spaces and dashes (no colons)' },
+        content: { type: 'string', description: 'Page body HTML' },
+        parent: { type: 'string', description: 'Title of an existing page to place this page under' }
+      }
+    },
+    async run({ site, title, content, parent }, turn) {
+      const { processor } = turn;
+      const siteJson = await readSiteJson(turn.sitesDir, site);
+      const pageTitle = processor.sanitizePageTitle(String(title || ''));
+      processor.validateNames(site, pageTitle);
+      if (!pageTitle) {
+        throw new Error('A page title is required');
+      }
+
+      let parentTitle = null;
+      if (parent) {
+        const parentItem = processor.findPage(siteJson.items || [], String(parent));
+        const stagedParent = turn.staged.pages.find(staged => staged.toLowerCase() === String(parent).toLowerCase());
+        if (!parentItem && !stagedParent) {
+          throw new Error(`Parent page "${parent}" was not found in "${site}"`);
+        }
+        parentTitle = parentItem ? parentItem.title : stagedParent;
+      }
+
+      // Blocked content goes back to the model to fix; warnings ride along
+      const validation = validateHtml(content ? String(content) : '');
+      if (validation.blocked) {
+        throw new Error(`Page content failed HTML checks: ${validation.issues.map(issue => issue.message).join('; ')}`);
+      }
+
+      stageSite(turn, site);
+      stageCommand(turn, `hax site node:add --node-op create --title ${processor.quoted(pageTitle)}${content ? ` --content ${processor.quoted(content)}` : ''} --y`);
+      turn.staged.pages.push(pageTitle);
+      if (parentTitle) {
+        turn.staged.pageParents.push({ page: pageTitle, parent: parentTitle });
+      }
+      turn.staged.action = turn.staged.action || 'add-page';
+      return {
+        staged: true,
+        title: pageTitle,
+        parent: parentTitle,
+        note: 'The page is created when the user confirms the plan.',
+        ...(validation.issues.length > 0 ? { warnings: validation.issues.map(issue => issue.message) } : {})
+      };
+    }
+  },
+  {
+    name: 'insert_component',
+    description: 'Append HTML for a web component (quiz, timeline, carousel, ...) to the end of an existing page. The component is added after the user confirms.',
+    parameters: {
+      type: 'object',
+      required: ['site', 'page', 'html'],
+      properties: {
+        site: siteParameter,
+        page: { type: 'string', description: 'Title or slug of an existing page' },
+        html: { type: 'string', description: 'Component markup, e.g. <multiple-choice ...>...</multiple-choice>' },
+        component: { type: 'string', description: 'Component name, for the message shown to the user' }
+      }
+    },
+    async run({ site, page, html, component }, turn) {
+      await readSiteJson(turn.sitesDir, site);
+      if (!String(html || '').trim()) {
+        throw new Error('Component HTML is required');
+      }
+      // Checks the page exists and lints the HTML where it will land
+      const result = await turn.processor.planComponentInsert(site, String(page), String(html), component || 'component', turn.sitesDir);
+      if (!result.success) {
+        throw new Error(result.explanation);
+      }
+      stageSite(turn, site);
+      turn.staged.componentInserts.push(...result.componentInserts);
+      turn.staged.action = turn.staged.action || 'add-component';
+      const warnings = result.validation.issues.map(issue => issue.message);
+      return {
+        staged: true,
+        page: result.componentInserts[0].page,
+        note: 'The component is added when the user confirms the plan.',
+        ...(warnings.length > 0 ? { warnings } : {})
+      };
+    }
+  },
+  {
+    name: 'deploy',
+    description: "Build and publish a site to its deploy target. Runs after the user confirms and after any staged pages are added.",
+    parameters: {
+      type: 'object',
+      required: ['site'],
+      properties: {
+        site: siteParameter,
+        domain: { type: 'string', description: 'Surge domain, e.g. my-course.surge.sh (optional)' }
+      }
+    },
+    async run({ site, domain }, turn) {
+      await readSiteJson(turn.sitesDir, site);
+      if (domain && !isValidDomain(domain)) {
+        throw new Error(`"${domain}" is not a valid domain; use a host name such as my-course.surge.sh`);
+      }
+      stageSite(turn, site);
+      stageCommand(turn, `hax site site:surge${domain ? ` --domain ${domain}` : ''} --y`);
+      turn.staged.action = 'deploy';
+      return { staged: true, note: 'The site is published when the user confirms the plan.' };
+    }
+  }
+];
+
+function getAgentTool(name) {
+  return AGENT_TOOLS.find(tool => tool.name === name) || null;
+}
+
+module.exports = {
+  AGENT_TOOLS,
+  getAgentTool
+};
@@ -7,9 +7,23 @@
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
+const { runProcess, parseCommand } = require('./command-executor');
+const { AI_PROVIDERS, AI_TASKS, getAIProvider, configuredProviders, resolveDefaultProvider, resolveTaskSettings, failoverChain, listProviderModels } = require('./ai-providers');
+const { ProviderHealth, policyFromEnv } = require('./provider-health');
+const { AI_RESPONSE_SCHEMA, validateAIResponse, extractJsonObject } = require('./ai-response-schema');
+const { AGENT_TOOLS, getAgentTool } = require('./agent-tools');
+const { PrawRules } = require('./praw-rules');
+const { validateHtml, isKnownElement, lastHeadingLevel, formatIssues } = require('./html-validator');
+const { ResourceIndex } = require('./resource-index');
+const { extractSections } = require('./resource-extractors');
+const { openManifest, legacyManifestPaths } = require('./resource-manifest');
+const { isHttpUrl } = require('./url-resources');
+
+const DEFAULT_AGENT_STEPS = 8;
+
+// Where a page title typed after "called"/"named" ends: at a description
+// ("about ...", "with ..."), a parent ("under ..."), or the end of the input
+const TITLE_END = String.raw`(?=\s+(?:about|with|containing|that|under|beneath)\b|\s*[.!?]?\s*$)`;
 
 // LangChain imports - using correct paths for v0.2+
 let createReactAgent, AgentExecutor;
@@ -31,15 +45,68 @@ try {
   console.log('LangChain not fully available, using fallback approach');
 }
 
+// Decode a JSON string value that may still be arriving. Returns what has
+// been received so far, stopping before an incomplete escape.
+function partialJsonString(buffer, key) {
+  const match = new RegExp(`"${key}"\\s*:\\s*"`).exec(buffer);
+  if (!match) return '';
+
+  let value = '';
+  for (let i = match.index + match[0].length; i < buffer.length; i++) {
+    const ch = buffer[i];
+    if (ch === '"') break;
+    if (ch !== '\\') {
+      value += ch;
+      continue;
+    }
+    const next = buffer[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = buffer.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      value += { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }[next] ?? next;
+      i += 1;
+    }
+  }
+  return value;
+}
+
+// Turns streamed reply text into explanation text for onExplanation. Replies
+// are JSON, so only the "explanation" value is passed on; a reply that is not
+// JSON is passed on as-is.
+function explanationStreamer(onExplanation) {
+  let buffer = '';
+  let sent = 0;
+  let isJson = null;
+
+  return (text) => {
+    buffer += text;
+    if (isJson === null) {
+      const start = buffer.trimStart();
+      if (!start) return;
+      isJson = start[0] === '{' || start[0] === '`';
+    }
+    const explanation = isJson ? partialJsonString(buffer, 'explanation') : buffer;
+    if (explanation.length > sent) {
+      onExplanation(explanation.slice(sent));
+      sent = explanation.length;
+    }
+  };
+}
+
 class SmartAIProcessor {
   constructor(options = {}) {
     this.hasOpenAI = !!process.env.OPENAI_API_KEY;
     this.hasAnthropic = !!process.env.ANTHROPIC_API_KEY;
-    this.hasAPIKey = this.hasOpenAI || this.hasAnthropic;
-    this.conversationHistory = [];
+    this.hasLocalAI = !!process.env.LOCAL_AI_BASE_URL;
+    this.hasAPIKey = configuredProviders().length > 0;
     this.debugMode = true; // Force debug mode for troubleshooting
     this.initialized = false;
     this.aiProvider = 'none';
+    this.health = new ProviderHealth(policyFromEnv());
     
     // Initialize AI if available
     if (this.hasAPIKey) {
@@ -48,16 +115,23 @@ class SmartAIProcessor {
       this.log('💡 No AI API key found, using pattern matching');
     }
 
-    // Cache for PRAW rules
-    this.prawRules = '';
-    this.loadPrawRules(); // Load rules on init
+    // PRAW rules; prompts wait for rulesReady so the first request has them
+    this.rules = new PrawRules({
+      cacheDir: path.join(options.userDir || process.env.USER_DIR || path.join(process.cwd(), '.hax-ai'), 'praw-rules')
+    });
+    this.rulesReady = this.loadPrawRules();
+
+    // Where course sites live; the faculty helpers below write resources here
+    this.sitesDir = options.sitesDir || process.env.SITES_DIR || path.join(process.cwd(), '.hax-ai', 'sites');
+
+    // Ranked search over each site's faculty-resources
+    this.resourceIndex = new ResourceIndex({ log: (...args) => this.log(...args) });
   }
 
   initializeAI() {
     try {
       this.log('🔄 Using direct AI approach (LangChain disabled for stability)');
       this.initializeDirectAI();
-      this.systemPrompt = 'You are a HAX ecosystem expert. Convert user inputs into valid HAX CLI commands, following provided rules. If input is unclear, ask for clarification. Validate outputs against rules for architecture, design, and accessibility. Respond with JSON: {explanation: string, commands: array of strings, success: boolean, error?: string}';
     } catch (error) {
       this.log('⚠️ AI initialization failed, using pattern matching:', error.message);
       this.log('⚠️ Error stack:', error.stack);
@@ -67,24 +141,28 @@ class SmartAIProcessor {
     }
   }
 
-  // Initialize AI without LangChain agents (fallback approach)
+  // Initialize AI without LangChain agents (fallback approach). Every
+  // provider with a key gets a client; tasks pick one through the registry.
   initializeDirectAI() {
     try {
-      if (this.hasOpenAI) {
-        const { OpenAI } = require('openai');
-        this.ai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-        this.aiProvider = 'openai';
-        this.log('🤖 OpenAI initialized (direct mode)');
-      } else if (this.hasAnthropic) {
-        const { Anthropic } = require('@anthropic-ai/sdk');
-        this.ai = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-        this.aiProvider = 'anthropic';
-        this.log('🤖 Anthropic Claude initialized (direct mode)');
+      this.clients = {};
+      this.discoveredModels = {};
+      for (const provider of Object.values(AI_PROVIDERS)) {
+        if (!process.env[provider.keyEnv]) continue;
+        try {
+          this.clients[provider.id] = provider.createClient(process.env);
+          this.log(`🤖 ${provider.label} initialized (direct mode)`);
+        } catch (error) {
+          this.log(`⚠️ ${provider.label} initialization failed:`, error.message);
+        }
       }
-      this.initialized = true;
+      this.aiProvider = resolveDefaultProvider() || 'none';
+      this.ai = this.clients[this.aiProvider] || null;
+      this.initialized = !!this.ai;
     } catch (error) {
       this.log('⚠️ Direct AI initialization failed:', error.message);
       this.hasAPIKey = false;
+      this.clients = {};
       this.ai = null;
       this.initialized = false;
     }
@@ -96,58 +174,83 @@ class SmartAIProcessor {
       initialized: this.initialized,
       aiProvider: this.aiProvider,
       hasAPIKey: this.hasAPIKey,
-      rulesLoaded: !!this.prawRules,
+      rulesLoaded: this.rules.active.source !== 'default',
+      rules: this.rules.describe(),
+      providers: Object.keys(this.clients || {}).map(providerId => ({
+        id: providerId,
+        ...this.health.describe(providerId)
+      })),
+      tasks: Object.keys(AI_TASKS).map(taskId => {
+        const settings = resolveTaskSettings(taskId);
+        return { ...settings, model: settings.model || (this.discoveredModels && this.discoveredModels[settings.provider]) || null };
+      }),
       error: this.initialized ? null : 'AI initialization failed, using pattern matching'
     };
   }
 
-  // Load and parse PRAW rules from GitHub or local clone
+  // Load PRAW rules from the disk cache (or bundled snapshot) right away,
+  // then check GitHub for updates in the background
   async loadPrawRules() {
     try {
-      // Dynamically import marked (ESM module)
-      const { marked } = await import('marked');
+      const rules = await this.rules.load();
+      this.log(`📘 PRAW rules loaded from ${rules.source}${rules.commit ? ` (${rules.commit.slice(0, 7)})` : ''}, ${this.rules.index.rules.length} rules`);
+    } catch (error) {
+      this.log('Failed to load PRAW rules:', error.message);
+    }
 
-      // Fetch from GitHub for dynamic updates
-      const response = await axios.get('https://api.github.com/repos/haxtheweb/praw/contents/RULES.md', {
-        headers: { Accept: 'application/vnd.github.v3+json' },
-      });
-      const rulesContent = Buffer.from(response.data.content, 'base64').toString('utf8');
-
-      // Parse markdown into structured JSON
-      const tokens = marked.lexer(rulesContent);
-      const parsedRules = tokens
-        .filter(token => token.type === 'list_item')
-        .map(token => ({
-          id: token.text.match(/r[A-Za-z0-9]+/)?.[0] || 'unknown',
-          category: token.text.match(/\((architecture|design-system|webcomponent|build-workflow|documentation|project-specific)\)/)?.[1] || 'general',
-          text: token.text,
-        }));
-
-      // Fetch additional WARP.md (example for webcomponents)
-      const warpResponse = await axios.get('https://api.github.com/repos/haxtheweb/praw/contents/webcomponents/WARP.md');
-      const warpContent = Buffer.from(warpResponse.data.content, 'base64').toString('utf8');
-      this.prawRules = `HAX Rules:\n${rulesContent}\nWeb Component Rules:\n${warpContent}`;
-
-      // Update system prompt with rules
-      this.systemPrompt += `\nFollow these HAX ecosystem rules: ${this.prawRules}`;
-      this.log('✅ PRAW rules loaded and integrated');
+    this.rules.refresh().catch(error => this.log('⚠️', error.message));
+  }
 
+  // Re-fetch the rules now, optionally switching to another ref. On failure
+  // the rules already in use stay active.
+  async reloadPrawRules({ ref } = {}) {
+    const previousRef = this.rules.ref;
+    try {
+      if (ref) this.rules.setRef(ref);
+      await this.rules.refresh({ force: true });
     } catch (error) {
-      this.log('Failed to load PRAW rules:', error.message);
-      this.prawRules = 'Default HAX rules: Use standard HAX CLI commands and best practices.';
-      this.systemPrompt += `\n${this.prawRules}`;
+      if (this.rules.ref !== previousRef) {
+        const { lastError } = this.rules;
+        this.rules.setRef(previousRef);
+        await this.rules.load();
+        this.rules.lastError = lastError;
+      }
+      throw error;
+    }
+    return this.rules.describe();
+  }
+
+  // Rules relevant to one request (see PrawRules.select)
+  async selectRules(userInput) {
+    await this.rulesReady;
+    const selection = this.rules.select(userInput);
+    this.log(`📘 Using ${selection.rules.length} PRAW rules for: ${selection.categories.join(', ')}`);
+    return selection;
+  }
+
+  // Turn rule IDs the model cited into { id, category, text } entries, keeping
+  // only rules that were actually in its prompt
+  appliedRules(ids, selection) {
+    const offered = new Set(selection.rules.map(rule => rule.id));
+    const applied = [...new Set(ids || [])].filter(id => offered.has(id));
+    if (applied.length < new Set(ids || []).size) {
+      this.log('📘 Ignoring rule IDs that were not offered:', (ids || []).filter(id => !offered.has(id)));
     }
+    return applied.map(id => this.rules.getRule(id));
   }
 
   // Main processing method - prefer AI with rules if available
-  async process(userInput, context) {
+  async process(userInput, context, options = {}) {
     try {
       this.log('Processing input:', userInput);
       this.log('Context:', context);
 
-      if (this.hasAPIKey && this.ai && this.initialized) {
+      if (this.hasAPIKey && this.ai && this.initialized && options.agent) {
+        this.log('Using agent mode with HAX tools...');
+        return await this.processWithAgent(userInput, context, options);
+      } else if (this.hasAPIKey && this.ai && this.initialized) {
         this.log('Using enhanced AI processing with PRAW rules...');
-        return await this.processWithAI(userInput, context);
+        return await this.processWithAI(userInput, context, options);
       } else {
         this.log('Using pattern matching fallback...');
         return await this.processWithPatterns(userInput, context);
@@ -164,66 +267,60 @@ class SmartAIProcessor {
     }
   }
 
-  // Enhanced AI processing with LangChain agent and PRAW rules
-  async processWithAI(userInput, context) {
+  // Enhanced AI processing with LangChain agent and PRAW rules.
+  // options.onExplanation(text) receives the explanation as it streams in.
+  // A reply that doesn't match AI_RESPONSE_SCHEMA gets one corrective
+  // re-prompt; if that fails too, pattern matching takes over.
+  async processWithAI(userInput, context, options = {}) {
     try {
-      let response;
-      const systemPrompt = await this.buildSystemPrompt(context);
-
-      this.log('🔍 Using direct AI processing');
-
-      if (this.ai) {
-        // Use direct AI approach
-        if (this.aiProvider === 'openai') {
-          const messages = [
-            { role: "system", content: systemPrompt },
-            ...this.conversationHistory,
-            { role: "user", content: userInput }
-          ];
-
-          const completion = await this.ai.chat.completions.create({
-            model: "gpt-3.5-turbo",
-            messages,
-            max_tokens: 800,
-            temperature: 0.7
-          });
-
-          response = completion.choices[0].message.content;
-        } else if (this.aiProvider === 'anthropic') {
-          // Build messages array for Anthropic
-          const messages = [
-            ...this.conversationHistory,
-            { role: "user", content: userInput }
-          ];
-
-          this.log('🔍 Direct Anthropic - userInput:', JSON.stringify(userInput));
-          this.log('🔍 Direct Anthropic - conversationHistory.length:', this.conversationHistory.length);
-          this.log('🔍 Direct Anthropic - messages:', JSON.stringify(messages));
-          this.log('🔍 Direct Anthropic - messages.length:', messages.length);
-          this.log('🔍 Direct Anthropic - making API call...');
-
-          const completion = await this.ai.messages.create({
-            model: "claude-3-haiku-20240307",
-            system: systemPrompt,
-            messages,
-            max_tokens: 800
-          });
-
-          this.log('✅ Direct Anthropic - API call successful');
-          response = completion.content[0].text;
-          this.log('🔍 Direct Anthropic - response preview:', response.substring(0, 100) + '...');
+      const rules = await this.selectRules(userInput);
+      const resources = await this.findResources(context, userInput);
+      const systemPrompt = await this.buildSystemPrompt(context, rules, resources);
+      // History belongs to the caller's conversation, not to this processor
+      const conversationHistory = context.conversationHistory || [];
+      const messages = [...conversationHistory, { role: "user", content: userInput }];
+
+      this.log('🔍 Using direct AI processing', options.onExplanation ? '(streaming)' : '');
+
+      let response = await this.requestCompletion({
+        task: 'planning',
+        system: systemPrompt,
+        messages,
+        responseSchema: AI_RESPONSE_SCHEMA
+      }, options.onExplanation ? explanationStreamer(options.onExplanation) : null);
+
+      this.log('🔍 Full AI response:', response);
+      let parsed = this.parseAIResponse(response, context);
+
+      if (parsed.errors.length > 0) {
+        this.log('🔧 AI reply failed validation, asking for a correction:', parsed.errors);
+        response = await this.requestCompletion({
+          task: 'planning',
+          system: systemPrompt,
+          messages: [
+            ...messages,
+            { role: "assistant", content: response },
+            { role: "user", content: this.buildRepairPrompt(parsed.errors) }
+          ],
+          responseSchema: AI_RESPONSE_SCHEMA
+        });
+        this.log('🔍 Corrected AI response:', response);
+        parsed = this.parseAIResponse(response, context);
+        if (parsed.errors.length > 0) {
+          throw new Error(`reply did not match the response schema: ${parsed.errors.join('; ')}`);
         }
       }
 
       // Add to conversation history
-      this.addToHistory(userInput, response);
+      this.addToHistory(context, userInput, response);
 
-      // Parse the AI response
-      this.log('🔍 Parsing AI response...');
-      this.log('🔍 Full AI response:', response);
-      const parsedResult = this.parseAIResponse(response, true);
-      this.log('🔍 Parsed result:', JSON.stringify(parsedResult));
-      return parsedResult;
+      const result = {
+        ...parsed.result,
+        rulesApplied: this.appliedRules(parsed.result.rulesApplied, rules),
+        resourcesUsed: this.describeSources(resources)
+      };
+      this.log('🔍 Parsed result:', JSON.stringify(result));
+      return result;
 
     } catch (error) {
       this.log('AI processing failed:', error.message);
@@ -231,81 +328,235 @@ class SmartAIProcessor {
     }
   }
 
-  // Build comprehensive system prompt with context and rules
-  async extractTextFromResource(fullPath) {
+  // Agent mode: the model calls tools from agent-tools.js, sees the results
+  // and keeps going until it answers or hits AI_AGENT_MAX_STEPS. Staged page,
+  // component and deploy steps come back as a normal plan for the user
+  // to confirm.
+  // options.onAgentStep(entry) receives each trace entry as it happens.
+  async processWithAgent(userInput, context, options = {}) {
+    const maxSteps = parseInt(process.env.AI_AGENT_MAX_STEPS, 10) || DEFAULT_AGENT_STEPS;
+    const turn = {
+      processor: this,
+      sitesDir: context.sitesDir,
+      staged: { siteName: null, commands: [], pages: [], pageParents: [], componentInserts: [], action: null }
+    };
+    const trace = [];
+    const messages = [...(context.conversationHistory || []), { role: "user", content: userInput }];
+    const rules = await this.selectRules(userInput);
+    const system = await this.buildAgentPrompt(context, rules);
+
+    let answer = null;
+    let failure = null;
+    for (let step = 1; step <= maxSteps && answer === null; step++) {
+      let reply;
+      try {
+        reply = await this.requestToolTurn({ task: 'planning', system, messages, tools: AGENT_TOOLS });
+      } catch (error) {
+        this.log('Agent step failed:', error.message);
+        if (trace.length === 0) {
+          return await this.processWithPatterns(userInput, context);
+        }
+        failure = error;
+        break;
+      }
+
+      if (reply.toolCalls.length === 0) {
+        answer = reply.text.trim();
+        break;
+      }
+
+      messages.push({ role: "assistant", content: reply.text, toolCalls: reply.toolCalls });
+      for (const call of reply.toolCalls) {
+        const entry = await this.runAgentTool(call, turn);
+        trace.push({ step, ...entry.trace });
+        if (options.onAgentStep) options.onAgentStep({ step, ...entry.trace });
+        messages.push({ role: "tool", toolCallId: call.id, name: call.name, content: entry.content, isError: !entry.trace.ok });
+      }
+    }
+
+    const staged = turn.staged;
+    const limitReached = answer === null && !failure;
+    if (answer === null) {
+      answer = failure ?
+        `I stopped partway through because the AI service failed (${failure.message}).` :
+        `I stopped after ${maxSteps} steps without finishing. Here is what I did so far.`;
+    }
+    const hasChanges = staged.commands.length > 0 || staged.componentInserts.length > 0;
+    if (!answer) {
+      answer = hasChanges ? 'I have prepared the changes below.' : 'Done.';
+    }
+    this.addToHistory(context, userInput, answer);
+    // The agent cites rules inline as [id]
+    const citedRules = (answer.match(/\[([A-Za-z0-9-]+)\]/g) || []).map(cited => cited.slice(1, -1));
+
+    return {
+      explanation: answer,
+      commands: staged.commands,
+      pageParents: staged.pageParents,
+      componentInserts: staged.componentInserts,
+      ...(staged.siteName ? { siteName: staged.siteName } : {}),
+      ...(staged.action ? { action: staged.action } : {}),
+      success: true,
+      ...(failure ? { error: failure.message } : {}),
+      nextSteps: hasChanges ? 'Review the plan and confirm it to apply the staged changes.' : undefined,
+      agentTrace: trace,
+      agentStepLimitReached: limitReached,
+      rulesApplied: this.appliedRules(citedRules, rules)
+    };
+  }
+
+  // Run one tool call. Returns the text sent back to the model and a short
+  // trace entry for the UI.
+  async runAgentTool(call, turn) {
+    const started = Date.now();
+    const tool = getAgentTool(call.name);
+    let result;
+    let error = null;
     try {
-      const lower = fullPath.toLowerCase();
-      if (lower.endsWith('.pdf')) {
-        // Extract text from PDF using pdf-parse
-        const pdf = require('pdf-parse');
-        const buf = await fs.readFile(fullPath); // Buffer
-        const data = await pdf(buf);
-        return (data.text || '').replace(/\s+/g, ' ').trim();
+      if (!tool) {
+        throw new Error(`Unknown tool: ${call.name}`);
       }
-      // Treat these as text-based
-      if (/(\.txt|\.md|\.html?|\.csv|\.json)$/i.test(lower)) {
-        const content = await fs.readFile(fullPath, 'utf8');
-        // crude strip HTML tags for html
-        return content.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+      if (!call.arguments) {
+        throw new Error('Tool arguments were not valid JSON');
       }
-      // Unsupported types return empty string (could be extended later)
-      return '';
+      result = await tool.run(call.arguments, turn);
+    } catch (toolError) {
+      error = toolError.message;
+    }
+    this.log(`🛠️ ${call.name}`, error ? `failed: ${error}` : 'ok');
+
+    // Long HTML arguments are shortened in the trace
+    const args = {};
+    for (const [key, value] of Object.entries(call.arguments || {})) {
+      args[key] = typeof value === 'string' && value.length > 200 ? `${value.substring(0, 200)}…` : value;
+    }
+    const content = JSON.stringify(error ? { error } : result);
+    return {
+      content,
+      trace: {
+        tool: call.name,
+        args,
+        ok: !error,
+        ...(error ? { error } : { result: content.length > 300 ? `${content.substring(0, 300)}…` : content }),
+        durationMs: Date.now() - started
+      }
+    };
+  }
+
+  async buildAgentPrompt(context, rules) {
+    const { availableSites, currentSite } = context;
+    return `You are a helpful HAX website assistant working in agent mode. Use the tools to look at the user's sites and pages, then make the changes they ask for.
+
+CONTEXT:
+- Available sites: ${availableSites?.join(', ') || 'none'}
+- CURRENT SELECTED SITE: ${currentSite || 'none selected'}
+
+HOW CHANGES HAPPEN:
+- read_site and read_page before changing a page, so you use real page titles.
+- add_page, insert_component and deploy are staged and only run after the user confirms, so a page you add can't be read or edited in this turn. Put its full content in add_page.
+- insert_component only works on pages that already exist.
+- Keep all changes in one request to a single site.
+- Page titles: letters, numbers, spaces and dashes only (no colons).
+
+HAX RULES:
+${rules.text}
+
+When you are done, reply with a short, friendly summary of what you did and what will happen when the user confirms. If a HAX rule guided a choice, cite its ID in square brackets, e.g. [${rules.rules.length > 0 ? rules.rules[0].id : 'rule-id'}]. Don't call tools you don't need.`;
+  }
+
+  // Follow-up message asking the model to fix an invalid reply
+  buildRepairPrompt(errors) {
+    return `Your last reply could not be used:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with only the corrected JSON object. Required fields: "explanation" (string), "commands" (array of command strings, may be empty) and "success" (boolean). Use only the allowed commands.`;
+  }
+
+  // All text in a resource file, for callers that don't need pages
+  async extractTextFromResource(fullPath) {
+    try {
+      const sections = await extractSections(fullPath);
+      return sections.map(section => section.text).join(' ');
     } catch (e) {
       this.log('Resource extraction failed for', fullPath, e.message);
       return '';
     }
   }
 
-  async buildResourcesSummary(context) {
+  // Course resources for a request: URLs and notes from resources.json plus
+  // the indexed chunks that best match the query. Inactive files and URLs are
+  // left out; options.tag keeps only resources with that tag.
+  async findResources(context, query, options = {}) {
+    const empty = { urls: [], notes: '', excerpts: [] };
+    const { currentSite, sitesDir } = context;
+    if (!currentSite) return empty;
+    const resourcesDir = path.join(sitesDir, currentSite, 'faculty-resources');
     try {
-      const { currentSite, sitesDir } = context;
-      this.log('🔍 buildResourcesSummary - currentSite:', currentSite);
-      if (!currentSite) return '';
-      const resourcesDir = path.join(sitesDir, currentSite, 'faculty-resources');
-      this.log('🔍 buildResourcesSummary - resourcesDir:', resourcesDir);
-      // Gather URLs
-      let urls = [];
-      let notes = '';
-      try {
-        const meta = await fs.readFile(path.join(resourcesDir, 'resources.json'), 'utf8');
-        const parsed = JSON.parse(meta);
-        urls = parsed.urls || [];
-        notes = parsed.notes || '';
-      } catch {}
-      // Gather small snippets from text-like files
-      let snippets = [];
-      try {
-        const entries = await fs.readdir(resourcesDir, { withFileTypes: true });
-        const files = entries.filter(e => e.isFile() && !e.name.endsWith('.json'));
-        this.log('🔍 buildResourcesSummary - found files:', files.map(f => f.name));
-        for (const f of files.slice(0, 10)) { // limit to first 10 files
-          const full = path.join(resourcesDir, f.name);
-          this.log('🔍 buildResourcesSummary - processing file:', f.name);
-          const text = await this.extractTextFromResource(full);
-          this.log('🔍 buildResourcesSummary - extracted text length:', text.length);
-          if (text) {
-            snippets.push(text.substring(0, 1200)); // cap per file
-          }
-        }
-      } catch {}
-      this.log('🔍 buildResourcesSummary - final counts:', { urls: urls.length, snippets: snippets.length, notes: notes.length });
-      if (urls.length === 0 && snippets.length === 0 && !notes) {
-        this.log('🔍 buildResourcesSummary - no resources found, returning empty');
-        return '';
-      }
-      const urlList = urls.map(u => `- ${u.url}${u.description ? `: ${u.description}` : ''}`).join('\n');
-      const snippetJoined = snippets.join('\n---\n');
-      const summary = `\nCOURSE RESOURCES (PRIMARY SOURCE)\nURLs:\n${urlList || '(none)'}\nNotes:\n${notes || '(none)'}\nLocal Snippets:\n${snippetJoined || '(none)'}\n`;
-      this.log('🔍 buildResourcesSummary - returning summary length:', summary.length);
-      return summary;
+      await fs.access(resourcesDir);
     } catch {
+      return empty;
+    }
+
+    let urls = [];
+    let notes = '';
+    let fileMeta = {};
+    try {
+      const manifest = await this.courseManifest(currentSite, sitesDir).load();
+      urls = manifest.urls;
+      notes = manifest.notes;
+      fileMeta = manifest.files;
+    } catch (e) {
+      this.log('Could not read course resources:', e.message);
+    }
+
+    const { tag, ...searchOptions } = options;
+    const hasTag = tags => !tag || (tags || []).some(candidate => candidate.toLowerCase() === String(tag).toLowerCase());
+    const snapshots = new Map(urls.filter(u => u.snapshot).map(u => [u.snapshot, u]));
+    const resourceFor = file => snapshots.get(file) || fileMeta[file] || {};
+    urls = urls.filter(u => !u.inactive && hasTag(u.tags));
+
+    let excerpts = [];
+    try {
+      excerpts = await this.resourceIndex.search(resourcesDir, query, {
+        ...searchOptions,
+        filter: file => !resourceFor(file).inactive && hasTag(resourceFor(file).tags)
+      });
+    } catch (error) {
+      this.log('Resource search failed:', error.message);
+    }
+    for (const excerpt of excerpts) {
+      const tags = resourceFor(excerpt.file).tags || [];
+      if (tags.length > 0) excerpt.tags = tags;
+      // Cite URL snapshots by their URL and retrieval date
+      const source = snapshots.get(excerpt.file);
+      if (source) {
+        excerpt.url = source.url;
+        excerpt.citation = `${source.url}${excerpt.page ? `, p. ${excerpt.page}` : ''} (retrieved ${String(source.retrievedAt).substring(0, 10)})`;
+      }
+    }
+    this.log('🔍 findResources:', { urls: urls.length, excerpts: excerpts.map(excerpt => excerpt.citation), notes: notes.length });
+    return { urls, notes, excerpts };
+  }
+
+  buildResourcesSummary(resources) {
+    const { urls, notes, excerpts } = resources;
+    if (urls.length === 0 && excerpts.length === 0 && !notes) {
       return '';
     }
+    const tagList = tags => tags && tags.length > 0 ? ` [${tags.join(', ')}]` : '';
+    const urlList = urls.map(u => `- ${u.url}${u.description ? `: ${u.description}` : ''}${tagList(u.tags)}${u.status === 'error' ? ` (could not be loaded: ${u.error})` : ''}`).join('\n');
+    const excerptList = excerpts.map((excerpt, index) => `[${index + 1}] (${excerpt.citation})${tagList(excerpt.tags)}\n${excerpt.text}`).join('\n---\n');
+    return `\nCOURSE RESOURCES (PRIMARY SOURCE)\nURLs:\n${urlList || '(none)'}\nNotes:\n${notes || '(none)'}\nRelevant excerpts (mention the file and page when you use one; [tags] give the unit or week):\n${excerptList || '(none)'}\n`;
+  }
+
+  // Where the excerpts in a prompt came from, for the response
+  describeSources(resources) {
+    return resources.excerpts.map(({ file, page, url, citation, score }) => ({ file, page, ...(url ? { url } : {}), citation, score }));
   }
 
-  async buildSystemPrompt(context) {
+  async buildSystemPrompt(context, rules, resources) {
     const { availableSites, currentSite, sitesDir } = context;
-    const resourcesSummary = await this.buildResourcesSummary(context);
+    const resourcesSummary = this.buildResourcesSummary(resources);
     
     return `You are a helpful HAX website assistant. Convert user requests into HAX CLI commands and provide friendly explanations.
 
@@ -317,8 +568,8 @@ CONTEXT:
 
 IMPORTANT: When a site is selected, ALL operations happen within that site. Page names like "intro3", "about", etc. are content pages within the selected site, NOT separate sites.
 
-HAX RULES:
-${this.prawRules}
+HAX RULES (relevant to this request):
+${rules.text}
 
 ${resourcesSummary ? `${resourcesSummary}\nIMPORTANT: Prefer facts, terminology, and structure from COURSE RESOURCES when generating content. Use the LLM only to help draft wording or fill gaps.` : ''}
 
@@ -330,6 +581,8 @@ AVAILABLE COMMANDS:
 4. PUBLISH SELECTED SITE: hax site site:surge --domain [domain]
 5. LIST PAGES IN SELECTED SITE: cat "${sitesDir}/${currentSite || 'SITENAME'}/site.json"
 
+Only the commands above can run. Anything else (other programs, pipes, &&, ;, redirects or $(...)) is rejected before it runs.
+
 IMPORTANT PAGE TITLE RULES:
 - NEVER use colons (:) in page titles - they break URL navigation
 - Avoid special characters: : ; | \ / ? # [ ] @ ! $ & ' ( ) * + , = %
@@ -338,13 +591,20 @@ IMPORTANT PAGE TITLE RULES:
 - Keep titles clean and URL-friendly
 
 RESPONSE FORMAT:
-Always respond with JSON:
+Always respond with a single JSON object:
 {
   "explanation": "Friendly explanation of what will be done",
   "commands": ["complete hax command with all arguments on one line"],
   "success": true,
   "nextSteps": "Optional next steps or tips"
 }
+Optional fields:
+- "action": short name of what the commands do ("deploy", "list-pages", "add-page", ...)
+- "siteName": the site the commands act on, when it is not the selected site
+- "postCommands": [{"command": "...", "description": "..."}] to run after the main commands
+- "pageParents": [{"page": "New page title", "parent": "Existing page title"}] to nest new pages
+- "rulesApplied": IDs of the HAX rules above that shaped your answer, e.g. ["${rules.rules.length > 0 ? rules.rules[0].id : 'rule-id'}"]
+If nothing needs to run, return an empty "commands" array. If the request can't be done, set "success" to false and explain why in "error".
 
 IMPORTANT: 
 - Each command in the commands array must be a complete, single-line HAX command
@@ -353,7 +613,7 @@ IMPORTANT:
 - For multi-line content, escape quotes and newlines properly
 
 Example for adding a page to the selected site: 
-"commands": ["hax site node:add --node-op create --title \"My Quiz\" --content \"<quiz-element><h2>Quiz</h2></quiz-element>\" --y"]
+"commands": ["hax site node:add --node-op create --title \"My Quiz\" --content \"<h2>Quiz</h2><multiple-choice question=\\\"...\\\">...</multiple-choice>\" --y"]
 
 CORRECT TITLE EXAMPLES:
 - "Chapter 1 Introduction to Biology" ✅
@@ -371,56 +631,27 @@ Be encouraging and helpful - this is for non-technical users!`;
   }
 
   // Parse AI response (enhanced for agent output)
-  parseAIResponse(response, isAI = false) {
-    this.log('🔍 parseAIResponse - input length:', response.length);
-    this.log('🔍 parseAIResponse - first 50 chars:', JSON.stringify(response.substring(0, 50)));
-    this.log('🔍 parseAIResponse - last 50 chars:', JSON.stringify(response.substring(response.length - 50)));
-    
-    try {
-      // First try to parse the entire response as JSON
-      this.log('🔍 parseAIResponse - attempting direct JSON.parse');
-      const parsed = JSON.parse(response);
-      this.log('🔍 parseAIResponse - direct parse success');
-      return {
-        explanation: parsed.explanation || '',
-        commands: parsed.commands || [],
-        success: parsed.success || false,
-        error: parsed.error || undefined,
-      };
-    } catch (parseError) {
-      this.log('🔍 parseAIResponse - direct parse failed:', parseError.message);
-      try {
-        // Try to extract JSON from response (look for { ... })
-        this.log('🔍 parseAIResponse - attempting regex extraction');
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          this.log('🔍 parseAIResponse - regex found match, length:', jsonMatch[0].length);
-          const parsed = JSON.parse(jsonMatch[0]);
-          this.log('🔍 parseAIResponse - regex parse success');
-          return {
-            explanation: parsed.explanation || '',
-            commands: parsed.commands || [],
-            success: parsed.success || false,
-            error: parsed.error || undefined,
-          };
-        } else {
-          this.log('🔍 parseAIResponse - no regex match found');
+  // Parse a planning reply and check it against AI_RESPONSE_SCHEMA, including
+  // that every command would be allowed to run. Returns { result, errors };
+  // result is null unless errors is empty.
+  parseAIResponse(response, context = {}) {
+    const reply = extractJsonObject(response || '');
+    if (reply === undefined) {
+      return { result: null, errors: ['reply is not a JSON object'] };
+    }
+
+    const { valid, errors, value } = validateAIResponse(reply, {
+      checkCommand: command => {
+        const parsed = parseCommand(command, { sitesDir: context.sitesDir });
+        if (!parsed.valid) {
+          return parsed.error;
         }
-      } catch (jsonError) {
-        this.log('🔍 parseAIResponse - regex parse failed:', jsonError.message);
-        // JSON extraction failed, continue to fallback
+        // Page content that would be blocked gets sent back for a fix
+        const validation = parsed.options.content ? validateHtml(parsed.options.content) : null;
+        return validation && validation.blocked ? `--content failed HTML checks: ${validation.issues.map(issue => issue.message).join('; ')}` : null;
       }
-      
-      // Fallback parsing - look for hax commands in text
-      const lines = response.split('\n');
-      const commands = lines.filter(line => line.trim().startsWith('hax '));
-      return {
-        explanation: lines[0] || 'Processed with AI',
-        commands,
-        success: commands.length > 0,
-        error: commands.length === 0 ? 'No valid commands generated' : undefined,
-      };
-    }
+    });
+    return { result: valid ? value : null, errors };
   }
 
   // Process input using pattern matching (fallback method)
@@ -434,62 +665,148 @@ Be encouraging and helpful - this is for non-technical users!`;
       };
     }
 
-    const input = userInput.toLowerCase().trim();
-    const { availableSites, currentSite, sitesDir } = context;
+    // Match on lowercase, but hand the original text to the handlers so page
+    // titles and topics keep the user's capitalization
+    const text = userInput.trim();
+    const input = text.toLowerCase();
 
     this.log('🔍 Processing with pattern matching:', input);
 
-    // Check for quiz creation
-    if (this.matchesQuizCreation(input)) {
-      return await this.handleCreateQuiz(input, context, currentSite, this.extractPageSource(input), this.extractContent(input));
+    // Check for deployment requests first
+    if (this.matchesDeployment(input)) {
+      return await this.handleDeployment(text, context);
     }
 
-    // Check for page creation
-    if (this.matchesPageCreation(input)) {
-      const pageTitle = this.extractPageTitle(input);
-      const siteName = this.extractSiteFromInput(input, availableSites) || currentSite;
-      
-      if (!siteName) {
-        return this.askForSiteSelection(availableSites, 'add a page to');
-      }
-      
-      if (!pageTitle) {
-        return {
-          explanation: "What would you like to call the new page?",
-          commands: [],
-          success: true,
-          examples: [`Add a page called About to ${siteName}`]
-        };
-      }
+    // Check for slidedeck creation
+    if (this.matchesSlidedeck(input)) {
+      return await this.handleCreateSlidedeck(text, context);
+    }
 
-      // Generate basic content based on local resources if available (resource-first)
-      const generated = await this.generateBasicContentFromResources({ topic: pageTitle, sitesDir, siteName });
-      const contentFlag = generated ? ` --content "${generated.replace(/"/g, '\\"')}"` : '';
-      const command = `hax site node:add --node-op create --title "${pageTitle}"${contentFlag} --y`;
-      return {
-        explanation: `I'll add a new page called "${pageTitle}" to your ${siteName} site${generated ? ' with content based on your course resources' : ''}.`,
-        commands: [command],
-        success: true,
-        runFromSiteDir: `${sitesDir}/${siteName}`
-      };
+    // Check for content customization
+    if (this.matchesCustomization(input)) {
+      return await this.handleCustomization(text, context);
+    }
+
+    // Check for site cloning from URL
+    if (this.matchesSiteCloning(input)) {
+      return await this.handleSiteCloning(text, context);
+    }
+
+    // Check for multiple pages first (before single page detection)
+    if (this.matchesMultiplePages(input)) {
+      return await this.handleAddMultiplePages(text, context);
+    }
+
+    // Web component/element patterns (prioritize before page creation)
+    if (this.matchesWebComponent(input)) {
+      return await this.handleAddWebComponent(text, context);
+    }
+
+    // Add page patterns (prioritize before site creation)
+    if (this.matchesPattern(input, ['add', 'create', 'new'], ['page', 'post', 'article'])) {
+      return await this.handleAddPage(text, context);
+    }
+
+    // Create site patterns (only if 'site' or 'website' is present and NOT 'page', 'post', 'article')
+    if (this.matchesPattern(input, ['create', 'make', 'new'], ['site', 'website', 'blog', 'portfolio'])) {
+      return this.handleCreateSite(text, context);
+    }
+
+    // List/show patterns
+    if (this.matchesPattern(input, ['show', 'list', 'what', 'display'], ['site', 'page'])) {
+      return this.handleListContent(text, context);
+    }
+
+    // Preview patterns
+    if (this.matchesPattern(input, ['preview', 'view', 'see', 'open'], ['site', 'website']) || /^(preview|serve)\b/.test(input)) {
+      return this.handlePreview(text, context);
+    }
+
+    // Publish patterns
+    if (this.matchesPattern(input, ['publish', 'deploy', 'online', 'live'], [])) {
+      return this.handlePublish(text, context);
+    }
+
+    // Edit patterns
+    if (this.matchesPattern(input, ['edit', 'change', 'update', 'modify'], ['page', 'content'])) {
+      return await this.handleEdit(text, context);
+    }
+
+    // Help patterns
+    if (this.matchesPattern(input, ['help', 'what can', 'how do', 'commands'], [])) {
+      return this.getHelpResponse();
     }
 
     // Default response for unmatched patterns
-    return this.getDefaultResponse(input);
+    return this.getDefaultResponse(text);
+  }
+
+  // Site named in the input, else the selected site, else the only site there is
+  resolveSite(input, context) {
+    const { availableSites = [], currentSite } = context;
+    return this.extractSiteFromInput(input, availableSites) ||
+      currentSite ||
+      (availableSites.length === 1 ? availableSites[0] : null);
+  }
+
+  // Drop a trailing site reference ("... to mysite", "... in my site") from a topic
+  stripSiteReference(text, siteName) {
+    if (!text || !siteName) return text;
+    const name = siteName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return text.replace(new RegExp(`\\s+(?:to|in|on|for)\\s+(?:(?:the\\s+)?${name}(?:\\s+(?:site|website))?|(?:my|this|the)\\s+(?:site|website))$`, 'i'), '').trim();
   }
 
-  // Helper methods for pattern matching
-  matchesQuizCreation(input) {
-    return /add.*quiz|create.*quiz|quiz.*about/i.test(input);
+  // Quote a value for a proposed command (the executor tokenizes it without a shell)
+  quoted(value) {
+    return `'${this.escapeQuotes(String(value))}'`;
   }
 
-  matchesPageCreation(input) {
-    return /add.*page|create.*page|new.*page/i.test(input);
+  // Helper methods for extraction
+  extractSiteName(input) {
+    const patterns = [
+      /called\s+([a-zA-Z0-9-_]+)/i,
+      /named\s+([a-zA-Z0-9-_]+)/i,
+      /site\s+([a-zA-Z0-9-_]+)/i,
+      /"([a-zA-Z0-9-_\s]+)"/,
+      /'([a-zA-Z0-9-_\s]+)'/
+    ];
+
+    for (const pattern of patterns) {
+      const match = input.match(pattern);
+      if (match) {
+        return match[1].trim().replace(/\s+/g, '-').toLowerCase();
+      }
+    }
+    return null;
   }
 
+  // Page title before any content description or parent page reference, e.g.
+  // "Add a new page called aboutme with content about penn state" or
+  // "Add a child page called ourteam under the aboutme page"
   extractPageTitle(input) {
-    const match = input.match(/(?:page|called)\s+([a-zA-Z0-9_\-]+)/i);
-    return match ? this.sanitizePageTitle(match[1]) : null;
+    const patterns = [
+      // Quoted titles: 'a page called "Getting Started"', '"FAQ" page'
+      /(?:called|named|titled)\s+"([^"]+)"/i,
+      /(?:called|named|titled)\s+'([^']+)'/i,
+      /"([^"]+)"\s*page/i,
+      /'([^']+)'\s*page/i,
+      // "page called Lab 1 about mitosis", "child page named Team Roster under About".
+      // A trailing site reference ("... to mysite") is dropped by the caller.
+      new RegExp(`(?:called|named|titled)\\s+(.+?)${TITLE_END}`, 'i'),
+      /add (?:a|an)? ?(?:new)? ?(?:child\s+)?page ([a-zA-Z0-9_\-]+)(?=\s+with|\s+about|\s+containing|\s+that|\s+under|\s+beneath|\s+to|$)/i,
+      // "edit/change/update the intro4 page"
+      /(?:edit|change|update)\s+(?:the\s+)?([a-zA-Z0-9_\- ]+?)(?:\s+page|\s+in\s+|$)/i,
+      // "a contact page", "the intro4 page"
+      /(?:the|a|an)\s+([a-zA-Z0-9_\-]+)\s+page/i
+    ];
+
+    for (const pattern of patterns) {
+      const match = input.match(pattern);
+      if (match && match[1].trim()) {
+        return this.sanitizePageTitle(match[1]);
+      }
+    }
+    return null;
   }
 
   // Sanitize page titles to prevent URL-breaking characters
@@ -506,19 +823,279 @@ Be encouraging and helpful - this is for non-technical users!`;
       .trim();
   }
 
+  // Page a component goes on ("to the Ocean page", "on page X", ...)
   extractPageSource(input) {
-    const match = input.match(/to\s+(?:the\s+)?([a-zA-Z0-9_\-]+)\s+page/i);
-    return match ? match[1] : null;
+    const patterns = [
+      /about\s+the\s+content\s+on\s+(?:the\s+)?(?:page\s+)?([a-zA-Z0-9_\-\s]+?)(?:\s+page)?$/i,
+      /from\s+page\s+([a-zA-Z0-9_\-\s]+)/i,
+      /using\s+page\s+([a-zA-Z0-9_\-\s]+)/i,
+      /based\s+on\s+page\s+([a-zA-Z0-9_\-\s]+)/i,
+      /on\s+page\s+([a-zA-Z0-9_\-\s]+)/i,
+      /to\s+the\s+([a-zA-Z0-9_\-\s]+?)\s+page/i,
+      /to\s+page\s+([a-zA-Z0-9_\-\s]+)/i,
+      /add.*\sto\s+([a-zA-Z0-9_\-\s]+)$/i
+    ];
+
+    for (const pattern of patterns) {
+      const match = input.match(pattern);
+      if (match) {
+        return match[1].trim();
+      }
+    }
+    return null;
   }
 
+  // Content description ("with content ...", "about ...")
   extractContent(input) {
-    const match = input.match(/about\s+(.+?)(?:\s+to\s+|$)/i);
-    return match ? match[1].trim() : null;
+    let match = input.match(/with content\s+(.+)/i);
+    if (match) return match[1].trim();
+
+    // For quiz/component creation, stop before the target page reference
+    if (/quiz|element|component/i.test(input)) {
+      match = input.match(/about\s+(.+?)\s+to\s+(?:the\s+)?(?:page\s+)?[\w\s-]+$/i);
+      if (match && !/^the\s+content\s+on/i.test(match[1])) return match[1].trim();
+
+      match = input.match(/about\s+(.+?)\s+(?:on|for|in)\s+(?:the\s+)?page/i);
+      if (match && !/^the\s+content/i.test(match[1])) return match[1].trim();
+
+      if (/about\s+the\s+content/i.test(input)) return null;
+    }
+
+    // Child pages: "about X under the Y page"
+    match = input.match(/about\s+(.+?)\s+(?:under|beneath)\s+/i);
+    if (match) return match[1].trim();
+
+    match = input.match(/about\s+(.+)/i);
+    if (match) return match[1].trim();
+    match = input.match(/containing\s+(.+)/i);
+    if (match) return match[1].trim();
+    match = input.match(/that says\s+(.+)/i);
+    if (match) return match[1].trim();
+
+    return null;
+  }
+
+  extractComponentType(input) {
+    const componentMap = {
+      'multiple choice': 'multiple-choice',
+      'multiple-choice': 'multiple-choice',
+      'quiz': 'quiz',
+      'assessment': 'quiz',
+      'matching': 'matching-question',
+      'true false': 'true-false-question',
+      'fill in': 'fill-in-the-blanks',
+      'flash card': 'flash-card',
+      'carousel': 'a11y-carousel',
+      'timeline': 'lrndesign-timeline',
+      'image map': 'lrndesign-imagemap',
+      'lesson': 'lesson-overview',
+      'code sample': 'code-sample',
+      'quote': 'media-quote',
+      'citation': 'citation-element'
+    };
+
+    const lower = input.toLowerCase();
+    for (const [keyword, component] of Object.entries(componentMap)) {
+      if (lower.includes(keyword)) {
+        return component;
+      }
+    }
+
+    // Any other element becomes a plain HTML block
+    if (lower.includes('element')) {
+      return 'content-block';
+    }
+    return null;
+  }
+
+  extractDomain(input) {
+    const patterns = [
+      /(?:at|to)\s+([a-zA-Z0-9-]+\.surge\.sh)/i,
+      /domain\s+([a-zA-Z0-9-]+\.surge\.sh)/i,
+      /url\s+([a-zA-Z0-9-]+\.surge\.sh)/i
+    ];
+
+    for (const pattern of patterns) {
+      const match = input.match(pattern);
+      if (match) {
+        return match[1].toLowerCase();
+      }
+    }
+    return null;
+  }
+
+  // Explicit parent page references: "under the About page", "child of Contact", ...
+  extractParentPage(input) {
+    const patterns = [
+      /under\s+(?:the\s+)?([a-zA-Z0-9_\- ]+?)\s+page/i,
+      /(?:child|sub-?page)\s+of\s+(?:the\s+)?([a-zA-Z0-9_\- ]+?)(?:\s+page|$)/i,
+      /beneath\s+(?:the\s+)?([a-zA-Z0-9_\- ]+?)\s+page/i,
+      /inside\s+(?:the\s+)?([a-zA-Z0-9_\- ]+?)\s+(?:page|section)/i
+    ];
+
+    for (const pattern of patterns) {
+      const match = input.match(pattern);
+      if (match) {
+        return match[1].trim();
+      }
+    }
+    return null;
+  }
+
+  extractMultiplePageTitles(input) {
+    // "add pages called Alpha, Beta and Gamma", "create three pages: Intro, Lab 1, Lab 2"
+    const listMatch = input.match(new RegExp(`pages\\s+(?:called|named|titled)\\s+(.+?)${TITLE_END}`, 'i')) ||
+      input.match(new RegExp(`pages\\s*:\\s*(.+?)${TITLE_END}`, 'i'));
+    if (listMatch) {
+      return listMatch[1]
+        .split(/\s*,\s*(?:and\s+)?|\s+and\s+/i)
+        .map(title => this.sanitizePageTitle(title.replace(/^["']|["']$/g, '')))
+        .filter(Boolean);
+    }
+
+    const patterns = [
+      // "add a contact page and a forsale page"
+      /(?:add|create)\s+(?:a\s+)?(\w+)\s+page\s+(?:about\s+.+?\s+)?and\s+(?:a\s+)?(\w+)\s+page/i,
+      // "add contact and forsale pages"
+      /(?:add|create)\s+(\w+)\s+and\s+(\w+)\s+pages?/i
+    ];
+
+    for (const pattern of patterns) {
+      const match = input.match(pattern);
+      if (match) {
+        return [match[1], match[2]].map(title => this.sanitizePageTitle(title));
+      }
+    }
+
+    // More general approach - split on "and" and look for page names
+    const pageTitles = [];
+    const parts = input.split(/\s+and\s+/i);
+    if (parts.length === 2) {
+      for (const part of parts) {
+        const pageMatch = part.match(/(?:add|create)?\s*(?:a\s+)?(\w+)\s*page/i);
+        if (pageMatch) {
+          pageTitles.push(this.sanitizePageTitle(pageMatch[1]));
+        }
+      }
+    }
+    return pageTitles;
+  }
+
+  // "add a contact page about our company and a forsale page about selling homes"
+  extractMultiplePageContents(input) {
+    const pageContents = [];
+    const aboutPattern = /(\w+)\s+page\s+about\s+(.+?)(?=\s+and\s+(?:a\s+)?\w+\s+page|$)/gi;
+    let match;
+
+    while ((match = aboutPattern.exec(input)) !== null) {
+      pageContents.push({ pageTitle: match[1].trim(), content: match[2].trim() });
+    }
+    return pageContents;
+  }
+
+  extractSlidedeckTopic(input) {
+    const patterns = [
+      /(?:make|create|build|generate)\s+a?\s*slidedeck\s+about\s+(.+)/i,
+      /(?:make|create|build|generate)\s+slides\s+about\s+(.+)/i,
+      /(?:make|create|build|generate)\s+slides\s+for\s+(.+)/i,
+      /(?:make|create|build|generate)\s+a?\s*presentation\s+about\s+(.+)/i,
+      /slidedeck\s+about\s+(.+)/i,
+      /slides\s+about\s+(.+)/i,
+      /slides\s+for\s+(.+)/i,
+      /presentation\s+about\s+(.+)/i
+    ];
+
+    for (const pattern of patterns) {
+      const match = input.match(pattern);
+      if (match) {
+        return match[1].trim();
+      }
+    }
+    return null;
+  }
+
+  extractCustomizationDetails(input) {
+    const patterns = [
+      /customize\s+(?:the\s+)?(.+?)\s+page\s+(?:and\s+)?make\s+it\s+about\s+(.+)/i,
+      /customize\s+(?:the\s+)?(.+?)\s+page\s+for\s+(.+)/i,
+      /adapt\s+(?:the\s+)?(.+?)\s+page\s+for\s+(.+)/i,
+      /modify\s+(?:the\s+)?(.+?)\s+page.*?(?:for|about|to\s+be\s+about)\s+(.+)/i,
+      /change\s+(?:the\s+)?(.+?)\s+page.*?to\s+be\s+about\s+(.+)/i,
+      /customize\s+(?:the\s+)?(.+?)\s+(?:and\s+)?(?:make\s+it\s+)?(?:about|for)\s+(.+)/i
+    ];
+
+    for (const pattern of patterns) {
+      const match = input.match(pattern);
+      if (match) {
+        return {
+          pageName: match[1].trim(),
+          customization: match[2].trim()
+        };
+      }
+    }
+    return null;
+  }
+
+  extractCloneInfo(input) {
+    const patterns = [
+      /(?:create|make|build)\s+(?:a\s+)?(?:new\s+)?site\s+(?:copying\s+)?from\s+(https?:\/\/[^\s]+)(?:\s+(?:as|named?|called)\s+([\w-]+))?/i,
+      /(?:copy|clone)\s+(?:the\s+)?site\s+from\s+(https?:\/\/[^\s]+)(?:\s+(?:as|into|to)\s+([\w-]+))?/i,
+      /(?:copy|clone)\s+(https?:\/\/[^\s]+)(?:\s+(?:as|into|to)\s+([\w-]+))?/i,
+      /(?:import|duplicate)\s+(?:site\s+from\s+)?(https?:\/\/[^\s]+)(?:\s+(?:as|named?|called)\s+([\w-]+))?/i,
+      /(?:create|make)\s+(?:a\s+)?(?:local\s+)?copy\s+of\s+(https?:\/\/[^\s]+)(?:\s+(?:as|named?|called)\s+([\w-]+))?/i
+    ];
+
+    for (const pattern of patterns) {
+      const match = input.match(pattern);
+      if (match) {
+        return {
+          sourceUrl: match[1].trim().replace(/[.,;]+$/, ''),
+          newSiteName: match[2] ? match[2].trim().toLowerCase() : null
+        };
+      }
+    }
+    return null;
+  }
+
+  generateSiteNameFromUrl(url) {
+    try {
+      const siteName = new URL(url).hostname
+        .replace(/^www\./, '')
+        .replace(/\.surge\.sh$/, '')
+        .replace(/\./g, '-')
+        .replace(/[^a-zA-Z0-9-]/g, '');
+      // Suffix keeps repeated clones of the same site apart
+      return `${siteName}-clone-${Date.now().toString().slice(-4)}`;
+    } catch (error) {
+      return `cloned-site-${Date.now()}`;
+    }
+  }
+
+  capitalizeWords(str) {
+    return str.replace(/\b\w/g, l => l.toUpperCase());
+  }
+
+  // "Traditional Japanese House" + "korean" -> "Traditional Korean House"
+  generateCustomizedTitle(originalTitle, customization) {
+    const customizationWord = this.capitalizeWords(customization.split(/\s+/)[0]);
+
+    // Swap a nationality/adjective in titles like "Traditional Japanese House"
+    const nationalityPattern = /(Traditional|Modern|Classic|Ancient)\s+(\w+)\s+(House|Building|Architecture|Style|Design|Food|Cuisine|Culture)/i;
+    const match = originalTitle.match(nationalityPattern);
+    if (match) {
+      return `${match[1]} ${customizationWord} ${match[3]}`;
+    }
+
+    return `${originalTitle} - ${this.capitalizeWords(customization)}`;
   }
 
   extractSiteFromInput(input, availableSites) {
-    for (const site of availableSites) {
-      if (input.includes(site)) {
+    // Whole names only, longest first, so "my-course-2" is not read as "my-course"
+    const lower = input.toLowerCase();
+    const sites = [...(availableSites || [])].sort((a, b) => b.length - a.length);
+    for (const site of sites) {
+      const name = site.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (new RegExp(`(^|[^a-z0-9_-])${name}($|[^a-z0-9_-])`).test(lower)) {
         return site;
       }
     }
@@ -534,7 +1111,7 @@ Be encouraging and helpful - this is for non-technical users!`;
         suggestion: 'Try: "Create a site called my-first-site"'
       };
     }
-    
+
     return {
       explanation: `Which site would you like to ${action}? You have: ${availableSites.join(', ')}`,
       commands: [],
@@ -544,46 +1121,43 @@ Be encouraging and helpful - this is for non-technical users!`;
     };
   }
 
-  getDefaultResponse(input) {
-    return {
-      explanation: `I'm not sure how to handle "${input}". Here are some things you can try:`,
-      commands: [],
-      success: true,
-      suggestions: [
-        "Add a quiz about sharks to the intro3 page",
-        "Create a page called About",
-        "Add a page called Contact to mysite"
-      ]
-    };
+
+  // The resource manifest of a course site (see resource-manifest.js)
+  courseManifest(courseName, sitesDir = this.sitesDir) {
+    return openManifest(path.join(sitesDir, courseName, 'faculty-resources'), {
+      legacyPaths: legacyManifestPaths(courseName, sitesDir)
+    });
   }
 
   // Faculty-specific: Create course resource folder (port of PRAW faculty-setup.sh)
   async setupCourseFolder(courseName) {
     try {
-      const coursePath = path.join(process.env.HOME || process.env.USERPROFILE, '.hax-ai/sites', courseName);
+      this.validateNames(courseName);
+      const coursePath = path.join(this.sitesDir, courseName);
       await fs.mkdir(coursePath, { recursive: true });
-      const command = `hax site start ${courseName} --type course`;
-      const { stdout, stderr } = await execPromise(command);
-      if (stderr) {
-        return { success: false, message: `Error creating course: ${stderr}` };
-      }
+      // Spawned without a shell so the course name can't inject commands
+      const { stdout } = await runProcess('hax', ['site', 'start', '--name', courseName, '--type', 'course', '--y'], {
+        cwd: path.dirname(coursePath)
+      });
+      await this.courseManifest(courseName).ensure();
       return { success: true, message: `Course folder created for ${courseName} at ${coursePath}\n${stdout}` };
     } catch (error) {
-      return { success: false, message: `Error: ${error.message}` };
+      return { success: false, message: `Error: ${error.error || error.message}` };
     }
   }
 
   // Faculty-specific: Add web resource (port of PRAW add-url-resource.sh)
   async addUrlResource(courseName, url, description) {
     try {
-      const coursePath = path.join(process.env.HOME || process.env.USERPROFILE, '.hax-ai/sites', courseName);
-      const resourceFile = path.join(coursePath, 'resources.json');
-      let resources = [];
-      try {
-        resources = JSON.parse(await fs.readFile(resourceFile, 'utf8'));
-      } catch {}
-      resources.push({ url, description, added: new Date().toISOString() });
-      await fs.writeFile(resourceFile, JSON.stringify(resources, null, 2));
+      this.validateNames(courseName);
+      if (!isHttpUrl(url)) {
+        return { success: false, message: `Error adding resource: ${url} is not an http(s) URL` };
+      }
+      await this.courseManifest(courseName).update(resources => {
+        if (!resources.urls.some(entry => entry.url === url)) {
+          resources.urls.push({ url, description: description || '', added: new Date().toISOString() });
+        }
+      });
       return { success: true, message: `Added resource ${url} to ${courseName}` };
     } catch (error) {
       return { success: false, message: `Error adding resource: ${error.message}` };
@@ -592,8 +1166,8 @@ Be encouraging and helpful - this is for non-technical users!`;
 
   // Original methods from ai-processorORIG.js
   validateNames(siteName, pageTitle) {
-    if (siteName && !/^[a-zA-Z0-9_]+$/.test(siteName)) {
-      throw new Error("Invalid site name. Use only letters, numbers, and underscores.");
+    if (siteName && !/^[a-zA-Z0-9_-]+$/.test(siteName)) {
+      throw new Error("Invalid site name. Use only letters, numbers, dashes and underscores.");
     }
     if (pageTitle && !/^[a-zA-Z0-9_\s\?\,\-]+$/.test(pageTitle)) {
       throw new Error(`Invalid page title '${pageTitle}'. Use only letters, numbers, spaces, underscores, hyphens, commas, and question marks.`);
@@ -626,6 +1200,8 @@ Be encouraging and helpful - this is for non-technical users!`;
 
   matchesMultiplePages(input) {
     const multiplePagePatterns = [
+      /(?:add|create)\s+(?:\w+\s+)?(?:new\s+)?pages\s+(?:called|named|titled)\s+/i,
+      /(?:add|create)\s+(?:\w+\s+)?(?:new\s+)?pages\s*:/i,
       /add\s+.*page.*\s+and\s+.*page/i,
       /create\s+.*page.*\s+and\s+.*page/i,
       /add\s+a\s+\w+\s+page\s+and\s+a?\s*\w+\s+page/i,
@@ -657,22 +1233,18 @@ Be encouraging and helpful - this is for non-technical users!`;
     return slidedeckPatterns.some(pattern => pattern.test(input));
   }
 
+  // Only an instruction to deploy counts, so "add a page called Deploy Guide
+  // about how to publish courses" still adds a page
   matchesDeployment(input) {
+    const lead = String.raw`^(?:(?:please|ok(?:ay)?|now|then|and|can\s+you|could\s+you|would\s+you|let'?s|i\s+want\s+to|i'?d\s+like\s+to)[\s,]+)*`;
     const deploymentPatterns = [
-      /deploy\s+site/i,
-      /deploy\s+website/i,
-      /deploy\s+\w+/i,
-      /publish\s+site/i,
-      /publish\s+website/i,
-      /publish\s+\w+/i,
-      /make\s+site\s+live/i,
-      /make\s+website\s+live/i,
-      /go\s+live/i,
-      /deploy\s+to\s+surge/i,
-      /surge\s+deploy/i
+      /(?:deploy|publish)\s+\w+/,
+      /make\s+(?:the\s+|my\s+|this\s+)?(?:site|website|course|it)\s+live/,
+      /go\s+live/,
+      /surge\s+deploy/
     ];
-    
-    return deploymentPatterns.some(pattern => pattern.test(input));
+
+    return deploymentPatterns.some(pattern => new RegExp(lead + pattern.source, 'i').test(input.trim()));
   }
 
   matchesCustomization(input) {
@@ -700,12 +1272,296 @@ Be encouraging and helpful - this is for non-technical users!`;
     return cloningPatterns.some(pattern => pattern.test(input));
   }
 
+  async handleDeployment(input, context) {
+    const { availableSites = [] } = context;
+    const siteName = this.resolveSite(input, context);
+
+    if (!siteName) {
+      return this.askForSiteSelection(availableSites, 'deploy');
+    }
+
+    // Building and publishing is done by the site's deploy provider when the
+    // plan runs; the domain only applies to Surge
+    const domain = this.extractDomain(input);
+    return {
+      explanation: `🚀 I'll build your "${siteName}" site and publish it to its deploy target${domain ? ` at ${domain}` : ''}. Each deploy is kept as a version you can roll back to.`,
+      commands: [`hax site site:surge${domain ? ` --domain ${domain}` : ''} --y`],
+      success: true,
+      nextSteps: 'Once published, the live link will appear here. You can change where a site publishes in Deployment Settings.',
+      action: 'deploy',
+      siteName
+    };
+  }
+
+  async handleCreateSlidedeck(input, context) {
+    const { availableSites = [], sitesDir } = context;
+    const siteName = this.resolveSite(input, context);
+    const topic = this.stripSiteReference(this.extractSlidedeckTopic(input), siteName);
+
+    if (!siteName) {
+      return this.askForSiteSelection(availableSites, 'add a slidedeck to');
+    }
+
+    if (!topic) {
+      return {
+        explanation: "I'd love to create a slidedeck for you! What topic would you like it to cover?",
+        commands: [],
+        success: true,
+        examples: [
+          "Make a slidedeck about eagles",
+          "Create a presentation about climate change",
+          "Build slides about artificial intelligence"
+        ]
+      };
+    }
+
+    try {
+      return await this.generateSlidedeck(topic, siteName, sitesDir);
+    } catch (error) {
+      this.log('Slidedeck generation failed:', error.message);
+      return {
+        explanation: `Failed to generate a slidedeck about ${topic}. You can try creating individual slides as pages instead.`,
+        commands: [],
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // One overview page plus a child page per slide
+  async generateSlidedeck(topic, siteName, sitesDir) {
+    const structure = await this.generateSlideStructure(topic);
+    const deckTitle = this.sanitizeSlideTitle(structure.title);
+    const commands = [
+      `hax site node:add --node-op create --title ${this.quoted(deckTitle)} --content ${this.quoted(this.generateSlidedeckIndexContent(structure))} --y`
+    ];
+    const pageParents = [];
+
+    for (let i = 0; i < structure.slides.length; i++) {
+      const slide = structure.slides[i];
+      const slideTitle = this.sanitizeSlideTitle(slide.title);
+      const slideContent = await this.generateSlideContent(slide, topic, i + 1, structure);
+      commands.push(`hax site node:add --node-op create --title ${this.quoted(slideTitle)} --content ${this.quoted(slideContent)} --y`);
+      pageParents.push({ page: slideTitle, parent: deckTitle });
+    }
+
+    return {
+      explanation: `🎯 I'll create a slidedeck about "${topic}" with ${structure.slides.length} slides: an overview page called "${deckTitle}" with one page per slide under it.`,
+      commands,
+      pageParents,
+      success: true,
+      nextSteps: `Slidedeck created! You can preview your site by saying "preview ${siteName}" to see the presentation structure.`,
+      action: 'create_slidedeck',
+      siteName,
+      slidedeckTitle: deckTitle,
+      slideCount: structure.slides.length,
+      runFromSiteDir: `${sitesDir}/${siteName}`
+    };
+  }
+
+  async handleCustomization(input, context) {
+    const { availableSites = [], sitesDir } = context;
+    const siteName = this.resolveSite(input, context);
+
+    if (!siteName) {
+      return this.askForSiteSelection(availableSites, 'customize content in');
+    }
+
+    const pageInfo = this.extractCustomizationDetails(input);
+    if (!pageInfo) {
+      return {
+        explanation: "❌ I couldn't understand which page to customize. Please specify the page name and what you want to customize it for.",
+        commands: [],
+        success: false,
+        examples: [
+          "• customize the dogs page and make it about border collies",
+          "• customize aboutus page for small businesses",
+          "• adapt the marketing page for restaurants",
+          "• modify the home page to be about consulting"
+        ]
+      };
+    }
+
+    const { pageName, customization } = pageInfo;
+    let siteData;
+    try {
+      siteData = JSON.parse(await fs.readFile(path.join(sitesDir, siteName, 'site.json'), 'utf8'));
+    } catch (error) {
+      return {
+        explanation: `❌ I couldn't read the pages of ${siteName}: ${error.message}`,
+        commands: [],
+        success: false,
+        error: 'Site data not found'
+      };
+    }
+
+    const items = siteData.items || [];
+    const sourcePage = this.findPage(items, pageName);
+    if (!sourcePage) {
+      return {
+        explanation: `❌ I couldn't find a page matching "${pageName}" in ${siteName}. Please check the page name.`,
+        commands: [],
+        success: false,
+        examples: items.slice(0, 5).map(item => `• ${item.title}`)
+      };
+    }
+
+    let sourceContent = '';
+    try {
+      sourceContent = await fs.readFile(path.join(sitesDir, siteName, sourcePage.location), 'utf8');
+    } catch (error) {
+      this.log(`Could not read ${sourcePage.location}:`, error.message);
+    }
+
+    const customizedContent = await this.generateCustomizedContent(sourcePage.title, sourceContent, customization);
+    const newTitle = this.sanitizePageTitle(this.generateCustomizedTitle(sourcePage.title, customization));
+
+    return {
+      explanation: `🎨 I'll adapt the "${sourcePage.title}" page for ${customization} and add it as a child page called "${newTitle}".`,
+      commands: [`hax site node:add --node-op create --title ${this.quoted(newTitle)} --content ${this.quoted(customizedContent)} --y`],
+      pageParents: [{ page: newTitle, parent: sourcePage.title, parentId: sourcePage.id }],
+      success: true,
+      nextSteps: `Your customized page "${newTitle}" will be created as a child of "${sourcePage.title}"`,
+      action: 'customize_page',
+      sourcePage: sourcePage.title,
+      customization,
+      newTitle,
+      siteName,
+      runFromSiteDir: `${sitesDir}/${siteName}`
+    };
+  }
+
+  async handleSiteCloning(input, context) {
+    const { availableSites = [] } = context;
+    const cloneInfo = this.extractCloneInfo(input);
+
+    if (!cloneInfo) {
+      return {
+        explanation: "❌ I couldn't understand the clone request. Please specify the source URL and optionally a new site name.",
+        commands: [],
+        success: false,
+        examples: [
+          "• create a new site copying from https://mysite.surge.sh",
+          "• copy the site from https://example.surge.sh as newsite",
+          "• clone https://mysite.surge.sh into mynewsite"
+        ]
+      };
+    }
+
+    const { sourceUrl } = cloneInfo;
+    const siteName = cloneInfo.newSiteName || this.generateSiteNameFromUrl(sourceUrl);
+    this.validateNames(siteName, null);
+
+    if (availableSites.includes(siteName)) {
+      return {
+        explanation: `❌ A site named "${siteName}" already exists. Please choose a different name.`,
+        commands: [],
+        success: false,
+        examples: [
+          `• clone ${sourceUrl} as ${siteName}-copy`,
+          `• clone ${sourceUrl} as ${siteName}-v2`
+        ]
+      };
+    }
+
+    return {
+      explanation: `🌐 I'll create a new site "${siteName}" and import the pages and content from ${sourceUrl} using HAX's site import.`,
+      commands: [`hax site start --name ${siteName} --import-site ${this.quoted(sourceUrl)} --import-structure haxcmsToSite --y`],
+      success: true,
+      nextSteps: `Your cloned site "${siteName}" will contain the pages from the source site`,
+      action: 'clone_site',
+      siteName,
+      sourceUrl
+    };
+  }
+
+  async handleAddMultiplePages(input, context) {
+    const { availableSites = [], sitesDir } = context;
+    const pageContents = this.extractMultiplePageContents(input);
+    const siteName = this.resolveSite(input, context);
+
+    if (!siteName) {
+      return this.askForSiteSelection(availableSites, 'add pages to');
+    }
+    const pageTitles = this.extractMultiplePageTitles(input)
+      .map(title => this.stripSiteReference(title, siteName))
+      .filter(Boolean);
+
+    if (pageTitles.length === 0) {
+      return {
+        explanation: "I can see you want to add multiple pages! Can you tell me what you'd like to call them?",
+        commands: [],
+        success: true,
+        examples: [
+          "Add a contact page and about page",
+          "Create services and portfolio pages",
+          "Add a contact page about our company and a services page about web development"
+        ]
+      };
+    }
+
+    for (const pageTitle of pageTitles) {
+      this.validateNames(siteName, pageTitle);
+    }
+
+    const contentMap = new Map(pageContents.map(({ pageTitle, content }) =>
+      [pageTitle.toLowerCase(), this.stripSiteReference(content, siteName)]));
+    const commands = [];
+    for (const pageTitle of pageTitles) {
+      const contentPrompt = contentMap.get(pageTitle.toLowerCase());
+      const content = contentPrompt ? await this.generatePageContent(pageTitle, contentPrompt) : '';
+      commands.push(`hax site node:add --node-op create --title ${this.quoted(pageTitle)}${content ? ` --content ${this.quoted(content)}` : ''} --y`);
+    }
+
+    const withContent = contentMap.size > 0;
+    return {
+      explanation: `I'll add ${pageTitles.length} new pages to your ${siteName} site${withContent ? ' with content' : ''}: ${pageTitles.join(', ')}`,
+      commands,
+      success: true,
+      nextSteps: `Pages created! You can preview your site by saying "preview ${siteName}" or add content to any page.`,
+      action: withContent ? 'add_multiple_pages_with_content' : 'add_multiple_pages',
+      siteName,
+      pageTitles,
+      runFromSiteDir: `${sitesDir}/${siteName}`
+    };
+  }
+
+  async handleAddWebComponent(input, context) {
+    const { availableSites = [] } = context;
+    const siteName = this.resolveSite(input, context);
+
+    if (!siteName) {
+      return this.askForSiteSelection(availableSites, 'add a web component to');
+    }
+
+    const componentType = this.extractComponentType(input);
+    const pageSource = this.extractPageSource(input);
+    const contentPrompt = this.stripSiteReference(this.extractContent(input), siteName);
+
+    if (!componentType) {
+      return {
+        explanation: "I couldn't determine what type of component you want to create. Try saying something like 'add a multiple choice quiz' or 'create a timeline'.",
+        commands: [],
+        success: false,
+        error: 'Unknown component type',
+        suggestions: [
+          "Add a multiple choice quiz about the content on page X",
+          "Create a timeline for the history page",
+          "Add a carousel to the gallery page"
+        ]
+      };
+    }
+
+    if (componentType === 'quiz' || componentType === 'multiple-choice') {
+      return await this.handleCreateQuiz(input, context, siteName, pageSource, contentPrompt);
+    }
+    return await this.handleCreateGeneralComponent(input, context, siteName, componentType, pageSource, contentPrompt);
+  }
+
   async handleCreateQuiz(input, context, siteName, pageSource, contentPrompt) {
     const { sitesDir } = context;
-    let pageTitle = `Quiz`;
-    let quizContent = '';
-    let topic = 'general knowledge';
 
+    // Quizzes are added to existing pages, they are not standalone pages
     if (!pageSource) {
       return {
         explanation: "To add a quiz, you need to specify which page to add it to. Quizzes are components that get added to existing pages, not standalone pages.",
@@ -720,17 +1576,275 @@ Be encouraging and helpful - this is for non-technical users!`;
       };
     }
 
+    // "a quiz about sharks to the Ocean page" uses the topic,
+    // "a quiz to the university page" uses what the page says
+    const quizContent = contentPrompt ?
+      await this.generateQuizFromPrompt(contentPrompt) :
+      await this.generateQuizFromPageContent(siteName, pageSource, sitesDir, pageSource);
+    return await this.planComponentInsert(siteName, pageSource, quizContent, 'quiz', sitesDir);
+  }
+
+  async handleCreateGeneralComponent(input, context, siteName, componentType, pageSource, contentPrompt) {
+    const { sitesDir } = context;
+    const componentMap = {
+      'a11y-carousel': 'image carousel',
+      'lrndesign-timeline': 'timeline',
+      'lrndesign-imagemap': 'interactive image map',
+      'lesson-overview': 'lesson overview',
+      'code-sample': 'code sample',
+      'media-quote': 'media quote',
+      'citation-element': 'citation',
+      'content-block': 'content block'
+    };
+
+    const componentName = componentMap[componentType] || componentType;
+    const builtWith = isKnownElement(componentType) ? `the ${componentType} web component` : 'plain HTML';
+    const componentContent = this.generateGenericComponentContent(componentType, contentPrompt || `this ${componentName}`);
+
+    if (pageSource) {
+      return await this.planComponentInsert(siteName, pageSource, componentContent, componentName, sitesDir);
+    }
+
+    // No target page - the component gets a page of its own
+    const pageTitle = this.capitalizeWords(componentName);
+    return {
+      explanation: `I'll create a ${componentName} page called "${pageTitle}" in your ${siteName} site using ${builtWith}.`,
+      commands: [`hax site node:add --node-op create --title ${this.quoted(pageTitle)} --content ${this.quoted(componentContent)} --y`],
+      success: true,
+      nextSteps: `Component created! You can preview your site and customize the ${componentName} content as needed.`,
+      action: 'create_component',
+      siteName,
+      runFromSiteDir: `${sitesDir}/${siteName}`
+    };
+  }
+
+  async handleAddPage(input, context) {
+    const { availableSites = [], sitesDir } = context;
+    let pageTitle = this.extractPageTitle(input);
+    const siteName = this.resolveSite(input, context);
+
+    if (!siteName) {
+      return this.askForSiteSelection(availableSites, 'add a page to');
+    }
+
+    if (pageTitle) {
+      pageTitle = this.stripSiteReference(pageTitle, siteName);
+    }
+    if (!pageTitle) {
+      return {
+        explanation: "What would you like to call the new page?",
+        commands: [],
+        success: true,
+        examples: [
+          `Add a page called About to ${siteName}`,
+          `Create a contact page in ${siteName}`,
+          `Add a child page called Team under the About page`
+        ]
+      };
+    }
+    this.validateNames(siteName, pageTitle);
+
+    const parentPage = this.extractParentPage(input);
+    // The description follows the title; "under the About page" isn't part of it
+    const titleAt = input.toLowerCase().indexOf(pageTitle.toLowerCase());
+    const description = (titleAt >= 0 ? input.slice(titleAt + pageTitle.length) : input)
+      .replace(/\s+(?:under|beneath|inside)\s+(?:the\s+)?[a-zA-Z0-9_\- ]+?\s+(?:page|section)\b/i, '');
+    const contentPrompt = this.stripSiteReference(this.extractContent(description), siteName);
+
+    // Content from the request when there is a description, otherwise from
+    // the site's course resources (resource-first)
+    const content = contentPrompt ?
+      await this.generatePageContent(pageTitle, contentPrompt) :
+      await this.generateBasicContentFromResources({ topic: pageTitle, sitesDir, siteName });
+
+    let explanation = parentPage ?
+      `I'll add a new child page called "${pageTitle}" under the "${parentPage}" page in your ${siteName} site.` :
+      `I'll add a new page called "${pageTitle}" to your ${siteName} site.`;
     if (contentPrompt) {
-      topic = contentPrompt;
-      quizContent = await this.generateQuizFromPrompt(topic);
-    } else {
-      topic = pageSource;
-      quizContent = await this.generateQuizFromPrompt(topic);
+      explanation += ` The page will include content about ${contentPrompt}.`;
+    } else if (content) {
+      explanation += ' Its content is based on your course resources.';
+    }
+
+    return {
+      explanation,
+      commands: [`hax site node:add --node-op create --title ${this.quoted(pageTitle)}${content ? ` --content ${this.quoted(content)}` : ''} --y`],
+      pageParents: parentPage ? [{ page: pageTitle, parent: parentPage }] : undefined,
+      success: true,
+      nextSteps: `Page added! You can preview your site by saying "preview ${siteName}"`,
+      action: `add_${parentPage ? 'child_' : ''}page${content ? '_with_content' : ''}`,
+      siteName,
+      pageTitle,
+      runFromSiteDir: `${sitesDir}/${siteName}`
+    };
+  }
+
+  handleCreateSite(input, context) {
+    const { availableSites = [] } = context;
+    const siteName = this.extractSiteName(input);
+
+    if (!siteName) {
+      return {
+        explanation: "I'd be happy to create a site for you! What would you like to call it?",
+        commands: [],
+        success: true,
+        examples: [
+          "Create a site called my-blog",
+          "Make a portfolio site called john-portfolio",
+          "Create a business site called my-bakery"
+        ]
+      };
+    }
+    this.validateNames(siteName, null);
+
+    if (availableSites.includes(siteName)) {
+      return {
+        explanation: `A site called "${siteName}" already exists. Pick another name, or select it from the site list to keep working on it.`,
+        commands: [],
+        success: false,
+        error: 'Site already exists'
+      };
+    }
+
+    // Penn State sites get the Polaris theme
+    const theme = /penn state/i.test(input) ? 'polaris-flex-theme' : null;
+    return {
+      explanation: `I'll create a new HAX site called "${siteName}". This will set up all the files and structure you need to start building your website.${theme ? '\nApplying Penn State theme.' : ''}`,
+      commands: [`hax site start --name ${siteName}${theme ? ` --theme ${theme}` : ''} --y`],
+      success: true,
+      nextSteps: `Great! Once created, you can add pages by saying: "Add a page called About to ${siteName}"`,
+      action: 'create-site',
+      siteName
+    };
+  }
+
+  handleListContent(input, context) {
+    const { availableSites = [], sitesDir } = context;
+    const lower = input.toLowerCase();
+
+    if (lower.includes('page')) {
+      const siteName = this.resolveSite(input, context);
+      if (!siteName) {
+        return this.askForSiteSelection(availableSites, 'list pages from');
+      }
+
+      return {
+        explanation: `I'll show you all the pages in ${siteName}.`,
+        commands: [`cat ${this.quoted(path.join(sitesDir, siteName, 'site.json'))}`],
+        success: true,
+        action: 'list-pages',
+        siteName
+      };
+    }
+
+    if (lower.includes('site')) {
+      if (availableSites.length === 0) {
+        return {
+          explanation: "You don't have any sites yet! Let's create your first one.",
+          commands: [],
+          success: true,
+          suggestion: 'Try: "Create a site called my-first-site"'
+        };
+      }
+
+      return {
+        explanation: `You have ${availableSites.length} site(s): ${availableSites.join(', ')}`,
+        commands: [],
+        success: true,
+        data: { sites: availableSites },
+        action: 'list-sites'
+      };
+    }
+
+    return this.getDefaultResponse(input);
+  }
+
+  handlePreview(input, context) {
+    const { availableSites = [], sitesDir } = context;
+    const siteName = this.resolveSite(input, context);
+
+    if (!siteName) {
+      return this.askForSiteSelection(availableSites, 'preview');
     }
-    return await this.addComponentToExistingPage(siteName, pageSource, quizContent, 'quiz', sitesDir);
+
+    return {
+      explanation: `I'll start a preview server for ${siteName}.`,
+      commands: [`hax serve --path ${this.quoted(path.join(sitesDir, siteName))}`],
+      success: true,
+      action: 'serve',
+      siteName,
+      nextSteps: 'Once it is running, open the preview from the site card. Changes show up as you make them.'
+    };
+  }
+
+  handlePublish(input, context) {
+    return this.handleDeployment(input, context);
   }
 
-  async addComponentToExistingPage(siteName, pageName, componentContent, componentType, sitesDir) {
+  async handleEdit(input, context) {
+    const { availableSites = [], sitesDir } = context;
+    const siteName = this.resolveSite(input, context);
+    const pageTitle = this.extractPageTitle(input);
+
+    if (!siteName) {
+      return this.askForSiteSelection(availableSites, 'edit content in');
+    }
+
+    if (!pageTitle) {
+      return {
+        explanation: "Which page would you like to edit?",
+        commands: [],
+        success: true,
+        examples: [
+          `Edit the About page in ${siteName}`,
+          `Change the homepage content`,
+          `Update the contact page`
+        ]
+      };
+    }
+
+    let items = [];
+    try {
+      items = JSON.parse(await fs.readFile(path.join(sitesDir, siteName, 'site.json'), 'utf8')).items || [];
+    } catch (error) {
+      this.log(`Could not read site.json for ${siteName}:`, error.message);
+    }
+
+    const page = this.findPage(items, pageTitle);
+    if (!page) {
+      return {
+        explanation: `I couldn't find a page called "${pageTitle}" in ${siteName}.${items.length ? ` Available pages: ${items.map(item => item.title).join(', ')}` : ''}`,
+        commands: [],
+        success: false,
+        error: 'Page not found'
+      };
+    }
+
+    return {
+      explanation: `The "${page.title}" page in ${siteName} is stored in ${page.location}. Preview the site to edit it in the HAX editor, or ask me to change it, for example "customize the ${page.title} page for ..." or "add a quiz to the ${page.title} page".`,
+      commands: [],
+      success: true,
+      action: 'edit-page',
+      siteName,
+      pageTitle: page.title,
+      data: { page: { id: page.id, title: page.title, slug: page.slug, location: page.location } }
+    };
+  }
+
+  // Find a page by exact title or slug, then by partial title
+  findPage(items, pageName) {
+    const name = pageName.toLowerCase();
+    return items.find(item =>
+      (item.title || '').toLowerCase() === name ||
+      (item.slug || '').toLowerCase() === name.replace(/\s+/g, '-')
+    ) || items.find(item =>
+      (item.title || '').toLowerCase().includes(name)
+    ) || null;
+  }
+
+  // Check that a component can go on an existing page and return it as a plan
+  // step (componentInserts); the page is only changed once the user confirms
+  async planComponentInsert(siteName, pageName, componentContent, componentType, sitesDir) {
     try {
       const siteJsonPath = `${sitesDir}/${siteName}/site.json`;
       let siteData;
@@ -746,12 +1860,7 @@ Be encouraging and helpful - this is for non-technical users!`;
         };
       }
 
-      const pageItem = siteData.items.find(item =>
-        item.title.toLowerCase() === pageName.toLowerCase() ||
-        item.slug.toLowerCase() === pageName.toLowerCase().replace(/\s+/g, '-')
-      ) || siteData.items.find(item =>
-        item.title.toLowerCase().includes(pageName.toLowerCase())
-      );
+      const pageItem = this.findPage(siteData.items || [], pageName);
 
       if (!pageItem) {
         const availablePages = siteData.items.map(item => item.title).join(', ');
@@ -780,13 +1889,28 @@ Be encouraging and helpful - this is for non-technical users!`;
         };
       }
 
-      const updatedContent = currentContent.trim() + '\n\n' + componentContent;
-      await fs.writeFile(pageFilePath, updatedContent, 'utf8');
+      // Lint the new HTML where it lands in the page before proposing it
+      const validation = validateHtml(componentContent, { previousHeading: lastHeadingLevel(currentContent) });
+      if (validation.blocked) {
+        return {
+          explanation: `I didn't add the ${componentType} to "${pageItem.title}" because its HTML failed the page checks:\n${formatIssues(validation.issues).join('\n')}`,
+          commands: [],
+          success: false,
+          error: 'HTML validation failed',
+          validation
+        };
+      }
 
       return {
-        explanation: `Added ${componentType} to page "${pageName}" in site "${siteName}"`,
+        explanation: `I'll add a ${componentType} to the end of the "${pageItem.title}" page in your ${siteName} site.` +
+          (validation.issues.length > 0 ? `\n\nThings to check:\n${formatIssues(validation.issues).join('\n')}` : ''),
         commands: [],
-        success: true
+        componentInserts: [{ page: pageItem.title, pageId: pageItem.id, html: componentContent, component: componentType }],
+        success: true,
+        nextSteps: `Once it's added, preview the page to check the ${componentType}.`,
+        action: 'add-component',
+        siteName,
+        validation
       };
     } catch (error) {
       return {
@@ -798,153 +1922,242 @@ Be encouraging and helpful - this is for non-technical users!`;
     }
   }
 
-  async handleCreateSlidedeck(input, context) {
+  getHelpResponse() {
     return {
-      explanation: 'Slidedeck creation not fully implemented in this version',
-      commands: [],
-      success: false,
-      error: 'Not implemented'
-    };
-  }
+      explanation: `I can help you build websites with simple commands! Here's what you can say:
 
-  async handleDeployment(input, context) {
-    return {
-      explanation: 'Deployment not fully implemented in this version',
-      commands: ['hax site site:surge'],
-      success: true
-    };
-  }
+**🏗️ Creating Sites:**
+• "Create a site called my-blog"
+• "Make a portfolio site called john-portfolio"
+• "Clone https://mysite.surge.sh as my-copy"
 
-  async handleCustomization(input, context) {
-    return {
-      explanation: 'Customization not fully implemented in this version',
-      commands: [],
-      success: false,
-      error: 'Not implemented'
-    };
-  }
+**📄 Adding Content:**
+• "Add a page called About"
+• "Add a page called History about the founding of our town"
+• "Add a child page called Team under the About page"
+• "Add contact and about pages" (multiple pages)
+• "Add a contact page about our company and a services page about web development"
+• "Make a slidedeck about eagles"
 
-  async handleSiteCloning(input, context) {
-    return {
-      explanation: 'Site cloning not fully implemented in this version',
+**🧩 Components:**
+• "Add a quiz about sharks to the Ocean page"
+• "Add a quiz about the content on the History page"
+• "Create a timeline for the History page"
+
+**🎨 Customizing:**
+• "Customize the dogs page and make it about border collies"
+• "Adapt the marketing page for restaurants"
+
+**📋 Managing Sites:**
+• "Show me all my sites"
+• "List pages in my-blog"
+
+**👀 Previewing:**
+• "Preview my site"
+
+**🚀 Publishing:**
+• "Publish my site"
+• "Deploy to myblog.surge.sh"
+
+**✏️ Editing:**
+• "Edit the About page"
+
+Just tell me what you want to do in plain English - I understand natural conversation!`,
       commands: [],
-      success: false,
-      error: 'Not implemented'
+      success: true,
+      isHelp: true
     };
   }
 
-  async handleAddMultiplePages(input, context) {
+  getDefaultResponse(input) {
+    const suggestions = [
+      "Create a site called my-blog",
+      "Add a page called About",
+      "Show me all my sites",
+      "Preview my site",
+      "Publish my site"
+    ];
+
     return {
-      explanation: 'Adding multiple pages not fully implemented in this version',
+      explanation: `I'm not sure exactly what you want to do with "${input}". Here are some things you can try:
+
+${suggestions.map(s => `• "${s}"`).join('\n')}
+
+Type "help" for more detailed examples, or just tell me what you'd like to do with your website!`,
       commands: [],
-      success: false,
-      error: 'Not implemented'
+      success: true,
+      suggestions
     };
   }
 
-  async handleAddPage(input, context) {
-    return {
-      explanation: 'Adding page not fully implemented in this version',
-      commands: ['hax site node:add'],
-      success: true
-    };
+  // Three paragraphs for a new page, from the model when one is available
+  async generatePageContent(pageTitle, contentPrompt) {
+    const generated = await this.generateText(
+      `Write exactly 3 paragraphs of engaging HTML content for a web page titled "${pageTitle}" about ${contentPrompt}. Each paragraph should be wrapped in <p> tags. Make it informative, well-written, and appropriate for a website. Do not include any other HTML tags or explanatory text - just the 3 paragraphs.`,
+      { task: 'pageContent' }
+    );
+    return generated || this.generateThreeParagraphsContent(pageTitle, contentPrompt);
   }
 
-  handleCreateSite(input, sitesDir) {
-    return {
-      explanation: 'Creating site not fully implemented in this version',
-      commands: ['hax site start my-site'],
-      success: true
-    };
-  }
+  // Starter paragraphs built from the request itself
+  generateThreeParagraphsContent(pageTitle, baseContent) {
+    if (baseContent.includes('<p>')) return baseContent;
 
-  handleListContent(input, context) {
-    return {
-      explanation: 'Listing content not fully implemented in this version',
-      commands: [],
-      success: false,
-      error: 'Not implemented'
-    };
-  }
+    const sentences = baseContent.split(/(?<=[.!?])\s+/).filter(Boolean).map(s => this.escapeHtml(s));
+    if (sentences.length >= 3) {
+      const size = Math.ceil(sentences.length / 3);
+      return [0, 1, 2].map(i => `<p>${sentences.slice(i * size, (i + 1) * size).join(' ')}</p>`).join('');
+    }
 
-  handlePreview(input, context) {
-    return {
-      explanation: 'Preview not fully implemented in this version',
-      commands: ['hax serve'],
-      success: true
-    };
+    const topic = this.escapeHtml(baseContent.replace(/[.!?]+$/, ''));
+    const title = this.escapeHtml(pageTitle);
+    return [
+      `<p>This page covers ${topic}.</p>`,
+      `<p>Use the ${title} page to explain the key ideas, give examples and point readers to further information about ${topic}.</p>`,
+      `<p>Edit this page to replace this starter text with your own content.</p>`
+    ].join('');
   }
 
-  handlePublish(input, context) {
-    return {
-      explanation: 'Publishing not fully implemented in this version',
-      commands: ['hax site site:surge'],
-      success: true
-    };
+  async generateQuizFromPrompt(topic) {
+    const generated = await this.generateText(`TASK: Create exactly ONE quiz with ONE question that has 4 possible answers about "${topic}".
+
+Format:
+<h2>Quiz: ${topic}</h2>
+<p>Test your knowledge about ${topic} with this interactive quiz!</p>
+
+<multiple-choice single-option="" randomize="" max-attempts="0" question="[One educational question about ${topic}]">
+  <input type="checkbox" value="[Wrong answer choice]">
+  <input type="checkbox" value="[Correct answer]" correct="correct">
+  <input type="checkbox" value="[Wrong answer choice]">
+  <input type="checkbox" value="[Wrong answer choice]">
+</multiple-choice>
+
+REQUIREMENTS:
+- EXACTLY ONE quiz with ONE question only
+- Mark the correct answer with correct="correct"
+- Return only the HTML`, { task: 'quiz' });
+    return generated || this.generateTemplateQuiz(topic);
   }
 
-  handleEdit(input, context) {
-    return {
-      explanation: 'Editing not fully implemented in this version',
-      commands: [],
-      success: false,
-      error: 'Not implemented'
-    };
+  // Quiz questions drawn from what a page already says
+  async generateQuizFromPageContent(siteName, pageSource, sitesDir, fallbackTopic = null) {
+    const topic = fallbackTopic || pageSource;
+    try {
+      const siteData = JSON.parse(await fs.readFile(path.join(sitesDir, siteName, 'site.json'), 'utf8'));
+      const pageItem = this.findPage(siteData.items || [], pageSource);
+      if (!pageItem) {
+        return this.generateQuizFromPrompt(topic);
+      }
+
+      const pageContent = await fs.readFile(path.join(sitesDir, siteName, pageItem.location), 'utf8');
+      const generated = await this.generateText(`TASK: Create exactly ONE quiz with ONE question that has 4 possible answers based on this content.
+
+Content: ${pageContent.substring(0, 1000)}
+
+Format:
+<h2>Quiz: ${pageItem.title}</h2>
+<p>Test your knowledge about the content from this page!</p>
+
+<multiple-choice single-option="" randomize="" max-attempts="0" question="[One question based on content]">
+  <input type="checkbox" value="[Wrong answer choice]">
+  <input type="checkbox" value="[Correct answer from content]" correct="correct">
+  <input type="checkbox" value="[Wrong answer choice]">
+  <input type="checkbox" value="[Wrong answer choice]">
+</multiple-choice>
+
+REQUIREMENTS:
+- EXACTLY ONE quiz with ONE question only
+- Base the question on the actual content
+- Mark the correct answer with correct="correct"
+- Return only the HTML`, { task: 'quiz' });
+      return generated || this.generateTemplateQuiz(pageItem.title);
+    } catch (error) {
+      this.log('Error generating quiz from page content:', error.message);
+      return this.generateTemplateQuiz(topic);
+    }
   }
 
-  getHelpResponse() {
-    return {
-      explanation: 'Available commands: create site, add page, publish site, etc.',
-      commands: [],
-      success: true
-    };
+  generateTemplateQuiz(topic) {
+    const name = this.escapeHtml(topic);
+    return `<h2>Quiz: ${name}</h2><p>Test your knowledge about ${name} with this interactive quiz!</p><multiple-choice single-option="" randomize="" max-attempts="0" question="What is the main topic of this quiz?"><input type="checkbox" value="Random information"><input type="checkbox" value="${name}" correct="correct"><input type="checkbox" value="General knowledge"><input type="checkbox" value="None of the above"></multiple-choice><multiple-choice single-option="" randomize="" max-attempts="0" question="Which statement best describes ${name}?"><input type="checkbox" value="It's not relevant"><input type="checkbox" value="It's an important subject to learn about" correct="correct"><input type="checkbox" value="It's too complex to understand"><input type="checkbox" value="It's outdated information"></multiple-choice><multiple-choice single-option="" randomize="" max-attempts="0" question="How can you learn more about ${name}?"><input type="checkbox" value="Ignore it completely"><input type="checkbox" value="Only read one source"><input type="checkbox" value="Study multiple sources and practice" correct="correct"><input type="checkbox" value="Memorize random facts"></multiple-choice><p><em>Note: You can customize these questions and add more by editing this page. Each &lt;multiple-choice&gt; element creates an interactive quiz question with immediate feedback.</em></p>`;
   }
 
-  getDefaultResponse(input) {
-    return {
-      explanation: `Sorry, I didn't understand "${input}". Try "help" for available commands.`,
-      commands: [],
-      success: false,
-      error: 'Unknown command'
-    };
+  // Starter markup for the other web components
+  generateGenericComponentContent(componentType, contentPrompt) {
+    const topic = this.escapeHtml(contentPrompt);
+    switch (componentType) {
+      case 'a11y-carousel':
+        return `<h2>Image Carousel</h2>
+<a11y-carousel>
+  <div><h3>Slide 1</h3><p>First slide content about ${topic}</p></div>
+  <div><h3>Slide 2</h3><p>Second slide with more information</p></div>
+  <div><h3>Slide 3</h3><p>Final slide content</p></div>
+</a11y-carousel>`;
+
+      case 'lrndesign-timeline':
+        return `<h2>Timeline</h2>
+<lrndesign-timeline>
+  <div slot="event"><h3>Event 1</h3><p>Description of first event related to ${topic}</p></div>
+  <div slot="event"><h3>Event 2</h3><p>Second important event</p></div>
+  <div slot="event"><h3>Event 3</h3><p>Most recent event</p></div>
+</lrndesign-timeline>`;
+
+      case 'code-sample':
+        return `<h2>Code Sample</h2>
+<p>Here's an example related to ${topic}:</p>
+<code-sample language="html">
+  <template>
+    <h1>Example Code</h1>
+    <p>This is sample code about ${topic}</p>
+  </template>
+</code-sample>`;
+
+      case 'media-quote':
+        return `<h2>Featured Quote</h2>
+<media-quote author="Expert" source="Educational Resource">
+  This is an inspiring quote about ${topic} that provides valuable insight and perspective on the topic.
+</media-quote>`;
+
+      default: {
+        const heading = `<h2>${this.capitalizeWords(componentType.replace(/-/g, ' '))}</h2>`;
+        // Only wrap in elements HAX can load; anything else stays plain HTML
+        if (!isKnownElement(componentType)) {
+          return `${heading}
+<p>This section is about ${topic}. You can customize this content to fit your needs.</p>`;
+        }
+        return `${heading}
+<p>This is a ${componentType} component about ${topic}. You can customize this content to fit your needs.</p>
+<${componentType}>
+  <p>Component content goes here</p>
+</${componentType}>`;
+      }
+    }
   }
 
-  async generateQuizFromPrompt(topic) {
-    return `<quiz-component topic=\"${topic}\"></quiz-component>`;
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
 
+  // Draft paragraphs from the resource chunks that best match the topic,
+  // with a line saying where they came from
   async generateBasicContentFromResources({ topic, sitesDir, siteName }) {
     try {
-      const resourcesDir = path.join(sitesDir, siteName, 'faculty-resources');
-      const resourcesPath = path.join(resourcesDir, 'resources.json');
-      let urls = [];
-      let notes = '';
-      try {
-        const meta = await fs.readFile(resourcesPath, 'utf8');
-        const parsed = JSON.parse(meta);
-        urls = parsed.urls || [];
-        notes = parsed.notes || '';
-      } catch {}
-      let snippets = [];
-      try {
-        const entries = await fs.readdir(resourcesDir, { withFileTypes: true });
-        const files = entries.filter(e => e.isFile() && !e.name.endsWith('.json'));
-        for (const f of files.slice(0, 5)) {
-          const full = path.join(resourcesDir, f.name);
-          const text = await this.extractTextFromResource(full);
-          if (text) snippets.push(text.substring(0, 1500));
-        }
-      } catch {}
-      if (urls.length === 0 && snippets.length === 0 && !notes) return '';
-      // Build 3 simple paragraphs prioritized from snippets and notes
-      const base = [notes, ...snippets].join(' ').trim();
+      const { notes, excerpts } = await this.findResources({ sitesDir, currentSite: siteName }, topic || '', { limit: 3 });
+      if (excerpts.length === 0 && !notes) return '';
+      const paragraphs = excerpts.length > 0 ?
+        excerpts.map(excerpt => excerpt.text) :
+        [notes.substring(0, 1500)];
       const topicText = topic || 'this topic';
-      const chunk = base.substring(0, 1500);
-      if (!chunk) return '';
-      const p1 = `${topicText}: ${chunk.substring(0, 450)}`;
-      const p2 = chunk.substring(450, 900);
-      const p3 = chunk.substring(900, 1350);
-      return `<p>${p1}</p>\n<p>${p2}</p>\n<p>${p3}</p>`;
+      const sources = [...new Set(excerpts.map(excerpt => excerpt.citation))];
+      return [
+        `<p>${this.escapeHtml(`${topicText}: ${paragraphs[0]}`)}</p>`,
+        ...paragraphs.slice(1).map(paragraph => `<p>${this.escapeHtml(paragraph)}</p>`),
+        ...(sources.length > 0 ? [`<p><em>Sources: ${this.escapeHtml(sources.join('; '))}</em></p>`] : [])
+      ].join('\n');
     } catch {
       return '';
     }
@@ -956,36 +2169,31 @@ Be encouraging and helpful - this is for non-technical users!`;
     }
   }
 
-  addToHistory(userInput, response) {
-    this.conversationHistory.push({ role: 'user', content: userInput });
-    this.conversationHistory.push({ role: 'assistant', content: response });
-    if (this.conversationHistory.length > 20) {
-      this.conversationHistory = this.conversationHistory.slice(-20);
-    }
+  // Append an exchange to the conversation history passed in the context
+  addToHistory(context, userInput, response) {
+    const history = (context.conversationHistory || []).concat(
+      { role: 'user', content: userInput },
+      { role: 'assistant', content: response }
+    );
+    context.conversationHistory = history.slice(-20);
   }
 
+  // Pick up API keys and model settings saved from the settings modal
   updateConfig() {
-    delete require.cache[require.resolve('dotenv')];
-    require('dotenv').config();
-    
-    this.anthropicAPI = process.env.ANTHROPIC_API_KEY ? 
-      require('@anthropic-ai/sdk').default ? new (require('@anthropic-ai/sdk').default)({
-        apiKey: process.env.ANTHROPIC_API_KEY
-      }) : null : null;
-      
-    this.openaiAPI = process.env.OPENAI_API_KEY ?
-      require('openai').OpenAI ? new (require('openai').OpenAI)({
-        apiKey: process.env.OPENAI_API_KEY
-      }) : null : null;
-      
-    this.log('🔄 AI Processor configuration updated');
+    this.hasOpenAI = !!process.env.OPENAI_API_KEY;
+    this.hasAnthropic = !!process.env.ANTHROPIC_API_KEY;
+    this.hasLocalAI = !!process.env.LOCAL_AI_BASE_URL;
+    this.hasAPIKey = configuredProviders().length > 0;
+    this.health.setPolicy(policyFromEnv());
+    this.initializeDirectAI();
+    this.log('🔄 AI Processor configuration updated:', this.aiProvider);
   }
 
   async generateCustomizedContent(originalTitle, originalContent, customization) {
     const prompt = `You are helping to customize web page content. Take the original content and adapt it for a new specific purpose.
 
 Original Page Title: "${originalTitle}"
-Original Content: "${originalContent}"
+Original Content: "${originalContent.substring(0, 6000)}"
 
 Customization Request: "${customization}"
 
@@ -998,36 +2206,120 @@ Please create new content that:
 
 Return only the HTML content (no title, as that will be set separately). Make it engaging and informative.`;
 
-    try {
-      let response;
-      if (this.aiProvider === 'anthropic') {
-        const completion = await this.anthropicAPI.messages.create({
-          model: "claude-3-haiku-20240307",
-          max_tokens: 2000,
-          system: 'You are an expert content customization assistant. Create high-quality, customized web content that maintains the original structure while adapting it for the new topic.',
-          messages: [{ role: "user", content: prompt }]
-        });
-        response = completion.content[0].text.trim();
-      } else if (this.aiProvider === 'openai') {
-        const completion = await this.openaiAPI.chat.completions.create({
-          model: "gpt-3.5-turbo",
-          messages: [
-            { role: "system", content: "You are an expert content customization assistant. Create high-quality, customized web content that maintains the original structure while adapting it for the new topic." },
-            { role: "user", content: prompt }
-          ],
-          max_tokens: 2000,
-          temperature: 0.7
+    const generated = await this.generateText(prompt, {
+      system: 'You are an expert content customization assistant. Create high-quality, customized web content that maintains the original structure while adapting it for the new topic.',
+      task: 'customization'
+    });
+    if (generated) {
+      return generated;
+    }
+
+    // Without a model, copy the page with a note so the author can adapt it
+    return `<p><em>Adapted from "${this.escapeHtml(originalTitle)}" for ${this.escapeHtml(customization)}. Update the text below for the new topic.</em></p>\n${originalContent.trim()}`;
+  }
+
+  // Send a chat for one task (see AI_TASKS) and return the reply text, using
+  // that task's provider, model, token limit and temperature. With onText,
+  // the reply is streamed and each piece is passed to it as it arrives. With
+  // responseSchema, the provider is asked for JSON in that shape.
+  async requestCompletion({ task = 'planning', system, messages, responseSchema }, onText = null) {
+    // Once part of a reply has been shown, retrying would repeat it
+    let streamed = false;
+    const forward = onText && (text => {
+      streamed = true;
+      onText(text);
+    });
+
+    return this.withFailover(task, (provider, client, settings) => provider.complete(
+      client,
+      { ...settings, system, messages, responseSchema },
+      forward
+    ), () => !streamed);
+  }
+
+  // One agent step: send the conversation with tool definitions and return
+  // { text, toolCalls } (see ai-providers.js for the message format)
+  async requestToolTurn({ task = 'planning', system, messages, tools }) {
+    return this.withFailover(task, (provider, client, settings) => provider.completeWithTools(
+      client,
+      { ...settings, system, messages, tools }
+    ));
+  }
+
+  // Run call(provider, client, settings) on the task's provider. Rate limits
+  // and server errors are retried with backoff; when a provider still fails,
+  // the next one in the failover chain is tried. Providers that keep failing
+  // are skipped for a while (see provider-health.js). canRetry() returning
+  // false stops both, e.g. once streamed text has reached the user.
+  async withFailover(task, call, canRetry = () => true) {
+    const settings = resolveTaskSettings(task);
+    const chain = failoverChain(settings.provider).filter(providerId => this.clients && this.clients[providerId]);
+    if (chain.length === 0) {
+      throw new Error('No AI provider available');
+    }
+
+    let lastError = null;
+    for (const providerId of chain) {
+      if (!this.health.isAvailable(providerId)) {
+        this.log(`⏭️ Skipping ${providerId}: too many recent failures`);
+        continue;
+      }
+
+      try {
+        const model = providerId === settings.provider && settings.model ?
+          settings.model :
+          getAIProvider(providerId).defaultModel || await this.discoverModel(providerId);
+        this.log(`🔍 ${task}: ${providerId}/${model} (max ${settings.maxTokens} tokens, temperature ${settings.temperature})`);
+
+        const reply = await this.health.withRetries(providerId, () => call(
+          getAIProvider(providerId),
+          this.clients[providerId],
+          { model, maxTokens: settings.maxTokens, temperature: settings.temperature }
+        ), {
+          canRetry,
+          onRetry: (error, attempt, delay) => this.log(`🔁 ${providerId} failed (${error.message}), retry ${attempt} in ${Math.round(delay)}ms`)
         });
-        response = completion.choices[0].message.content.trim();
-      } else {
-        throw new Error('No AI provider available');
+        this.health.recordSuccess(providerId);
+        return reply;
+      } catch (error) {
+        this.health.recordFailure(providerId, error);
+        this.log(`⚠️ ${providerId} failed:`, error.message);
+        lastError = error;
+        if (!canRetry()) {
+          throw error;
+        }
       }
+    }
+
+    throw lastError || new Error('All AI providers are temporarily unavailable');
+  }
 
-      return response;
+  // First model a local server reports, for tasks that don't name one
+  async discoverModel(providerId) {
+    if (!this.discoveredModels[providerId]) {
+      const [model] = await listProviderModels(providerId);
+      if (!model) {
+        throw new Error(`No models available from ${getAIProvider(providerId).label}`);
+      }
+      this.discoveredModels[providerId] = model;
+    }
+    return this.discoveredModels[providerId];
+  }
+
+  // One-off completion used for page content. Returns null when no model is
+  // available or the call fails, so callers can fall back to templates.
+  async generateText(prompt, { task = 'pageContent', system } = {}) {
+    if (!this.ai || !this.initialized) {
+      return null;
+    }
+
+    try {
+      const reply = await this.requestCompletion({ task, system, messages: [{ role: "user", content: prompt }] });
+      return reply.trim() || null;
     } catch (error) {
-      this.log('Error generating customized content:', error);
-      return `<p>Error generating customized content: ${error.message}. Please try again.</p>`;
+      this.log('Content generation failed:', error.message);
     }
+    return null;
   }
 
   async generateSlideStructure(topic) {
@@ -1072,8 +2364,36 @@ Return only the HTML content (no title, as that will be set separately). Make it
     };
   }
 
+  // Slide page built from the slide's subtitle and key points
   async generateSlideContent(slide, topic, slideNumber, structure) {
-    return `<div>Slide ${slideNumber}: ${slide.title}</div>`;
+    const lines = [
+      slide.title,
+      slide.subtitle,
+      ...(slide.key_points || []).map(point => `- ${point}`)
+    ].map(line => this.escapeHtml(line || ''));
+    return this.formatSlideContent(lines.join('\n'), this.escapeHtml(slide.title), slideNumber, structure.slides.length);
+  }
+
+  // Overview page listing every slide in the deck
+  generateSlidedeckIndexContent(structure) {
+    const slideList = structure.slides.map((slide, index) =>
+      `<p style="margin: 10px 0; padding: 15px; background: #f8f9fa; border-left: 4px solid #667eea; border-radius: 5px;">
+        <strong>Slide ${index + 1}: ${this.escapeHtml(slide.title)}</strong><br>
+        <em style="color: #666;">${this.escapeHtml(slide.subtitle || '')}</em>
+      </p>`
+    ).join('');
+
+    return `<div style="padding: 30px; background: linear-gradient(135deg, #f8f9fa 0%, #e9ecef 100%); border-radius: 10px; font-family: Arial, sans-serif;">
+<h1 style="color: #2c3e50; text-align: center; margin-bottom: 30px;">${this.escapeHtml(structure.title)}</h1>
+
+<div style="background: white; padding: 25px; border-radius: 8px; margin: 20px 0; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+<h2 style="color: #667eea; margin-top: 0;">📋 Presentation Overview</h2>
+<p style="font-size: 1.1em; line-height: 1.6;">This presentation covers key aspects of the topic with <strong>${structure.slides.length} slides</strong>. Each slide is a page under this one.</p>
+</div>
+
+<h2 style="color: #2c3e50; margin: 30px 0 15px 0;">🎯 Slide Contents</h2>
+${slideList}
+</div>`;
   }
 
   cleanAIResponse(content) {
@@ -0,0 +1,440 @@
+/**
+ * HAX AI Interface - AI Providers
+ * Registry of the chat providers the assistant can call, and the per-task
+ * model settings (command planning, page content, quizzes, customization)
+ *
+ * A provider has:
+ *   id, label     - identifier and display name
+ *   keyEnv        - .env key that turns the provider on (API key or URL)
+ *   models        - suggested model names for the settings modal
+ *   defaultModel  - model used when a task doesn't name one
+ *   createClient  - build the SDK client from environment values
+ *   complete      - send one chat and return the reply text, passing each
+ *                   streamed piece to the optional onText(text). With a
+ *                   responseSchema the reply is JSON, using the provider's
+ *                   JSON mode or a forced tool call
+ *   completeWithTools - one tool-calling turn for agent mode; returns
+ *                   { text, toolCalls: [{ id, name, arguments }] }
+ *   listModels    - (optional) ask the server which models it has
+ *
+ * Agent conversations use provider-neutral messages so a failover can change
+ * provider mid-conversation: { role: 'user' | 'assistant', content,
+ * toolCalls? } and { role: 'tool', toolCallId, name, content, isError? }.
+ *
+ * Task settings live in .env as AI_<TASK>_PROVIDER, AI_<TASK>_MODEL,
+ * AI_<TASK>_MAX_TOKENS and AI_<TASK>_TEMPERATURE. AI_PROVIDER picks the
+ * provider for tasks that don't set their own.
+ */
+
+const axios = require('axios');
+
+// Retries and failover are handled by SmartAIProcessor (see provider-health.js),
+// so the SDKs' own retry loops are turned off
+const CLIENT_OPTIONS = { maxRetries: 0, timeout: 60000 };
+
+// Chat through the OpenAI SDK; shared by OpenAI and OpenAI-compatible servers
+async function completeOpenAIChat(client, { model, system, messages, maxTokens, temperature, responseSchema }, onText) {
+  const params = {
+    model,
+    messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+    max_tokens: maxTokens,
+    temperature,
+    // JSON mode guarantees an object; the schema itself is described in the prompt
+    ...(responseSchema ? { response_format: { type: 'json_object' } } : {})
+  };
+  if (!onText) {
+    const completion = await client.chat.completions.create(params);
+    return completion.choices[0].message.content;
+  }
+
+  let reply = '';
+  const stream = await client.chat.completions.create({ ...params, stream: true });
+  for await (const part of stream) {
+    const text = part.choices[0]?.delta?.content || '';
+    if (text) {
+      reply += text;
+      onText(text);
+    }
+  }
+  return reply;
+}
+
+// Tool arguments arrive as JSON text; null means the model sent bad JSON
+function parseToolArguments(text) {
+  try {
+    const args = JSON.parse(text || '{}');
+    return args && typeof args === 'object' && !Array.isArray(args) ? args : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function toOpenAIMessages(messages) {
+  return messages.map(message => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      };
+    }
+    return { role: message.role, content: message.content };
+  });
+}
+
+async function completeOpenAIWithTools(client, { model, system, messages, tools, maxTokens, temperature }) {
+  const completion = await client.chat.completions.create({
+    model,
+    messages: [...(system ? [{ role: 'system', content: system }] : []), ...toOpenAIMessages(messages)],
+    tools: tools.map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    })),
+    max_tokens: maxTokens,
+    temperature
+  });
+  const message = completion.choices[0].message;
+  return {
+    text: message.content || '',
+    toolCalls: (message.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function.name,
+      arguments: parseToolArguments(call.function.arguments)
+    }))
+  };
+}
+
+// Claude wants tool results as user messages, all results for one turn together
+function toAnthropicMessages(messages) {
+  const converted = [];
+  for (const message of messages) {
+    if (message.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: message.toolCallId, content: message.content, ...(message.isError ? { is_error: true } : {}) };
+      const last = converted[converted.length - 1];
+      if (last && last.role === 'user' && Array.isArray(last.content) && last.content.every(item => item.type === 'tool_result')) {
+        last.content.push(block);
+      } else {
+        converted.push({ role: 'user', content: [block] });
+      }
+    } else if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+      converted.push({
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} }))
+        ]
+      });
+    } else {
+      converted.push({ role: message.role, content: message.content });
+    }
+  }
+  return converted;
+}
+
+// Accept "http://host:11434", ".../v1" or ".../v1/" and return the /v1 base
+function normalizeBaseUrl(value) {
+  const url = new URL(String(value).trim());
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('Local AI URL must start with http:// or https://');
+  }
+  const pathname = url.pathname.replace(/\/+$/, '');
+  url.pathname = /\/v1$/.test(pathname) ? pathname : `${pathname}/v1`;
+  url.search = '';
+  url.hash = '';
+  return url.toString();
+}
+
+const AI_PROVIDERS = {
+  // Listed first so a configured on-prem server wins in automatic mode
+  local: {
+    id: 'local',
+    label: 'Local server (OpenAI-compatible)',
+    keyEnv: 'LOCAL_AI_BASE_URL',
+    models: [],
+    defaultModel: null,
+
+    createClient(env) {
+      const { OpenAI } = require('openai');
+      // Ollama and llama.cpp ignore the key, but the SDK requires one
+      return new OpenAI({ apiKey: env.LOCAL_AI_API_KEY || 'local', baseURL: normalizeBaseUrl(env.LOCAL_AI_BASE_URL), ...CLIENT_OPTIONS });
+    },
+
+    complete: completeOpenAIChat,
+    completeWithTools: completeOpenAIWithTools,
+
+    async listModels(env) {
+      const response = await axios.get(`${normalizeBaseUrl(env.LOCAL_AI_BASE_URL)}/models`, {
+        headers: env.LOCAL_AI_API_KEY ? { Authorization: `Bearer ${env.LOCAL_AI_API_KEY}` } : {},
+        timeout: 5000
+      });
+      return (response.data.data || []).map(model => model.id).filter(Boolean);
+    }
+  },
+
+  // Before anthropic: with both keys set and AI_PROVIDER blank, OpenAI stays
+  // the default, as it was before providers became configurable
+  openai: {
+    id: 'openai',
+    label: 'OpenAI GPT',
+    keyEnv: 'OPENAI_API_KEY',
+    models: ['gpt-3.5-turbo', 'gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-4.1'],
+    defaultModel: 'gpt-3.5-turbo',
+
+    createClient(env) {
+      const { OpenAI } = require('openai');
+      return new OpenAI({ apiKey: env.OPENAI_API_KEY, ...CLIENT_OPTIONS });
+    },
+
+    complete: completeOpenAIChat,
+    completeWithTools: completeOpenAIWithTools
+  },
+
+  anthropic: {
+    id: 'anthropic',
+    label: 'Anthropic Claude',
+    keyEnv: 'ANTHROPIC_API_KEY',
+    models: ['claude-3-haiku-20240307', 'claude-3-5-haiku-latest', 'claude-3-5-sonnet-latest', 'claude-3-opus-latest'],
+    defaultModel: 'claude-3-haiku-20240307',
+
+    createClient(env) {
+      const { Anthropic } = require('@anthropic-ai/sdk');
+      return new Anthropic({ apiKey: env.ANTHROPIC_API_KEY, ...CLIENT_OPTIONS });
+    },
+
+    async complete(client, { model, system, messages, maxTokens, temperature, responseSchema }, onText) {
+      const params = {
+        model,
+        max_tokens: maxTokens,
+        messages,
+        temperature,
+        ...(system ? { system } : {}),
+        // Claude has no JSON mode; forcing a tool call makes it fill in the schema
+        ...(responseSchema ? {
+          tools: [{ name: 'respond', description: 'Send the reply to the user', input_schema: responseSchema }],
+          tool_choice: { type: 'tool', name: 'respond' }
+        } : {})
+      };
+      if (!onText) {
+        const completion = await client.messages.create(params);
+        const toolUse = completion.content.find(block => block.type === 'tool_use');
+        if (toolUse) {
+          return JSON.stringify(toolUse.input);
+        }
+        return completion.content.filter(block => block.type === 'text').map(block => block.text).join('');
+      }
+
+      let reply = '';
+      const stream = await client.messages.create({ ...params, stream: true });
+      for await (const event of stream) {
+        if (event.type !== 'content_block_delta') continue;
+        // Tool input streams as pieces of its JSON text
+        const text = event.delta.type === 'text_delta' ? event.delta.text :
+          event.delta.type === 'input_json_delta' ? event.delta.partial_json : '';
+        if (text) {
+          reply += text;
+          onText(text);
+        }
+      }
+      return reply;
+    },
+
+    async completeWithTools(client, { model, system, messages, tools, maxTokens, temperature }) {
+      const completion = await client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        ...(system ? { system } : {}),
+        messages: toAnthropicMessages(messages),
+        tools: tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters }))
+      });
+      return {
+        text: completion.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        toolCalls: completion.content.filter(block => block.type === 'tool_use').map(block => ({
+          id: block.id,
+          name: block.name,
+          arguments: block.input
+        }))
+      };
+    }
+  }
+};
+
+const AI_TASKS = {
+  planning: { id: 'planning', label: 'Command planning', env: 'AI_PLANNING', maxTokens: 800, temperature: 0.7 },
+  pageContent: { id: 'pageContent', label: 'Page content', env: 'AI_PAGE_CONTENT', maxTokens: 500, temperature: 0.7 },
+  quiz: { id: 'quiz', label: 'Quiz generation', env: 'AI_QUIZ', maxTokens: 800, temperature: 0.7 },
+  customization: { id: 'customization', label: 'Customization', env: 'AI_CUSTOMIZATION', maxTokens: 2000, temperature: 0.7 }
+};
+
+const MAX_TOKENS_LIMIT = 32000;
+
+function getAIProvider(providerId) {
+  return Object.hasOwn(AI_PROVIDERS, providerId) ? AI_PROVIDERS[providerId] : null;
+}
+
+function getAITask(taskId) {
+  return Object.hasOwn(AI_TASKS, taskId) ? AI_TASKS[taskId] : null;
+}
+
+// Providers with a key (or URL) set, in registry order
+function configuredProviders(env = process.env) {
+  return Object.values(AI_PROVIDERS).filter(provider => !!env[provider.keyEnv]);
+}
+
+// The provider to use when a task doesn't name one: AI_PROVIDER if it is set
+// up, otherwise the first provider that is
+function resolveDefaultProvider(env = process.env) {
+  const preferred = getAIProvider(env.AI_PROVIDER);
+  if (preferred && env[preferred.keyEnv]) {
+    return preferred.id;
+  }
+  const [first] = configuredProviders(env);
+  return first ? first.id : null;
+}
+
+// Providers to try, in order, for a call that starts on primaryId. AI_FAILOVER
+// lists the fallbacks ("openai,anthropic", or "none"). By default every other
+// provider that is set up is tried, except that calls starting on the local
+// server stay there so course material doesn't leave the network unasked.
+function failoverChain(primaryId, env = process.env) {
+  let fallbacks;
+  if (env.AI_FAILOVER) {
+    fallbacks = env.AI_FAILOVER.split(',').map(id => id.trim()).filter(id => id && id !== 'none');
+  } else if (primaryId === 'local') {
+    fallbacks = [];
+  } else {
+    fallbacks = [resolveDefaultProvider(env), ...configuredProviders(env).map(provider => provider.id)];
+  }
+
+  const chain = [primaryId];
+  for (const providerId of fallbacks) {
+    const provider = getAIProvider(providerId);
+    if (provider && env[provider.keyEnv] && !chain.includes(providerId)) {
+      chain.push(providerId);
+    }
+  }
+  return chain.filter(Boolean);
+}
+
+// Settings saved for a task, as stored in .env (blank means "use the default")
+function getTaskConfig(taskId, env = process.env) {
+  const task = getAITask(taskId);
+  if (!task) return {};
+  return {
+    provider: env[`${task.env}_PROVIDER`] || '',
+    model: env[`${task.env}_MODEL`] || '',
+    maxTokens: env[`${task.env}_MAX_TOKENS`] || '',
+    temperature: env[`${task.env}_TEMPERATURE`] || ''
+  };
+}
+
+// Settings a task will actually run with, defaults filled in
+function resolveTaskSettings(taskId, env = process.env) {
+  const task = getAITask(taskId);
+  if (!task) {
+    throw new Error(`Unknown AI task: ${taskId}`);
+  }
+
+  const config = getTaskConfig(taskId, env);
+  const chosen = getAIProvider(config.provider);
+  const providerId = chosen && env[chosen.keyEnv] ? chosen.id : resolveDefaultProvider(env);
+  const provider = getAIProvider(providerId);
+  const maxTokens = parseInt(config.maxTokens, 10);
+  const temperature = parseFloat(config.temperature);
+
+  return {
+    task: task.id,
+    provider: providerId,
+    // A model named for a provider without a key doesn't apply to the fallback
+    model: provider && (!config.provider || config.provider === providerId) && config.model ? config.model : (provider ? provider.defaultModel : null),
+    maxTokens: maxTokens > 0 ? Math.min(maxTokens, MAX_TOKENS_LIMIT) : task.maxTokens,
+    temperature: temperature >= 0 && temperature <= 2 ? temperature : task.temperature
+  };
+}
+
+// Check settings sent from the UI and turn them into .env updates
+function taskConfigUpdates(tasks = {}) {
+  const updates = {};
+  for (const [taskId, values] of Object.entries(tasks)) {
+    const task = getAITask(taskId);
+    if (!task) {
+      throw new Error(`Unknown AI task: ${taskId}`);
+    }
+
+    const provider = String(values.provider || '').trim();
+    const model = String(values.model || '').trim();
+    const maxTokens = String(values.maxTokens ?? '').trim();
+    const temperature = String(values.temperature ?? '').trim();
+
+    if (provider && !getAIProvider(provider)) {
+      throw new Error(`Unknown AI provider for ${task.label}: ${provider}`);
+    }
+    if (model && !/^[A-Za-z0-9._:\/-]+$/.test(model)) {
+      throw new Error(`Invalid model name for ${task.label}: ${model}`);
+    }
+    if (maxTokens && !(/^\d+$/.test(maxTokens) && +maxTokens > 0 && +maxTokens <= MAX_TOKENS_LIMIT)) {
+      throw new Error(`Max tokens for ${task.label} must be a whole number from 1 to ${MAX_TOKENS_LIMIT}`);
+    }
+    if (temperature && !(/^\d*\.?\d+$/.test(temperature) && +temperature <= 2)) {
+      throw new Error(`Temperature for ${task.label} must be between 0 and 2`);
+    }
+
+    updates[`${task.env}_PROVIDER`] = provider;
+    updates[`${task.env}_MODEL`] = model;
+    updates[`${task.env}_MAX_TOKENS`] = maxTokens;
+    updates[`${task.env}_TEMPERATURE`] = temperature;
+  }
+  return updates;
+}
+
+// Provider and task lists for the UI (no secrets)
+function describeAIProviders(env = process.env) {
+  return Object.values(AI_PROVIDERS).map(provider => ({
+    id: provider.id,
+    label: provider.label,
+    models: provider.models,
+    defaultModel: provider.defaultModel,
+    configured: !!env[provider.keyEnv],
+    discoversModels: !!provider.listModels
+  }));
+}
+
+// Models a provider offers: asked from the server when it can tell us,
+// otherwise the suggested list
+async function listProviderModels(providerId, env = process.env) {
+  const provider = getAIProvider(providerId);
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${providerId}`);
+  }
+  if (!provider.listModels || !env[provider.keyEnv]) {
+    return provider.models;
+  }
+  return provider.listModels(env);
+}
+
+function describeAITasks() {
+  return Object.values(AI_TASKS).map(({ id, label, maxTokens, temperature }) => ({ id, label, maxTokens, temperature }));
+}
+
+module.exports = {
+  AI_PROVIDERS,
+  AI_TASKS,
+  getAIProvider,
+  getTaskConfig,
+  resolveDefaultProvider,
+  resolveTaskSettings,
+  failoverChain,
+  taskConfigUpdates,
+  describeAIProviders,
+  describeAITasks,
+  listProviderModels,
+  configuredProviders,
+  normalizeBaseUrl
+};
@@ -0,0 +1,151 @@
+/**
+ * HAX AI Interface - AI Response Schema
+ * The JSON shape every command-planning reply must have. The same schema is
+ * sent to providers that can enforce it (JSON mode, forced tool call) and
+ * checked here before a reply is turned into a plan.
+ */
+
+const AI_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['explanation', 'commands', 'success'],
+  properties: {
+    explanation: { type: 'string', minLength: 1, description: 'Friendly explanation of what will be done' },
+    commands: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      description: 'Complete single-line HAX commands to run, in order'
+    },
+    success: { type: 'boolean' },
+    error: { type: 'string', description: 'What went wrong, when success is false' },
+    nextSteps: { type: 'string', description: 'Optional next steps or tips' },
+    action: { type: 'string', pattern: '^[a-z][a-z_-]*$', description: 'Short name of what the commands do, e.g. "deploy" or "list-pages"' },
+    siteName: { type: 'string', pattern: '^[A-Za-z0-9_-]+$', description: 'Site the commands act on, when it is not the selected site' },
+    postCommands: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['command'],
+        properties: {
+          command: { type: 'string', minLength: 1 },
+          description: { type: 'string' }
+        }
+      },
+      description: 'Commands to run after the main commands succeed'
+    },
+    pageParents: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['page', 'parent'],
+        properties: {
+          page: { type: 'string', minLength: 1 },
+          parent: { type: 'string', minLength: 1 }
+        }
+      },
+      description: 'New pages to place under an existing parent page'
+    },
+    rulesApplied: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      description: 'IDs of the HAX rules from the prompt that shaped this answer'
+    }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Check value against the subset of JSON Schema used above and return
+// "path: problem" messages
+function checkSchema(value, schema, where, errors) {
+  const actual = typeOf(value);
+  if (schema.type && actual !== schema.type) {
+    errors.push(`${where}: expected ${schema.type}, got ${actual}`);
+    return;
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push(`${where}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${where}: "${value}" does not match ${schema.pattern}`);
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => checkSchema(item, schema.items, `${where}[${index}]`, errors));
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${where ? `${where}.` : ''}${key}: is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        checkSchema(value[key], propertySchema, `${where ? `${where}.` : ''}${key}`, errors);
+      }
+    }
+  }
+}
+
+// Validate a parsed reply. Returns { valid, errors, value } where value keeps
+// only the declared fields. checkCommand(command) may return an error message
+// for a command that is well-formed JSON but can't run.
+function validateAIResponse(reply, { checkCommand = null } = {}) {
+  const errors = [];
+  checkSchema(reply, AI_RESPONSE_SCHEMA, '', errors);
+  if (errors.length > 0) {
+    return { valid: false, errors, value: null };
+  }
+
+  const value = {};
+  for (const key of Object.keys(AI_RESPONSE_SCHEMA.properties)) {
+    if (reply[key] !== undefined) {
+      value[key] = reply[key];
+    }
+  }
+
+  if (checkCommand) {
+    const commands = [...value.commands, ...(value.postCommands || []).map(postCommand => postCommand.command)];
+    commands.forEach((command, index) => {
+      const problem = checkCommand(command);
+      if (problem) {
+        errors.push(`${index < value.commands.length ? `commands[${index}]` : `postCommands[${index - value.commands.length}].command`}: ${problem}`);
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+// Pull the JSON object out of a reply: the whole text, a ```json fence, or
+// the outermost {...}
+function extractJsonObject(text) {
+  const candidates = [text.trim()];
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1].trim());
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return undefined;
+}
+
+module.exports = {
+  AI_RESPONSE_SCHEMA,
+  validateAIResponse,
+  extractJsonObject
+};
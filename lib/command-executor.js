@@ -0,0 +1,616 @@
+/**
+ * HAX AI Interface - Structured Command Executor
+ * Parses AI-proposed command strings into allowlisted HAX CLI verbs with typed
+ * arguments and runs them without a shell
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const { validateHtml, lastHeadingLevel, formatIssues } = require('./html-validator');
+
+const MAX_OUTPUT = 1024 * 1024 * 5; // 5MB buffer, same as the old exec() limit
+const MAX_CONTENT_LENGTH = 200000;
+
+// Argument types - each returns the cleaned value or throws with a reason
+const ARG_TYPES = {
+  flag(value) {
+    if (value !== true) {
+      throw new Error('does not take a value');
+    }
+    return true;
+  },
+
+  siteName(value) {
+    if (typeof value !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(value)) {
+      throw new Error('must be a site name made of letters, numbers, dashes and underscores');
+    }
+    return value;
+  },
+
+  // Page titles are cleaned the same way sanitizeCommand always did
+  title(value) {
+    if (typeof value !== 'string') {
+      throw new Error('requires a value');
+    }
+    const clean = value
+      .replace(/:/g, ' ')
+      .replace(/[;|\\\/?#\[\]@!$&'()*+,=%<>`"]/g, ' ')
+      .replace(/[\u0000-\u001f]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!clean || clean.length > 200) {
+      throw new Error('must be between 1 and 200 characters');
+    }
+    return clean;
+  },
+
+  content(value) {
+    if (typeof value !== 'string') {
+      throw new Error('requires a value');
+    }
+    if (value.length > MAX_CONTENT_LENGTH) {
+      throw new Error(`is larger than ${MAX_CONTENT_LENGTH} characters`);
+    }
+    return value;
+  },
+
+  identifier(value) {
+    if (typeof value !== 'string' || !/^[a-zA-Z0-9_-]{1,128}$/.test(value)) {
+      throw new Error('must be an identifier made of letters, numbers, dashes and underscores');
+    }
+    return value;
+  },
+
+  domain(value) {
+    if (typeof value !== 'string' || !/^(?!-)[a-z0-9-]{1,63}(\.[a-z0-9-]{1,63})+$/i.test(value)) {
+      throw new Error('must be a domain name such as my-site.surge.sh');
+    }
+    return value.toLowerCase();
+  },
+
+  url(value) {
+    let parsed;
+    try {
+      parsed = new URL(value);
+    } catch {
+      throw new Error('must be a full http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('must be a full http(s) URL');
+    }
+    return parsed.href;
+  },
+
+  // Paths must stay inside the sites directory
+  sitePath(value, { sitesDir }) {
+    if (typeof value !== 'string' || !value) {
+      throw new Error('requires a value');
+    }
+    const resolved = path.resolve(sitesDir, value);
+    if (resolved !== sitesDir && !resolved.startsWith(sitesDir + path.sep)) {
+      throw new Error('must point inside the sites directory');
+    }
+    return resolved;
+  }
+};
+
+// Allowlisted HAX CLI verbs. Anything not listed here is rejected.
+//   words   - fixed words after `hax`
+//   options - allowed --options and their types
+//   choices - allowed values for enum-like options
+//   cwd     - where the command runs: the sites directory or the selected site
+const HAX_VERBS = {
+  'site start': {
+    words: ['site', 'start'],
+    positional: 'name',
+    options: { name: 'siteName', type: 'identifier', theme: 'identifier', 'import-site': 'url', 'import-structure': 'identifier', y: 'flag', 'no-i': 'flag' },
+    choices: { 'import-structure': ['haxcmsToSite'] },
+    required: ['name'],
+    cwd: 'sites',
+    description: 'Create a new site'
+  },
+  'site node:add': {
+    words: ['site', 'node:add'],
+    options: { 'node-op': 'identifier', title: 'title', content: 'content', parent: 'identifier', order: 'identifier', y: 'flag', 'no-i': 'flag' },
+    choices: { 'node-op': ['create'] },
+    required: ['title'],
+    cwd: 'site',
+    description: 'Add a page to the selected site'
+  },
+  'serve': {
+    words: ['serve'],
+    options: { path: 'sitePath', y: 'flag', 'no-i': 'flag' },
+    cwd: 'site',
+    description: 'Start a local preview server'
+  },
+  'site:surge': {
+    words: ['site', 'site:surge'],
+    options: { domain: 'domain', y: 'flag', 'no-i': 'flag' },
+    cwd: 'site',
+    timeout: 60000,
+    description: 'Publish the selected site to Surge'
+  }
+};
+
+// Split a command string into words like a POSIX shell would, but without any
+// expansion. Control operators outside quotes make the command invalid.
+function tokenize(command) {
+  const tokens = [];
+  let current = '';
+  let inToken = false;
+  let quote = null;
+
+  for (let i = 0; i < command.length; i++) {
+    const ch = command[i];
+
+    if (quote === "'") {
+      if (ch === "'") {
+        quote = null;
+      } else {
+        current += ch;
+      }
+      continue;
+    }
+
+    if (quote === '"') {
+      if (ch === '"') {
+        quote = null;
+      } else if (ch === '\\' && i + 1 < command.length && '"\\$`\n'.includes(command[i + 1])) {
+        current += command[++i];
+      } else {
+        current += ch;
+      }
+      continue;
+    }
+
+    if (ch === "'" || ch === '"') {
+      quote = ch;
+      inToken = true;
+    } else if (ch === '\\') {
+      if (i + 1 < command.length) {
+        current += command[++i];
+        inToken = true;
+      }
+    } else if (/\s/.test(ch)) {
+      if (ch === '\n') {
+        throw new Error('commands must be on a single line');
+      }
+      if (inToken) {
+        tokens.push(current);
+        current = '';
+        inToken = false;
+      }
+    } else if (';&|<>`()'.includes(ch) || (ch === '$' && command[i + 1] === '(')) {
+      throw new Error(`shell operator "${ch}" is not allowed`);
+    } else {
+      current += ch;
+      inToken = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error('unterminated quote');
+  }
+  if (inToken) {
+    tokens.push(current);
+  }
+  return tokens;
+}
+
+// Quote an argument for display only (it is never handed to a shell)
+function quoteArg(arg) {
+  return /^[a-zA-Z0-9_\-.:\/=@]+$/.test(arg) ? arg : JSON.stringify(arg);
+}
+
+function formatCommand(bin, args) {
+  return [bin, ...args.map(quoteArg)].join(' ');
+}
+
+// Read-only `cat <site>/site.json` used to list pages
+function parseReadSiteJson(tokens, sitesDir) {
+  if (tokens.length !== 2) {
+    throw new Error('cat only accepts a single site.json path');
+  }
+  const file = ARG_TYPES.sitePath(tokens[1], { sitesDir });
+  if (path.basename(file) !== 'site.json') {
+    throw new Error('cat can only read a site.json file');
+  }
+  return {
+    valid: true,
+    verb: 'read-site',
+    file,
+    siteName: path.basename(path.dirname(file)),
+    cwd: 'site',
+    display: formatCommand('cat', [file]),
+    description: 'List the pages in a site'
+  };
+}
+
+// File a page under a parent page in site.json. This runs after node:add, so
+// pages are matched by title: the new page's id does not exist yet.
+function parsePageParent({ page, parent, parentId }, siteDir) {
+  try {
+    const invocation = {
+      valid: true,
+      verb: 'set-parent',
+      file: path.join(siteDir, 'site.json'),
+      page: ARG_TYPES.title(page),
+      parent: ARG_TYPES.title(parent),
+      parentId: parentId ? ARG_TYPES.identifier(parentId) : null,
+      cwd: 'site',
+      description: 'Place the new page under its parent'
+    };
+    invocation.display = `place "${invocation.page}" under "${invocation.parent}"`;
+    return invocation;
+  } catch (error) {
+    return { valid: false, error: `page placement ${error.message}`, command: `place "${page}" under "${parent}"` };
+  }
+}
+
+// Copy staged files (such as images pulled out of an uploaded deck) into the
+// site's files folder. Both folders must be inside the site.
+function parseCopyFiles({ from, to, files }, siteDir) {
+  const command = `copy ${Array.isArray(files) ? files.length : 0} file(s) into ${to}`;
+  try {
+    const inside = (value, base) => {
+      const resolved = path.resolve(siteDir, String(value || ''));
+      if (!resolved.startsWith(path.join(siteDir, base) + path.sep)) {
+        throw new Error(`must be inside ${base}/`);
+      }
+      return resolved;
+    };
+    if (!Array.isArray(files) || files.length === 0 || files.some(file => !/^[a-zA-Z0-9_-][a-zA-Z0-9._-]*$/.test(file))) {
+      throw new Error('needs a list of plain file names');
+    }
+    const invocation = {
+      valid: true,
+      verb: 'copy-files',
+      from: inside(from, 'faculty-resources'),
+      to: inside(to, 'files'),
+      files: files.slice(),
+      cwd: 'site',
+      description: 'Copy images into the site'
+    };
+    invocation.display = `copy ${files.length} file${files.length === 1 ? '' : 's'} into ${path.relative(siteDir, invocation.to)}`;
+    return invocation;
+  } catch (error) {
+    return { valid: false, error: `file copy ${error.message}`, command };
+  }
+}
+
+async function copyFiles({ from, to, files }) {
+  try {
+    await fs.mkdir(to, { recursive: true });
+    for (const file of files) {
+      await fs.copyFile(path.join(from, file), path.join(to, file));
+    }
+  } catch (error) {
+    throw { error: `Could not copy files: ${error.message}`, stdout: '', stderr: '' };
+  }
+  return { stdout: `Copied ${files.length} file${files.length === 1 ? '' : 's'} into ${to}\n`, stderr: '' };
+}
+
+// Append a component's HTML to the end of an existing page. The page is
+// looked up again when the step runs: by id, then by title.
+function parseInsertComponent({ page, pageId, html, component }, siteDir) {
+  const label = String(component || 'component');
+  const command = `add ${label} to "${page}"`;
+  try {
+    const invocation = {
+      valid: true,
+      verb: 'insert-component',
+      file: path.join(siteDir, 'site.json'),
+      siteDir,
+      page: ARG_TYPES.title(page),
+      pageId: pageId ? ARG_TYPES.identifier(pageId) : null,
+      html: ARG_TYPES.content(html),
+      component: label.replace(/[^a-zA-Z0-9 _-]/g, '').substring(0, 60) || 'component',
+      cwd: 'site',
+      description: 'Add the component to the end of the page'
+    };
+    if (!invocation.html.trim()) {
+      throw new Error('needs the component HTML');
+    }
+    invocation.display = `add ${invocation.component} to "${invocation.page}"`;
+    return invocation;
+  } catch (error) {
+    return { valid: false, error: `component insert ${error.message}`, command };
+  }
+}
+
+async function insertComponent({ file, siteDir, page, pageId, html, component }) {
+  let siteData;
+  try {
+    siteData = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw { error: `Could not read ${file}: ${error.message}`, stdout: '', stderr: '' };
+  }
+  const items = siteData.items || [];
+  const item = (pageId && items.find(entry => entry.id === pageId)) || findLastPage(items, page);
+  if (!item || !item.location) {
+    throw { error: `Could not find the "${page}" page in site.json`, stdout: '', stderr: '' };
+  }
+  const pageFile = path.resolve(siteDir, item.location);
+  if (!pageFile.startsWith(path.resolve(siteDir) + path.sep)) {
+    throw { error: `The "${page}" page points outside the site`, stdout: '', stderr: '' };
+  }
+
+  let current;
+  try {
+    current = await fs.readFile(pageFile, 'utf8');
+  } catch (error) {
+    throw { error: `Could not read the "${item.title}" page: ${error.message}`, stdout: '', stderr: '' };
+  }
+  // Checked again where it lands, in case the page changed since the plan
+  const validation = validateHtml(html, { previousHeading: lastHeadingLevel(current) });
+  if (validation.blocked) {
+    throw { error: `The ${component} failed the page checks:\n${formatIssues(validation.issues).join('\n')}`, stdout: '', stderr: '' };
+  }
+  await fs.writeFile(pageFile, current.trim() + '\n\n' + html, 'utf8');
+  return { stdout: `Added ${component} to "${item.title}"\n`, stderr: '' };
+}
+
+// Newest page matching a title or slug (case-insensitive)
+function findLastPage(items, title) {
+  const name = title.toLowerCase();
+  const slug = name.replace(/\s+/g, '-');
+  return items.slice().reverse().find(item =>
+    (item.title || '').toLowerCase() === name || (item.slug || '').toLowerCase() === slug
+  ) || null;
+}
+
+async function setPageParent({ file, page, parent, parentId }) {
+  let siteData;
+  try {
+    siteData = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw { error: `Could not read ${file}: ${error.message}`, stdout: '', stderr: '' };
+  }
+
+  const items = siteData.items || [];
+  const parentItem = (parentId && items.find(item => item.id === parentId)) || findLastPage(items, parent);
+  const childItem = findLastPage(items, page);
+  if (!parentItem || !childItem) {
+    throw { error: `Could not find the "${parentItem ? page : parent}" page in site.json`, stdout: '', stderr: '' };
+  }
+  if (parentItem.id === childItem.id) {
+    throw { error: `"${page}" cannot be placed under itself`, stdout: '', stderr: '' };
+  }
+
+  childItem.parent = parentItem.id;
+  childItem.indent = (parentItem.indent || 0) + 1;
+  const tmpPath = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(siteData, null, 2));
+  await fs.rename(tmpPath, file);
+  return { stdout: `Placed "${childItem.title}" under "${parentItem.title}"\n`, stderr: '' };
+}
+
+/**
+ * Parse a command string into a structured invocation.
+ * Returns { valid: true, verb, bin, args, options, display, cwd } or
+ * { valid: false, error, command }.
+ */
+function parseCommand(command, { sitesDir } = {}) {
+  try {
+    if (typeof command !== 'string' || !command.trim()) {
+      throw new Error('empty command');
+    }
+
+    const tokens = tokenize(command.trim());
+
+    if (tokens[0] === 'cat') {
+      return parseReadSiteJson(tokens, sitesDir);
+    }
+
+    if (tokens[0] !== 'hax') {
+      throw new Error(`"${tokens[0]}" is not an allowed program (only hax commands can run)`);
+    }
+
+    const verbName = Object.keys(HAX_VERBS).find(name => {
+      const { words } = HAX_VERBS[name];
+      return words.every((word, index) => tokens[index + 1] === word);
+    });
+    if (!verbName) {
+      throw new Error(`"${tokens.slice(0, 3).join(' ')}" is not an allowed HAX command`);
+    }
+
+    const spec = HAX_VERBS[verbName];
+    const rest = tokens.slice(spec.words.length + 1);
+    const raw = {};
+    const positionals = [];
+
+    for (let i = 0; i < rest.length; i++) {
+      const token = rest[i];
+      if (!token.startsWith('--')) {
+        positionals.push(token);
+        continue;
+      }
+
+      let key = token.slice(2);
+      let value = true;
+      const eq = key.indexOf('=');
+      if (eq !== -1) {
+        value = key.slice(eq + 1);
+        key = key.slice(0, eq);
+      } else if (spec.options[key] && spec.options[key] !== 'flag') {
+        if (i + 1 >= rest.length) {
+          throw new Error(`--${key} requires a value`);
+        }
+        value = rest[++i];
+      }
+
+      if (!spec.options[key]) {
+        throw new Error(`--${key} is not allowed for "hax ${verbName}"`);
+      }
+      raw[key] = value;
+    }
+
+    if (positionals.length > 0) {
+      if (!spec.positional || positionals.length > 1 || raw[spec.positional] !== undefined) {
+        throw new Error(`unexpected argument "${positionals[0]}"`);
+      }
+      raw[spec.positional] = positionals[0];
+    }
+
+    const options = {};
+    for (const [key, value] of Object.entries(raw)) {
+      try {
+        options[key] = ARG_TYPES[spec.options[key]](value, { sitesDir });
+      } catch (error) {
+        throw new Error(`--${key} ${error.message}`);
+      }
+      if (spec.choices && spec.choices[key] && !spec.choices[key].includes(options[key])) {
+        throw new Error(`--${key} must be one of: ${spec.choices[key].join(', ')}`);
+      }
+    }
+
+    for (const key of spec.required || []) {
+      if (options[key] === undefined) {
+        throw new Error(`--${key} is required for "hax ${verbName}"`);
+      }
+    }
+
+    // Rebuild argv from the validated options, never from the raw tokens
+    const args = [...spec.words];
+    for (const [key, value] of Object.entries(options)) {
+      if (value === true) {
+        args.push(`--${key}`);
+      } else {
+        args.push(`--${key}`, value);
+      }
+    }
+
+    return {
+      valid: true,
+      verb: verbName,
+      bin: 'hax',
+      args,
+      options,
+      cwd: spec.cwd,
+      timeout: spec.timeout,
+      display: formatCommand('hax', args),
+      description: spec.description
+    };
+  } catch (error) {
+    return {
+      valid: false,
+      error: error.message,
+      command
+    };
+  }
+}
+
+// Spawn a program without a shell and collect its output
+function runProcess(bin, args, { cwd, timeout = 30000, env, onOutput } = {}) {
+  return new Promise((resolve, reject) => {
+    const display = formatCommand(bin, args);
+    console.log(`Executing: ${display} in ${cwd}`);
+
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+
+    const child = spawn(bin, args, {
+      cwd,
+      env: env || process.env,
+      shell: false,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (error) {
+        console.error(`Command failed: ${display}`, error);
+        reject({ error, stderr, stdout, command: display });
+      } else {
+        console.log(`Command succeeded: ${display}`);
+        resolve({ stdout, stderr });
+      }
+    };
+
+    const collect = (stream, chunk) => {
+      const text = chunk.toString();
+      if (stream === 'stdout') {
+        stdout = (stdout + text).slice(-MAX_OUTPUT);
+      } else {
+        stderr = (stderr + text).slice(-MAX_OUTPUT);
+      }
+      if (onOutput) onOutput(stream, text);
+    };
+
+    child.stdout.on('data', chunk => collect('stdout', chunk));
+    child.stderr.on('data', chunk => collect('stderr', chunk));
+
+    const timer = setTimeout(() => {
+      child.kill('SIGTERM');
+      finish(`Command timed out after ${timeout / 1000}s`);
+    }, timeout);
+
+    child.on('error', (error) => {
+      finish(error.code === 'ENOENT' ? `${bin} is not installed or not on the PATH` : error.message);
+    });
+
+    child.on('close', (code) => {
+      if (code === 0) {
+        finish(null);
+      } else {
+        finish(`Command exited with code ${code}`);
+      }
+    });
+  });
+}
+
+// Run a parsed invocation (from parseCommand)
+async function executeParsed(parsed, { cwd, timeout, onOutput } = {}) {
+  if (!parsed || !parsed.valid) {
+    throw { error: `Command rejected: ${parsed ? parsed.error : 'not parsed'}`, stdout: '', stderr: '' };
+  }
+
+  if (parsed.verb === 'read-site') {
+    try {
+      const content = await fs.readFile(parsed.file, 'utf8');
+      return { stdout: content, stderr: '' };
+    } catch (error) {
+      throw { error: `Could not read ${parsed.file}: ${error.message}`, stdout: '', stderr: '' };
+    }
+  }
+
+  if (parsed.verb === 'set-parent') {
+    const result = await setPageParent(parsed);
+    if (onOutput) onOutput('stdout', result.stdout);
+    return result;
+  }
+
+  if (parsed.verb === 'insert-component') {
+    const result = await insertComponent(parsed);
+    if (onOutput) onOutput('stdout', result.stdout);
+    return result;
+  }
+
+  if (parsed.verb === 'copy-files') {
+    const result = await copyFiles(parsed);
+    if (onOutput) onOutput('stdout', result.stdout);
+    return result;
+  }
+
+  return runProcess(parsed.bin, parsed.args, {
+    cwd,
+    timeout: timeout || parsed.timeout || 30000,
+    onOutput
+  });
+}
+
+module.exports = {
+  HAX_VERBS,
+  tokenize,
+  parseCommand,
+  parsePageParent,
+  parseCopyFiles,
+  parseInsertComponent,
+  formatCommand,
+  runProcess,
+  executeParsed
+};
@@ -0,0 +1,262 @@
+/**
+ * HAX AI Interface - Conversation Store
+ * Chat conversations keyed by browser session and scoped to a site, saved
+ * one JSON file per conversation so they survive restarts
+ *
+ * A conversation has:
+ *   messages - what the user saw in the chat (user prompts, assistant answers)
+ *   history  - the raw model context sent back to the AI with the next prompt
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { JsonStateStore } = require('./state-store');
+
+const MAX_HISTORY = 20; // Model context messages kept per conversation
+const MAX_MESSAGES = 500;
+const MAX_TITLE_LENGTH = 80;
+const ID_PATTERN = /^[a-f0-9-]{36}$/;
+const EXPORT_FORMAT = 'hax-ai-conversation';
+const EXPORT_VERSION = 1;
+const MAX_IMPORT_PROMPTS = 50;
+
+// Short title from the first prompt of a conversation
+function titleFromMessage(message) {
+  const clean = String(message || '').replace(/\s+/g, ' ').trim();
+  if (!clean) return 'New conversation';
+  return clean.length > 60 ? `${clean.slice(0, 57)}...` : clean;
+}
+
+// Portable JSON export (the raw model context is left out)
+function exportConversation(conversation) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversation: {
+      title: conversation.title,
+      siteName: conversation.siteName,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      messages: conversation.messages.map(({ role, content, at }) => ({ role, content, at }))
+    }
+  };
+}
+
+// Readable Markdown transcript
+function conversationToMarkdown(conversation) {
+  const lines = [
+    `# ${conversation.title || 'Conversation'}`,
+    '',
+    `- Site: ${conversation.siteName || '(none)'}`,
+    `- Started: ${conversation.createdAt}`,
+    `- Exported: ${new Date().toISOString()}`,
+    ''
+  ];
+  for (const message of conversation.messages) {
+    lines.push(`## ${message.role === 'user' ? '👤 You' : '🤖 HAX Assistant'} (${message.at})`, '', message.content || '', '');
+  }
+  return lines.join('\n');
+}
+
+// Validate an uploaded export and pull out the prompts to replay.
+// Throws with a readable reason when the data is not a conversation export.
+function parseConversationExport(data) {
+  if (!data || data.format !== EXPORT_FORMAT || !data.conversation) {
+    throw new Error(`Not a conversation export (expected "format": "${EXPORT_FORMAT}")`);
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(`Export version ${data.version} is newer than this version supports (${EXPORT_VERSION})`);
+  }
+  const messages = Array.isArray(data.conversation.messages) ? data.conversation.messages : [];
+  const prompts = messages
+    .filter(message => message && message.role === 'user' && typeof message.content === 'string' && message.content.trim())
+    .map(message => message.content.trim());
+  if (prompts.length === 0) {
+    throw new Error('The export has no prompts to replay');
+  }
+  if (prompts.length > MAX_IMPORT_PROMPTS) {
+    throw new Error(`The export has ${prompts.length} prompts; at most ${MAX_IMPORT_PROMPTS} can be replayed at once`);
+  }
+  return {
+    title: typeof data.conversation.title === 'string' ? data.conversation.title : null,
+    siteName: typeof data.conversation.siteName === 'string' ? data.conversation.siteName : null,
+    prompts
+  };
+}
+
+// The entries a prompt added to the model history. updated is base plus the
+// new exchange, trimmed to MAX_HISTORY, so it ends with whatever of base was
+// kept (the same objects) followed by the new entries.
+function addedHistory(base, updated) {
+  for (let added = 0; added < updated.length; added++) {
+    const kept = updated.slice(0, updated.length - added);
+    if (kept.length <= base.length && kept.every((entry, i) => entry === base[base.length - kept.length + i])) {
+      return updated.slice(kept.length);
+    }
+  }
+  return updated;
+}
+
+class ConversationStore {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    this.stores = new Map();
+  }
+
+  store(id) {
+    if (!ID_PATTERN.test(id || '')) {
+      return null;
+    }
+    if (!this.stores.has(id)) {
+      this.stores.set(id, new JsonStateStore(path.join(this.rootDir, `${id}.json`)));
+    }
+    return this.stores.get(id);
+  }
+
+  async get(id) {
+    const store = this.store(id);
+    if (!store) return null;
+    const conversation = await store.load();
+    return conversation.id ? conversation : null;
+  }
+
+  async save(conversation) {
+    conversation.updatedAt = new Date().toISOString();
+    await this.store(conversation.id).save(conversation);
+    return conversation;
+  }
+
+  // Change the stored copy of a conversation as one queued step, so changes
+  // made while another is in flight are not lost. Returns the saved
+  // conversation, or null if there is none.
+  async modify(id, change) {
+    const store = this.store(id);
+    if (!store) return null;
+    const missing = new Error('Conversation not found');
+    try {
+      return await store.update(conversation => {
+        if (!conversation.id) throw missing;
+        change(conversation);
+        conversation.updatedAt = new Date().toISOString();
+        return conversation;
+      });
+    } catch (error) {
+      if (error === missing) return null;
+      throw error;
+    }
+  }
+
+  async create({ sessionId, siteName = null, title = null }) {
+    const now = new Date().toISOString();
+    const conversation = {
+      id: crypto.randomUUID(),
+      sessionId,
+      siteName,
+      title: title ? String(title).slice(0, MAX_TITLE_LENGTH) : null,
+      createdAt: now,
+      updatedAt: now,
+      messages: [],
+      history: []
+    };
+    return this.save(conversation);
+  }
+
+  // Conversation summaries (no messages), newest first
+  async list({ sessionId, siteName } = {}) {
+    let files;
+    try {
+      files = await fs.readdir(this.rootDir);
+    } catch (error) {
+      return [];
+    }
+
+    const summaries = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const conversation = await this.get(path.basename(file, '.json'));
+      if (!conversation) continue;
+      if (sessionId && conversation.sessionId !== sessionId) continue;
+      if (siteName !== undefined && conversation.siteName !== siteName) continue;
+      summaries.push(ConversationStore.summarize(conversation));
+    }
+    return summaries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  // The conversation a session is using for a site, started if there is none
+  async findOrCreate({ sessionId, siteName = null }) {
+    const [latest] = await this.list({ sessionId, siteName });
+    return latest ? this.get(latest.id) : this.create({ sessionId, siteName });
+  }
+
+  // Record one prompt and answer. `conversation` is the copy the prompt
+  // started from and `history` its model context afterwards; the exchange is
+  // added to the stored copy, which other prompts may have changed meanwhile.
+  async append(conversation, { userInput, explanation, history }) {
+    const at = new Date().toISOString();
+    const added = addedHistory(conversation.history || [], history || []);
+    const saved = await this.modify(conversation.id, current => {
+      current.messages.push(
+        { role: 'user', content: userInput, at },
+        { role: 'assistant', content: explanation || '', at }
+      );
+      if (current.messages.length > MAX_MESSAGES) {
+        current.messages = current.messages.slice(-MAX_MESSAGES);
+      }
+      current.history = [...(current.history || []), ...added].slice(-MAX_HISTORY);
+      if (!current.title) {
+        current.title = titleFromMessage(userInput);
+      }
+    });
+    if (saved) Object.assign(conversation, saved);
+    return saved;
+  }
+
+  // Move a conversation to the session that is resuming it
+  resume(id, sessionId) {
+    return this.modify(id, conversation => {
+      conversation.sessionId = sessionId;
+    });
+  }
+
+  rename(id, title) {
+    return this.modify(id, conversation => {
+      conversation.title = String(title).trim().slice(0, MAX_TITLE_LENGTH);
+    });
+  }
+
+  // Forget the messages but keep the conversation itself
+  clear(id) {
+    return this.modify(id, conversation => {
+      conversation.messages = [];
+      conversation.history = [];
+    });
+  }
+
+  async delete(id) {
+    const store = this.store(id);
+    if (!store) return false;
+    try {
+      await store.writeQueue;
+      await fs.unlink(store.filePath);
+      this.stores.delete(id);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  static summarize(conversation) {
+    const { messages, history, ...summary } = conversation;
+    return { ...summary, messageCount: messages.length };
+  }
+}
+
+module.exports = {
+  ConversationStore,
+  titleFromMessage,
+  exportConversation,
+  conversationToMarkdown,
+  parseConversationExport
+};
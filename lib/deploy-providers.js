@@ -0,0 +1,198 @@
+/**
+ * HAX AI Interface - Deploy Providers
+ * Each provider publishes a built site directory somewhere: Surge, a local
+ * (or network-mounted) directory, or a zip export
+ *
+ * A provider has:
+ *   id, label     - identifier and display name
+ *   fields        - config fields stored in .env ({ key, env, label, secret })
+ *   resolveTarget - pick where this site goes (domain, directory, ...)
+ *   publish       - copy/upload the files and return { url, output }, sending
+ *                   progress lines to the optional onOutput(stream, text)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { runProcess } = require('./command-executor');
+
+// Mirror srcDir into destDir like `rsync -a --delete`
+async function mirrorDirectory(srcDir, destDir) {
+  let copied = 0;
+  let removed = 0;
+
+  async function walk(relativeDir) {
+    const src = path.join(srcDir, relativeDir);
+    const dest = path.join(destDir, relativeDir);
+    await fs.mkdir(dest, { recursive: true });
+
+    const sourceEntries = await fs.readdir(src, { withFileTypes: true });
+    const sourceNames = new Set(sourceEntries.map(entry => entry.name));
+
+    // Remove anything the new build no longer has
+    for (const entry of await fs.readdir(dest, { withFileTypes: true })) {
+      if (!sourceNames.has(entry.name)) {
+        await fs.rm(path.join(dest, entry.name), { recursive: true, force: true });
+        removed++;
+      }
+    }
+
+    for (const entry of sourceEntries) {
+      const relativePath = path.join(relativeDir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(relativePath);
+      } else if (entry.isFile()) {
+        await fs.copyFile(path.join(srcDir, relativePath), path.join(destDir, relativePath));
+        copied++;
+      }
+    }
+  }
+
+  await walk('');
+  return { copied, removed };
+}
+
+// Add every file under dir to a JSZip instance
+async function addDirectoryToZip(zip, dir, relativeDir = '') {
+  for (const entry of await fs.readdir(path.join(dir, relativeDir), { withFileTypes: true })) {
+    const relativePath = path.join(relativeDir, entry.name);
+    if (entry.isDirectory()) {
+      await addDirectoryToZip(zip, dir, relativePath);
+    } else if (entry.isFile()) {
+      zip.file(relativePath.split(path.sep).join('/'), await fs.readFile(path.join(dir, relativePath)));
+    }
+  }
+}
+
+function toFileUrl(filePath) {
+  return 'file://' + filePath.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+// A host name such as my-course.surge.sh. Domains reach the surge command
+// line, so anything else is refused.
+function isValidDomain(value) {
+  return typeof value === 'string' && value.length <= 253 &&
+    /^(?!-)[a-z0-9-]{1,63}(\.(?!-)[a-z0-9-]{1,63})+$/i.test(value);
+}
+
+const DEPLOY_PROVIDERS = {
+  surge: {
+    id: 'surge',
+    label: 'Surge.sh',
+    fields: [
+      { key: 'login', env: 'SURGE_LOGIN', label: 'Surge login (email)' },
+      { key: 'token', env: 'SURGE_TOKEN', label: 'Surge token', secret: true },
+      { key: 'domain', env: 'SURGE_DOMAIN', label: 'Default domain' }
+    ],
+
+    // Reuse the domain the site already has so published links keep working
+    resolveTarget(siteName, { requested, existing }) {
+      const domain = requested || existing || `${siteName}-${Date.now()}.surge.sh`;
+      if (!isValidDomain(domain)) {
+        throw new Error(`"${domain}" is not a valid domain; use a host name such as my-course.surge.sh`);
+      }
+      return { target: domain, url: `https://${domain}` };
+    },
+
+    async publish(sourceDir, { target }, { config, onOutput }) {
+      const env = { ...process.env };
+      if (config.login) env.SURGE_LOGIN = config.login;
+      if (config.token) env.SURGE_TOKEN = config.token;
+
+      const result = await runProcess('surge', ['.', target], { cwd: sourceDir, timeout: 60000, env, onOutput });
+      return {
+        url: `https://${target}`,
+        output: [result.stdout, result.stderr].filter(Boolean).join('\n')
+      };
+    }
+  },
+
+  local: {
+    id: 'local',
+    label: 'Local or network directory',
+    fields: [
+      { key: 'path', env: 'LOCAL_DEPLOY_DIR', label: 'Publish directory' },
+      { key: 'baseUrl', env: 'LOCAL_DEPLOY_BASE_URL', label: 'Public base URL (optional)' }
+    ],
+
+    resolveTarget(siteName, { config }) {
+      if (!config.path) {
+        throw new Error('No publish directory configured for the local directory target');
+      }
+      const target = path.resolve(config.path, siteName);
+      const url = config.baseUrl ?
+        `${config.baseUrl.replace(/\/+$/, '')}/${encodeURIComponent(siteName)}/` :
+        toFileUrl(path.join(target, 'index.html'));
+      return { target, url };
+    },
+
+    async publish(sourceDir, { target, url }, { onOutput }) {
+      const { copied, removed } = await mirrorDirectory(sourceDir, target);
+      const output = `Copied ${copied} file(s) to ${target}${removed ? `, removed ${removed} stale entr${removed === 1 ? 'y' : 'ies'}` : ''}`;
+      if (onOutput) onOutput('stdout', output + '\n');
+      return { url, output };
+    }
+  },
+
+  zip: {
+    id: 'zip',
+    label: 'Zip export',
+    fields: [
+      { key: 'path', env: 'ZIP_EXPORT_DIR', label: 'Export directory' }
+    ],
+
+    resolveTarget(siteName, { config, defaults }) {
+      const target = path.resolve(config.path || defaults.exportsDir);
+      return { target, url: toFileUrl(target) };
+    },
+
+    async publish(sourceDir, { target }, { siteName, version, onOutput }) {
+      const JSZip = require('jszip');
+      const zip = new JSZip();
+      await addDirectoryToZip(zip, sourceDir);
+      const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+      await fs.mkdir(target, { recursive: true });
+      const zipPath = path.join(target, `${siteName}-v${version}.zip`);
+      await fs.writeFile(zipPath, buffer);
+      const output = `Wrote ${zipPath} (${buffer.length} bytes)`;
+      if (onOutput) onOutput('stdout', output + '\n');
+      return { url: toFileUrl(zipPath), output };
+    }
+  }
+};
+
+const DEFAULT_PROVIDER = 'surge';
+
+function getProvider(providerId) {
+  return Object.hasOwn(DEPLOY_PROVIDERS, providerId) ? DEPLOY_PROVIDERS[providerId] : null;
+}
+
+// Read a provider's settings from environment values (.env)
+function getProviderConfig(providerId, env = process.env) {
+  const provider = getProvider(providerId);
+  const config = {};
+  if (!provider) return config;
+  for (const field of provider.fields) {
+    config[field.key] = env[field.env] || '';
+  }
+  return config;
+}
+
+// Provider list for the UI (no secrets)
+function describeProviders() {
+  return Object.values(DEPLOY_PROVIDERS).map(provider => ({
+    id: provider.id,
+    label: provider.label,
+    fields: provider.fields.map(({ key, label, secret }) => ({ key, label, secret: !!secret }))
+  }));
+}
+
+module.exports = {
+  DEPLOY_PROVIDERS,
+  DEFAULT_PROVIDER,
+  getProvider,
+  getProviderConfig,
+  describeProviders,
+  isValidDomain,
+  mirrorDirectory
+};
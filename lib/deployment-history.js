@@ -0,0 +1,180 @@
+/**
+ * HAX AI Interface - Deployment History
+ * Keeps a versioned snapshot of every published build so a site can be
+ * rolled back to an earlier deploy
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { JsonStateStore } = require('./state-store');
+
+const MAX_SNAPSHOTS = 20; // Older snapshots are pruned, their history entries kept
+const MAX_OUTPUT_LENGTH = 20000;
+
+// Hash a directory tree, optionally copying it to destDir in the same pass.
+// The hash covers relative paths and file bytes in sorted order, so two
+// builds with identical output get the same hash.
+async function hashTree(srcDir, destDir = null) {
+  const hash = crypto.createHash('sha256');
+  let fileCount = 0;
+  let totalBytes = 0;
+
+  async function walk(relativeDir) {
+    const entries = await fs.readdir(path.join(srcDir, relativeDir), { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    if (destDir) {
+      await fs.mkdir(path.join(destDir, relativeDir), { recursive: true });
+    }
+
+    for (const entry of entries) {
+      const relativePath = path.join(relativeDir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(relativePath);
+      } else if (entry.isFile()) {
+        const content = await fs.readFile(path.join(srcDir, relativePath));
+        if (destDir) {
+          await fs.writeFile(path.join(destDir, relativePath), content);
+        }
+        hash.update(relativePath.split(path.sep).join('/'));
+        hash.update('\0');
+        hash.update(content);
+        fileCount++;
+        totalBytes += content.length;
+      }
+    }
+  }
+
+  await walk('');
+  return { hash: hash.digest('hex'), fileCount, totalBytes };
+}
+
+class DeploymentHistory {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    this.stores = new Map();
+    this.pending = new Map(); // site name -> tail of its queued history updates
+  }
+
+  // Run history updates for one site one at a time, so two deploys can't
+  // read the same nextVersion or drop each other's entries
+  serialize(siteName, task) {
+    const previous = this.pending.get(siteName) || Promise.resolve();
+    const run = previous.then(task, task);
+    const tail = run.catch(() => {});
+    this.pending.set(siteName, tail);
+    tail.then(() => {
+      if (this.pending.get(siteName) === tail) this.pending.delete(siteName);
+    });
+    return run;
+  }
+
+  siteDir(siteName) {
+    return path.join(this.rootDir, siteName);
+  }
+
+  snapshotDir(siteName, version) {
+    return path.join(this.siteDir(siteName), `v${version}`);
+  }
+
+  store(siteName) {
+    if (!this.stores.has(siteName)) {
+      this.stores.set(siteName, new JsonStateStore(path.join(this.siteDir(siteName), 'history.json'), {
+        siteName,
+        nextVersion: 1,
+        deployments: []
+      }));
+    }
+    return this.stores.get(siteName);
+  }
+
+  // All recorded deployments for a site, newest first
+  async list(siteName) {
+    const history = await this.store(siteName).load();
+    return history.deployments.slice().reverse();
+  }
+
+  async get(siteName, version) {
+    const history = await this.store(siteName).load();
+    return history.deployments.find(entry => entry.version === Number(version)) || null;
+  }
+
+  // Copy a build into a new versioned snapshot. Call record() once the
+  // publish finishes, or discard() if it fails.
+  createSnapshot(siteName, buildDir) {
+    return this.serialize(siteName, async () => {
+      const history = await this.store(siteName).load();
+      const version = history.nextVersion;
+      history.nextVersion = version + 1;
+      await this.store(siteName).save(history);
+
+      const dir = this.snapshotDir(siteName, version);
+      await fs.rm(dir, { recursive: true, force: true });
+      const { hash, fileCount, totalBytes } = await hashTree(buildDir, dir);
+      return { version, dir, hash, fileCount, totalBytes };
+    });
+  }
+
+  async discard(siteName, snapshot) {
+    await fs.rm(snapshot.dir, { recursive: true, force: true });
+  }
+
+  // Add a history entry for a finished deploy
+  record(siteName, snapshot, details) {
+    return this.serialize(siteName, () => this.appendEntry(siteName, snapshot, details));
+  }
+
+  async appendEntry(siteName, snapshot, { domain, url, output, rollbackOf = null, provider = 'surge' }) {
+    const history = await this.store(siteName).load();
+    const entry = {
+      version: snapshot.version,
+      deployedAt: new Date().toISOString(),
+      domain,
+      url,
+      provider,
+      hash: snapshot.hash,
+      fileCount: snapshot.fileCount,
+      totalBytes: snapshot.totalBytes,
+      rollbackOf,
+      output: (output || '').slice(-MAX_OUTPUT_LENGTH),
+      snapshotAvailable: true
+    };
+    history.deployments.push(entry);
+    await this.prune(siteName, history);
+    await this.store(siteName).save(history);
+    return entry;
+  }
+
+  // Keep the files for the most recent MAX_SNAPSHOTS deploys only
+  async prune(siteName, history) {
+    const withSnapshots = history.deployments.filter(entry => entry.snapshotAvailable);
+    const excess = withSnapshots.slice(0, Math.max(0, withSnapshots.length - MAX_SNAPSHOTS));
+    for (const entry of excess) {
+      await fs.rm(this.snapshotDir(siteName, entry.version), { recursive: true, force: true });
+      entry.snapshotAvailable = false;
+    }
+  }
+
+  // Check a snapshot still exists and matches its recorded hash
+  async verifySnapshot(siteName, entry) {
+    const dir = this.snapshotDir(siteName, entry.version);
+    try {
+      await fs.access(dir);
+    } catch {
+      return { ok: false, error: `Snapshot for version ${entry.version} is no longer available` };
+    }
+    const { hash } = await hashTree(dir);
+    if (hash !== entry.hash) {
+      return { ok: false, error: `Snapshot for version ${entry.version} has been modified (hash mismatch)` };
+    }
+    return { ok: true, dir, hash };
+  }
+
+  // Remove all history and snapshots (when a site is deleted)
+  async clear(siteName) {
+    this.stores.delete(siteName);
+    await fs.rm(this.siteDir(siteName), { recursive: true, force: true });
+  }
+}
+
+module.exports = { DeploymentHistory, hashTree };
@@ -0,0 +1,116 @@
+/**
+ * HAX AI Interface - Event Stream
+ * WebSocket channel that pushes command output, site server logs and status
+ * changes to the browser as they happen
+ *
+ * Event types:
+ *   output      - one line of stdout/stderr ({ runId, source, siteName, stream, line })
+ *   command     - a command started, finished or failed ({ runId, command, status })
+ *   site-status - a site server is starting, running, errored or stopped
+ *   deploy      - a deploy is building, publishing, published or failed
+ */
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+const RECENT_EVENTS = 200; // Replayed to clients that connect late
+const MAX_LINE_LENGTH = 4000;
+
+class EventStream {
+  constructor() {
+    this.wss = null;
+    this.recent = [];
+  }
+
+  // Serve the stream on an existing HTTP server. Browsers send an Origin with
+  // every upgrade, so pages from other sites can't listen in; clients that
+  // send none (curl, scripts) are local tools and are let through.
+  attach(server, path = '/ws') {
+    this.wss = new WebSocket.Server({
+      server,
+      path,
+      verifyClient: ({ origin, req }) => {
+        if (!origin) return true;
+        try {
+          return new URL(origin).host === req.headers.host;
+        } catch {
+          return false;
+        }
+      }
+    });
+
+    this.wss.on('connection', (socket) => {
+      socket.on('error', error => console.error('WebSocket client error:', error.message));
+      socket.send(JSON.stringify({ type: 'hello', recent: this.recent }));
+    });
+
+    console.log(`📡 Event stream listening on ${path}`);
+  }
+
+  newRunId() {
+    return crypto.randomUUID();
+  }
+
+  emit(event) {
+    const message = { ...event, timestamp: new Date().toISOString() };
+
+    this.recent.push(message);
+    if (this.recent.length > RECENT_EVENTS) {
+      this.recent.splice(0, this.recent.length - RECENT_EVENTS);
+    }
+
+    if (!this.wss) return;
+    const data = JSON.stringify(message);
+    for (const client of this.wss.clients) {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(data);
+      }
+    }
+  }
+
+  // Returns an onOutput(stream, text) callback that emits whole lines.
+  // Call .flush() on it once the process ends to send any trailing partial line.
+  lineWriter(details) {
+    const partial = { stdout: '', stderr: '' };
+
+    const send = (stream, line) => {
+      if (line.trim()) {
+        this.emit({ type: 'output', ...details, stream, line: line.slice(0, MAX_LINE_LENGTH) });
+      }
+    };
+
+    const write = (stream, text) => {
+      const lines = (partial[stream] + text).split(/\r?\n/);
+      partial[stream] = lines.pop();
+      lines.forEach(line => send(stream, line));
+    };
+
+    write.flush = () => {
+      for (const stream of Object.keys(partial)) {
+        send(stream, partial[stream]);
+        partial[stream] = '';
+      }
+    };
+
+    return write;
+  }
+
+  // Pipe a child process's stdout/stderr into the stream
+  pipeProcess(child, details) {
+    const write = this.lineWriter(details);
+    child.stdout.on('data', chunk => write('stdout', chunk.toString()));
+    child.stderr.on('data', chunk => write('stderr', chunk.toString()));
+    child.on('close', () => write.flush());
+  }
+
+  close() {
+    if (this.wss) {
+      for (const client of this.wss.clients) {
+        client.terminate();
+      }
+      this.wss.close();
+    }
+  }
+}
+
+module.exports = { EventStream };
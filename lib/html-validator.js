@@ -0,0 +1,165 @@
+/**
+ * HAX AI Interface - HTML Validator
+ * Lints generated page HTML before it is written to a site: missing alt
+ * text, skipped heading levels, empty links, colour-only styling, unknown
+ * custom elements and inline script.
+ *
+ * HTML_VALIDATION sets how strict this is:
+ *   off    - no checks
+ *   warn   - report problems but write anyway (default)
+ *   block  - problems marked "error" stop the write
+ *   strict - warnings stop the write too
+ */
+
+const VALIDATION_LEVELS = ['off', 'warn', 'block', 'strict'];
+const DEFAULT_LEVEL = 'warn';
+
+// Custom elements HAX knows how to load, from the registry the HAX CLI ships
+let knownElements = null;
+function getKnownElements() {
+  if (!knownElements) {
+    try {
+      knownElements = new Set(Object.keys(require('@haxtheweb/create/dist/lib/wc-registry.json')));
+    } catch (error) {
+      // Without the registry we can't tell which elements exist
+      knownElements = new Set();
+    }
+  }
+  return knownElements;
+}
+
+function isKnownElement(tagName) {
+  return getKnownElements().has(tagName);
+}
+
+function validationLevel(env = process.env) {
+  const level = String(env.HTML_VALIDATION || '').trim().toLowerCase();
+  return VALIDATION_LEVELS.includes(level) ? level : DEFAULT_LEVEL;
+}
+
+// Opening/closing tags with their attributes, in document order
+function scanTags(html) {
+  const tags = [];
+  const tagPattern = /<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+  let match;
+  while ((match = tagPattern.exec(html)) !== null) {
+    const attributes = {};
+    const attributePattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let attribute;
+    while ((attribute = attributePattern.exec(match[3])) !== null) {
+      attributes[attribute[1].toLowerCase()] = attribute[2] ?? attribute[3] ?? attribute[4] ?? '';
+    }
+    tags.push({
+      closing: !!match[1],
+      name: match[2].toLowerCase(),
+      attributes,
+      start: match.index,
+      end: tagPattern.lastIndex,
+      source: match[0]
+    });
+  }
+  return tags;
+}
+
+function snippet(source) {
+  return source.length > 80 ? `${source.substring(0, 80)}…` : source;
+}
+
+function textOf(html) {
+  return html.replace(/<[^>]*>/g, '').replace(/&nbsp;|&#160;/g, ' ').trim();
+}
+
+// The last heading level in existing page HTML, so a fragment appended to it
+// is checked in context
+function lastHeadingLevel(html) {
+  const headings = scanTags(html || '').filter(tag => !tag.closing && /^h[1-6]$/.test(tag.name));
+  return headings.length > 0 ? Number(headings[headings.length - 1].name[1]) : 1;
+}
+
+// Lint an HTML fragment. previousHeading is the heading level the fragment
+// follows (1 = the page title). Returns { level, passed, blocked, issues }
+// where each issue is { check, severity, message, snippet }.
+function validateHtml(html, { level = validationLevel(), previousHeading = 1 } = {}) {
+  if (level === 'off' || !html) {
+    return { level, passed: true, blocked: false, issues: [] };
+  }
+
+  const issues = [];
+  const add = (check, severity, message, source) => issues.push({ check, severity, message, snippet: source ? snippet(source) : undefined });
+  const tags = scanTags(html);
+  const registry = getKnownElements();
+  let headingLevel = previousHeading;
+  const reportedElements = new Set();
+
+  tags.forEach((tag, index) => {
+    if (tag.closing) return;
+
+    // Inline script
+    if (tag.name === 'script') {
+      add('inline-script', 'error', '<script> tags are not allowed in page content', tag.source);
+    }
+    for (const [name, value] of Object.entries(tag.attributes)) {
+      if (/^on[a-z]+$/.test(name)) {
+        add('inline-script', 'error', `Event handler attribute "${name}" runs inline script`, tag.source);
+      } else if (['href', 'src', 'action', 'formaction'].includes(name) && /^\s*javascript:/i.test(value)) {
+        add('inline-script', 'error', `javascript: URL in "${name}"`, tag.source);
+      }
+    }
+
+    // Alt text
+    if ((tag.name === 'img' || tag.name === 'media-image') && tag.attributes.alt === undefined && tag.attributes['aria-hidden'] !== 'true') {
+      add('alt-text', 'error', `<${tag.name}> is missing alt text (use alt="" if it is decorative)`, tag.source);
+    }
+
+    // Heading order
+    const heading = tag.name.match(/^h([1-6])$/);
+    if (heading) {
+      const current = Number(heading[1]);
+      if (current > headingLevel + 1) {
+        add('heading-order', 'warning', `<h${current}> follows <h${headingLevel}>, skipping a heading level`, tag.source);
+      }
+      headingLevel = current;
+    }
+
+    // Empty links
+    if (tag.name === 'a') {
+      const close = tags.slice(index + 1).find(other => other.closing && other.name === 'a');
+      const inner = close ? html.slice(tag.end, close.start) : '';
+      const innerLabel = textOf(inner) || scanTags(inner).some(other => other.attributes.alt);
+      if (!innerLabel && !tag.attributes['aria-label'] && !tag.attributes.title) {
+        add('empty-link', 'error', 'Link has no text for screen readers', tag.source + inner + (close ? '</a>' : ''));
+      }
+    }
+
+    // Colour-only styling: colour on plain text with nothing else marking it
+    const style = tag.attributes.style || '';
+    const coloured = /(^|;)\s*color\s*:/i.test(style) || (tag.name === 'font' && tag.attributes.color);
+    if (coloured && ['span', 'font'].includes(tag.name) && !/font-weight|text-decoration|font-style|border/i.test(style)) {
+      add('color-only', 'warning', 'Colour alone may be the only thing marking this text; add bold, an icon or words too', tag.source);
+    }
+
+    // Unknown custom elements
+    if (tag.name.includes('-') && registry.size > 0 && !registry.has(tag.name) && !reportedElements.has(tag.name)) {
+      reportedElements.add(tag.name);
+      add('unknown-element', 'error', `<${tag.name}> is not a known HAX element`, tag.source);
+    }
+  });
+
+  const blocked = (level === 'block' && issues.some(issue => issue.severity === 'error')) ||
+    (level === 'strict' && issues.length > 0);
+  return { level, passed: issues.length === 0, blocked, issues };
+}
+
+// One line per issue, for chat messages and plan steps
+function formatIssues(issues) {
+  return issues.map(issue => `${issue.severity === 'error' ? '❌' : '⚠️'} ${issue.message}`);
+}
+
+module.exports = {
+  VALIDATION_LEVELS,
+  validationLevel,
+  validateHtml,
+  isKnownElement,
+  lastHeadingLevel,
+  formatIssues
+};
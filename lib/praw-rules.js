@@ -0,0 +1,374 @@
+/**
+ * HAX AI Interface - PRAW Rules
+ * Keeps the HAX ecosystem rules (haxtheweb/praw) available offline. Rules are
+ * cached on disk per git ref and refreshed from GitHub with ETags, so an
+ * unchanged file costs a 304. PRAW_RULES_REF pins a branch, tag or commit; a
+ * pinned commit is never re-fetched once cached. Without network or cache the
+ * snapshot bundled in templates/praw-rules is used.
+ *
+ * The markdown is split into rules ({ id, category, text }) indexed by
+ * category, so a prompt only carries the rules that matter for the request.
+ *
+ * Update the bundled snapshot with: npm run rules:snapshot
+ */
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const { JsonStateStore } = require('./state-store');
+
+const PRAW_REPO = 'haxtheweb/praw';
+const DEFAULT_REF = 'main';
+const RULE_FILES = [
+  { path: 'RULES.md', file: 'RULES.md', heading: 'HAX Rules', idPrefix: 'rules', category: null },
+  { path: 'webcomponents/WARP.md', file: 'WARP.md', heading: 'Web Component Rules', idPrefix: 'warp', category: 'webcomponent' }
+];
+
+// Rule categories and the request words that make them relevant. "general"
+// rules go with every request.
+const RULE_CATEGORIES = {
+  architecture: /\b(site|page|pages|parent|child|outline|structure|organi[sz]e|move|navigation|menu|create|new|rename|delete)\b/i,
+  'design-system': /\b(theme|colou?r|style|styles|design|layout|font|look|brand|css|dark|light)\b/i,
+  webcomponent: /\b(component|element|quiz|question|timeline|carousel|slide|slides|accordion|video|image|gallery|card|tabs|embed|widget)s?\b/i,
+  'build-workflow': /\b(deploy|publish|build|surge|export|serve|preview|host|upload|live)\b/i,
+  documentation: /\b(docs?|documentation|readme|document|explain|help)\b/i,
+  'project-specific': /\b(hax|haxcms|praw)\b/i
+};
+const DEFAULT_CATEGORIES = ['architecture'];
+const MAX_RULE_CHARS = 6000;
+const BUNDLED_DIR = path.join(__dirname, '..', 'templates', 'praw-rules');
+const DEFAULT_RULES = 'Default HAX rules: Use standard HAX CLI commands and best practices.';
+
+function isCommitSha(ref) {
+  return /^[0-9a-f]{40}$/i.test(ref);
+}
+
+function isValidRef(ref) {
+  return typeof ref === 'string' && /^[A-Za-z0-9._\/-]{1,100}$/.test(ref) && !ref.includes('..');
+}
+
+function categoryFromText(text) {
+  const normalized = text.toLowerCase().replace(/[\s_]+/g, '-');
+  return Object.keys(RULE_CATEGORIES).find(category => normalized.includes(category)) ||
+    (/web-?components?/.test(normalized) ? 'webcomponent' : null);
+}
+
+// Split rule files into { id, category, text } list items. A rule's category
+// comes from a "(category)" tag in its text, else from the nearest heading
+// above it that names a category, else the file's own category, else
+// "general".
+async function parseRules(parts) {
+  const { marked } = await import('marked');
+  const rules = [];
+  const seen = new Set();
+
+  for (const part of parts) {
+    const headings = [];
+    let count = 0;
+    for (const token of marked.lexer(part.content)) {
+      if (token.type === 'heading') {
+        headings.length = token.depth;
+        headings[token.depth] = categoryFromText(token.text);
+        continue;
+      }
+      const heading = headings.filter(Boolean).pop();
+      if (token.type !== 'list') continue;
+
+      for (const item of token.items) {
+        const text = item.text.replace(/\s+/g, ' ').trim();
+        if (!text) continue;
+        count++;
+        const tagged = text.match(/\((architecture|design-system|webcomponent|build-workflow|documentation|project-specific)\)/);
+        let id = (text.match(/\b(r[A-Z0-9][A-Za-z0-9-]*)\b/) || [])[1] || `${part.idPrefix}-${count}`;
+        if (seen.has(id)) id = `${part.idPrefix}-${count}`;
+        seen.add(id);
+        rules.push({
+          id,
+          category: tagged ? tagged[1] : heading || part.category || 'general',
+          text
+        });
+      }
+    }
+  }
+  return rules;
+}
+
+// Categories a request touches, from its wording
+function categoriesForInput(input) {
+  const matched = Object.keys(RULE_CATEGORIES).filter(category => RULE_CATEGORIES[category].test(input || ''));
+  return matched.length > 0 ? matched : DEFAULT_CATEGORIES;
+}
+
+class PrawRules {
+  constructor({ cacheDir, bundleDir = BUNDLED_DIR, ref = process.env.PRAW_RULES_REF || DEFAULT_REF, token = process.env.GITHUB_TOKEN } = {}) {
+    this.cacheRoot = cacheDir;
+    this.bundleDir = bundleDir;
+    this.token = token;
+    this.setRef(ref);
+    this.active = { text: DEFAULT_RULES, source: 'default', ref: this.ref, commit: null, fetchedAt: null, checkedAt: null, files: [] };
+    this.index = { rules: [], byId: new Map(), byCategory: new Map() };
+    this.lastError = null;
+  }
+
+  setRef(ref) {
+    if (!isValidRef(ref)) {
+      throw new Error(`Invalid PRAW rules ref: ${ref}`);
+    }
+    this.ref = ref;
+    // Each ref gets its own cache folder so switching pins doesn't lose one
+    this.cacheDir = path.join(this.cacheRoot, ref.replace(/\//g, '__'));
+    this.meta = new JsonStateStore(path.join(this.cacheDir, 'meta.json'), { files: {} });
+  }
+
+  // Read rule files from a folder; null when any is missing
+  async readRuleFiles(dir) {
+    const parts = [];
+    for (const ruleFile of RULE_FILES) {
+      try {
+        parts.push({ ...ruleFile, content: await fs.readFile(path.join(dir, ruleFile.file), 'utf8') });
+      } catch (error) {
+        return null;
+      }
+    }
+    return parts;
+  }
+
+  combine(parts) {
+    return parts.map(part => `${part.heading}:\n${part.content}`).join('\n');
+  }
+
+  // Use whatever is on disk: the cache for this ref, else the bundled
+  // snapshot, and index its rules
+  async load() {
+    const parts = await this.loadFiles();
+    const rules = parts ? await parseRules(parts) : [];
+    const byCategory = new Map();
+    for (const rule of rules) {
+      if (!byCategory.has(rule.category)) byCategory.set(rule.category, []);
+      byCategory.get(rule.category).push(rule);
+    }
+    this.index = { rules, byId: new Map(rules.map(rule => [rule.id, rule])), byCategory };
+    return this.active;
+  }
+
+  async loadFiles() {
+    const cached = await this.readRuleFiles(this.cacheDir);
+    if (cached) {
+      const meta = await this.meta.load();
+      this.active = {
+        text: this.combine(cached),
+        source: 'cache',
+        ref: this.ref,
+        commit: meta.commit || null,
+        fetchedAt: meta.fetchedAt || null,
+        checkedAt: meta.checkedAt || null,
+        files: cached.map(part => ({ path: part.path, size: part.content.length, etag: (meta.files[part.path] || {}).etag || null }))
+      };
+      return cached;
+    }
+
+    const bundled = await this.readRuleFiles(this.bundleDir);
+    if (bundled) {
+      let snapshot = {};
+      try {
+        snapshot = JSON.parse(await fs.readFile(path.join(this.bundleDir, 'snapshot.json'), 'utf8'));
+      } catch (error) {
+        // Snapshot without details
+      }
+      this.active = {
+        text: this.combine(bundled),
+        source: 'bundled',
+        ref: snapshot.ref || null,
+        commit: snapshot.commit || null,
+        fetchedAt: snapshot.fetchedAt || null,
+        checkedAt: null,
+        files: bundled.map(part => ({ path: part.path, size: part.content.length, etag: null }))
+      };
+      return bundled;
+    }
+
+    this.active = { text: DEFAULT_RULES, source: 'default', ref: this.ref, commit: null, fetchedAt: null, checkedAt: null, files: [] };
+    return null;
+  }
+
+  headers(accept, etag) {
+    return {
+      Accept: accept,
+      'User-Agent': 'hax-ai-interface',
+      ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
+      ...(etag ? { 'If-None-Match': etag } : {})
+    };
+  }
+
+  async get(url, accept, etag) {
+    return axios.get(url, {
+      headers: this.headers(accept, etag),
+      timeout: 10000,
+      // 304 means our cached copy is current
+      validateStatus: status => status === 200 || status === 304
+    });
+  }
+
+  // Check GitHub for newer rules. Unchanged files come back as 304s. A pinned
+  // commit that is already cached is left alone unless force is set.
+  async refresh({ force = false } = {}) {
+    const meta = await this.meta.load();
+    const cached = await this.readRuleFiles(this.cacheDir);
+    if (cached && isCommitSha(this.ref) && !force) {
+      return this.load();
+    }
+
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+      const files = { ...meta.files };
+      let changed = false;
+
+      for (const ruleFile of RULE_FILES) {
+        const known = cached ? files[ruleFile.path] : null;
+        const response = await this.get(
+          `https://api.github.com/repos/${PRAW_REPO}/contents/${ruleFile.path}?ref=${encodeURIComponent(this.ref)}`,
+          'application/vnd.github.v3+json',
+          !force && known ? known.etag : null
+        );
+        if (response.status === 304) continue;
+
+        const content = Buffer.from(response.data.content, 'base64').toString('utf8');
+        await fs.writeFile(path.join(this.cacheDir, ruleFile.file), content);
+        files[ruleFile.path] = { etag: response.headers.etag || null, sha: response.data.sha };
+        changed = true;
+      }
+
+      // The commit the ref points at, so the UI can show exactly what is in use
+      let commit = meta.commit || null;
+      let commitEtag = meta.commitEtag || null;
+      if (isCommitSha(this.ref)) {
+        commit = this.ref.toLowerCase();
+      } else {
+        const response = await this.get(
+          `https://api.github.com/repos/${PRAW_REPO}/commits/${encodeURIComponent(this.ref)}`,
+          'application/vnd.github.sha',
+          !force && commit ? commitEtag : null
+        );
+        if (response.status === 200) {
+          commit = String(response.data).trim();
+          commitEtag = response.headers.etag || null;
+        }
+      }
+
+      const now = new Date().toISOString();
+      await this.meta.save({
+        repo: PRAW_REPO,
+        ref: this.ref,
+        commit,
+        commitEtag,
+        fetchedAt: changed || !meta.fetchedAt ? now : meta.fetchedAt,
+        checkedAt: now,
+        files
+      });
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.response ? `GitHub returned ${error.response.status}` : error.message;
+      await this.load();
+      throw new Error(`Could not refresh PRAW rules: ${this.lastError}`);
+    }
+
+    return this.load();
+  }
+
+  // Rules for one request: the "general" rules plus those in the categories
+  // the request touches, up to MAX_RULE_CHARS. Returns { categories, rules,
+  // text }; text is the raw markdown when the files had no list items.
+  select(input, { maxChars = MAX_RULE_CHARS } = {}) {
+    const categories = categoriesForInput(input);
+    if (this.index.rules.length === 0) {
+      return { categories, rules: [], text: this.active.text.substring(0, maxChars * 2) };
+    }
+
+    const rules = [];
+    let size = 0;
+    for (const category of [...categories, 'general']) {
+      for (const rule of this.index.byCategory.get(category) || []) {
+        if (size + rule.text.length > maxChars) continue;
+        rules.push(rule);
+        size += rule.text.length;
+      }
+    }
+    return {
+      categories,
+      rules,
+      text: rules.map(rule => `- [${rule.id}] (${rule.category}) ${rule.text}`).join('\n')
+    };
+  }
+
+  getRule(id) {
+    return this.index.byId.get(id) || null;
+  }
+
+  // Rules plus where they came from, for the rules endpoint
+  describe({ includeText = false, category = null } = {}) {
+    const { text, ...details } = this.active;
+    const categories = {};
+    for (const [name, rules] of this.index.byCategory) {
+      categories[name] = rules.length;
+    }
+    return {
+      repo: PRAW_REPO,
+      pinnedRef: this.ref,
+      pinnedToCommit: isCommitSha(this.ref),
+      ...details,
+      lastError: this.lastError,
+      ruleCount: this.index.rules.length,
+      categories,
+      ...(includeText ? {
+        rules: category ? this.index.byCategory.get(category) || [] : this.index.rules,
+        text
+      } : {})
+    };
+  }
+}
+
+// Refresh the snapshot shipped in templates/praw-rules. When GitHub can't be
+// reached the committed snapshot is kept and this still succeeds, so a
+// publish only fails if there is no snapshot at all.
+async function updateBundledSnapshot(ref = process.env.PRAW_RULES_REF || DEFAULT_REF) {
+  const os = require('os');
+  const rules = new PrawRules({ cacheDir: await fs.mkdtemp(path.join(os.tmpdir(), 'praw-')), ref });
+  const stagingDir = `${BUNDLED_DIR}.${process.pid}.tmp`;
+  try {
+    await rules.refresh({ force: true });
+    // Build the new snapshot beside the old one and swap it in whole
+    await fs.mkdir(stagingDir, { recursive: true });
+    for (const ruleFile of RULE_FILES) {
+      await fs.copyFile(path.join(rules.cacheDir, ruleFile.file), path.join(stagingDir, ruleFile.file));
+    }
+    const { commit, fetchedAt } = rules.active;
+    await fs.writeFile(path.join(stagingDir, 'snapshot.json'), JSON.stringify({ repo: PRAW_REPO, ref, commit, fetchedAt }, null, 2) + '\n');
+    await fs.rm(BUNDLED_DIR, { recursive: true, force: true });
+    await fs.rename(stagingDir, BUNDLED_DIR);
+    console.log(`✅ PRAW rules snapshot updated (${ref}${commit ? ` @ ${commit.slice(0, 7)}` : ''})`);
+    return true;
+  } catch (error) {
+    const existing = await rules.readRuleFiles(BUNDLED_DIR);
+    console.log(`⚠️ ${error.message}${existing ? ' - keeping the current snapshot' : ''}`);
+    return !!existing;
+  } finally {
+    await fs.rm(rules.cacheRoot, { recursive: true, force: true });
+    await fs.rm(stagingDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module && process.argv[2] === 'snapshot') {
+  updateBundledSnapshot(process.argv[3]).then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = {
+  PrawRules,
+  PRAW_REPO,
+  DEFAULT_REF,
+  DEFAULT_RULES,
+  RULE_CATEGORIES,
+  categoriesForInput,
+  parseRules,
+  isValidRef,
+  updateBundledSnapshot
+};
@@ -0,0 +1,162 @@
+/**
+ * HAX AI Interface - Provider Health
+ * Retry policy and circuit breaker for AI provider calls. A provider that
+ * fails several calls in a row is skipped until a cooldown passes, then gets
+ * one trial call ("half-open") before it is trusted again.
+ */
+
+const DEFAULT_POLICY = {
+  retries: 2,           // extra attempts per provider on 429 / 5xx / network errors
+  baseDelayMs: 500,     // backoff doubles from here on each retry
+  maxDelayMs: 10000,
+  failureThreshold: 3,  // consecutive failed calls before the circuit opens
+  cooldownMs: 60000
+};
+
+// Read policy overrides from .env values
+function policyFromEnv(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    retries: number(env.AI_RETRY_ATTEMPTS, DEFAULT_POLICY.retries),
+    baseDelayMs: number(env.AI_RETRY_BASE_DELAY_MS, DEFAULT_POLICY.baseDelayMs),
+    maxDelayMs: DEFAULT_POLICY.maxDelayMs,
+    failureThreshold: Math.max(1, number(env.AI_CIRCUIT_FAILURES, DEFAULT_POLICY.failureThreshold)),
+    cooldownMs: number(env.AI_CIRCUIT_COOLDOWN_MS, DEFAULT_POLICY.cooldownMs)
+  };
+}
+
+function errorStatus(error) {
+  return error.status || (error.response && error.response.status) || null;
+}
+
+// Rate limits, server errors and dropped connections are worth another try;
+// bad requests, bad keys and unknown models are not
+function isRetryableError(error) {
+  const status = errorStatus(error);
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return /connection|timeout|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up/i
+    .test(`${error.name} ${error.code || ''} ${error.message}`);
+}
+
+// How long to wait before retry number `attempt` (0-based), honouring a
+// Retry-After header when the provider sends one
+function retryDelay(error, attempt, policy) {
+  const headers = error.headers || (error.response && error.response.headers) || {};
+  const retryAfter = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = parseFloat(retryAfter);
+  if (seconds >= 0) {
+    return Math.min(seconds * 1000, policy.maxDelayMs);
+  }
+  const jitter = Math.random() * policy.baseDelayMs * 0.25;
+  return Math.min(policy.baseDelayMs * 2 ** attempt + jitter, policy.maxDelayMs);
+}
+
+class ProviderHealth {
+  constructor(policy = DEFAULT_POLICY) {
+    this.policy = policy;
+    this.providers = new Map();
+  }
+
+  setPolicy(policy) {
+    this.policy = policy;
+  }
+
+  get(providerId) {
+    if (!this.providers.has(providerId)) {
+      this.providers.set(providerId, {
+        consecutiveFailures: 0,
+        openedAt: null,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null,
+        calls: 0,
+        failures: 0,
+        retries: 0
+      });
+    }
+    return this.providers.get(providerId);
+  }
+
+  state(providerId) {
+    const health = this.get(providerId);
+    if (!health.openedAt) return 'closed';
+    return Date.now() - health.openedAt >= this.policy.cooldownMs ? 'half-open' : 'open';
+  }
+
+  // Closed and half-open circuits may be called; open ones are skipped
+  isAvailable(providerId) {
+    return this.state(providerId) !== 'open';
+  }
+
+  recordSuccess(providerId) {
+    const health = this.get(providerId);
+    health.calls++;
+    health.consecutiveFailures = 0;
+    health.openedAt = null;
+    health.lastSuccessAt = new Date().toISOString();
+  }
+
+  recordFailure(providerId, error) {
+    const health = this.get(providerId);
+    const halfOpen = this.state(providerId) === 'half-open';
+    health.calls++;
+    health.failures++;
+    health.consecutiveFailures++;
+    health.lastError = error.message;
+    health.lastFailureAt = new Date().toISOString();
+    // A failed trial call re-opens the circuit for another cooldown
+    if (halfOpen || health.consecutiveFailures >= this.policy.failureThreshold) {
+      health.openedAt = Date.now();
+    }
+  }
+
+  recordRetry(providerId) {
+    this.get(providerId).retries++;
+  }
+
+  // Run call(), retrying retryable errors with backoff while canRetry() allows
+  async withRetries(providerId, call, { canRetry = () => true, onRetry = null } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await call();
+      } catch (error) {
+        if (attempt >= this.policy.retries || !isRetryableError(error) || !canRetry()) {
+          throw error;
+        }
+        const delay = retryDelay(error, attempt, this.policy);
+        this.recordRetry(providerId);
+        if (onRetry) onRetry(error, attempt + 1, delay);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  describe(providerId) {
+    const health = this.get(providerId);
+    const state = this.state(providerId);
+    return {
+      state,
+      healthy: state === 'closed' && health.consecutiveFailures === 0,
+      consecutiveFailures: health.consecutiveFailures,
+      calls: health.calls,
+      failures: health.failures,
+      retries: health.retries,
+      lastError: health.lastError,
+      lastFailureAt: health.lastFailureAt,
+      lastSuccessAt: health.lastSuccessAt,
+      retryAt: state === 'open' ? new Date(health.openedAt + this.policy.cooldownMs).toISOString() : null
+    };
+  }
+}
+
+module.exports = {
+  ProviderHealth,
+  DEFAULT_POLICY,
+  policyFromEnv,
+  isRetryableError
+};
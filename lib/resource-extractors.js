@@ -0,0 +1,455 @@
+/**
+ * HAX AI Interface - Resource Extractors
+ * Turn an uploaded course file into text sections for the resource index.
+ * A section is { page, label, text }: page is the 1-based PDF page, slide,
+ * sheet or chapter number (null when the file has no such parts) and label
+ * names the part for citations ("slide 4", "sheet Grades", a heading).
+ * PPTX sections also carry the slide title and notes, which the
+ * convert-to-pages feature uses.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const JSZip = require('jszip');
+
+// ---------- HTML ----------
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+// Elements whose content is never readable text
+const SKIP_ELEMENTS = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg', 'math', 'iframe', 'object', 'canvas', 'select', 'button']);
+// Page chrome left out of web page snapshots
+const CHROME_ELEMENTS = new Set(['nav', 'header', 'footer', 'aside', 'form']);
+const BLOCK_ELEMENTS = new Set(['address', 'article', 'blockquote', 'caption', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'table', 'tr', 'ul', 'br']);
+
+function decodeEntities(text) {
+  const named = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', copy: '©' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return value > 0 && value < 0x110000 ? String.fromCodePoint(value) : match;
+    }
+    return named[code.toLowerCase()] ?? match;
+  });
+}
+
+function attribute(attributes, name) {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+}
+
+// Walk HTML as a tree of open/close tags and text, leaving out scripts,
+// styles and other non-text elements (and page chrome when skipChrome is
+// set). h1/h2 headings start new sections labelled with the heading text.
+function htmlToSections(html, { skipChrome = false } = {}) {
+  const sections = [{ label: null, text: '' }];
+  const current = () => sections[sections.length - 1];
+  const append = text => { current().text += text; };
+  const stack = [];
+  const tables = []; // open tables: { start, rows, cell }
+  let skipping = 0;
+  let heading = null;
+
+  const tokens = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+)|</g;
+  let token;
+  while ((token = tokens.exec(html)) !== null) {
+    const [, cdata, closing, rawName, attributes = '', text] = token;
+    if (text !== undefined || cdata !== undefined) {
+      if (!skipping) append(decodeEntities(text !== undefined ? text : cdata));
+      continue;
+    }
+    if (!rawName) continue;
+    const name = rawName.toLowerCase().replace(/^.*:/, '');
+    const skips = SKIP_ELEMENTS.has(name) || (skipChrome && CHROME_ELEMENTS.has(name));
+
+    if (!closing) {
+      // Raw text elements end at their closing tag, whatever is inside
+      if (name === 'script' || name === 'style') {
+        const end = html.toLowerCase().indexOf(`</${rawName.toLowerCase()}`, tokens.lastIndex);
+        tokens.lastIndex = end === -1 ? html.length : end;
+        continue;
+      }
+      if (skipping) {
+        if (!VOID_ELEMENTS.has(name) && !attributes.trim().endsWith('/')) stack.push(name);
+        if (skips) skipping++;
+        continue;
+      }
+      if ((name === 'h1' || name === 'h2') && current().text.trim()) {
+        sections.push({ label: null, text: '' });
+      }
+      if (name === 'h1' || name === 'h2') heading = { start: current().text.length };
+      if (BLOCK_ELEMENTS.has(name)) append('\n');
+      if (name === 'li') append('- ');
+      if (name === 'img' && attribute(attributes, 'alt')) append(` [image: ${attribute(attributes, 'alt')}] `);
+      const table = tables[tables.length - 1];
+      if (name === 'table') tables.push({ start: current().text.length, rows: [], cell: null });
+      if (table && name === 'tr') table.rows.push([]);
+      if (table && (name === 'td' || name === 'th')) table.cell = current().text.length;
+      if (!VOID_ELEMENTS.has(name) && !attributes.trim().endsWith('/')) {
+        stack.push(name);
+        if (skips) skipping++;
+      }
+      continue;
+    }
+
+    // Close the matching element, and any left open inside it
+    const index = stack.lastIndexOf(name);
+    if (index === -1) continue;
+    for (const open of stack.splice(index)) {
+      if (SKIP_ELEMENTS.has(open) || (skipChrome && CHROME_ELEMENTS.has(open))) skipping--;
+    }
+    if (skipping) continue;
+    const table = tables[tables.length - 1];
+    if (table && (name === 'td' || name === 'th') && table.cell !== null) {
+      if (table.rows.length === 0) table.rows.push([]);
+      table.rows[table.rows.length - 1].push(current().text.slice(table.cell).replace(/\s+/g, ' ').trim());
+      table.cell = null;
+    }
+    if (table && name === 'table') {
+      tables.pop();
+      current().text = `${current().text.slice(0, table.start)}\n${tableText(table.rows)}`;
+    }
+    if (BLOCK_ELEMENTS.has(name)) append('\n');
+    if ((name === 'h1' || name === 'h2') && heading) {
+      current().label = current().label || current().text.slice(heading.start).replace(/\s+/g, ' ').trim() || null;
+      heading = null;
+    }
+  }
+
+  return sections
+    .map(section => ({ ...section, text: section.text.replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim() }))
+    .filter(section => section.text);
+}
+
+// Title and readable text of a web page
+function readableHtml(html, { skipChrome = true } = {}) {
+  const title = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1];
+  return {
+    title: title ? decodeEntities(title).replace(/\s+/g, ' ').trim() : null,
+    text: htmlToSections(html, { skipChrome }).map(section => section.text).join('\n\n')
+  };
+}
+
+async function extractHtml(fullPath) {
+  return htmlToSections(await fs.readFile(fullPath, 'utf8'))
+    .map(section => ({ page: null, label: section.label, text: section.text }));
+}
+
+// ---------- Office Open XML (docx, pptx, xlsx) and EPUB ----------
+
+function xmlText(xml) {
+  return decodeEntities(xml.replace(/<[^>]+>/g, ''));
+}
+
+// Text of DrawingML paragraphs (<a:p>), one line each
+function drawingParagraphs(xml) {
+  return (xml.match(/<a:p[\s>][\s\S]*?<\/a:p>/g) || [])
+    .map(paragraph => (paragraph.match(/<a:t(?:\s[^>]*)?>[\s\S]*?<\/a:t>|<a:br\b[^>]*\/>/g) || [])
+      .map(run => run.startsWith('<a:br') ? '\n' : xmlText(run))
+      .join('')
+      .trim())
+    .filter(Boolean);
+}
+
+// Relationship id -> target path for a part's .rels file
+async function readRelationships(zip, partPath) {
+  const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+  const file = zip.file(relsPath);
+  const relationships = {};
+  if (!file) return relationships;
+  const xml = await file.async('string');
+  for (const rel of xml.match(/<Relationship\b[^>]*>/g) || []) {
+    const id = attribute(rel, 'Id');
+    const target = attribute(rel, 'Target');
+    if (!id || !target) continue;
+    relationships[id] = {
+      type: attribute(rel, 'Type') || '',
+      target: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(path.posix.dirname(partPath), target))
+    };
+  }
+  return relationships;
+}
+
+async function openZip(fullPath) {
+  return JSZip.loadAsync(await fs.readFile(fullPath));
+}
+
+// Word: paragraphs and tables in document order, split at Heading 1/2
+async function extractDocx(fullPath) {
+  const zip = await openZip(fullPath);
+  const document = zip.file('word/document.xml');
+  if (!document) throw new Error('Not a Word document (word/document.xml is missing)');
+  const xml = await document.async('string');
+  const body = (xml.match(/<w:body>([\s\S]*)<\/w:body>/) || [])[1] || xml;
+
+  const sections = [{ page: null, label: null, text: '' }];
+  const blocks = body.match(/<w:tbl>[\s\S]*?<\/w:tbl>|<w:p[\s>][\s\S]*?<\/w:p>|<w:p\/>/g) || [];
+  const paragraphText = paragraph => (paragraph.match(/<w:t(?:\s[^>]*)?>[\s\S]*?<\/w:t>|<w:tab\/>|<w:br\b[^>]*\/>/g) || [])
+    .map(run => run === '<w:tab/>' ? '\t' : run.startsWith('<w:br') ? '\n' : xmlText(run))
+    .join('');
+
+  for (const block of blocks) {
+    if (block.startsWith('<w:tbl>')) {
+      const rows = (block.match(/<w:tr[\s>][\s\S]*?<\/w:tr>/g) || []).map(row =>
+        (row.match(/<w:tc>[\s\S]*?<\/w:tc>/g) || []).map(cell =>
+          (cell.match(/<w:p[\s>][\s\S]*?<\/w:p>/g) || []).map(paragraphText).join(' ').trim()));
+      sections[sections.length - 1].text += `\n${tableText(rows)}\n`;
+      continue;
+    }
+    const text = paragraphText(block).trim();
+    if (!text) continue;
+    const style = (block.match(/<w:pStyle w:val="([^"]+)"/) || [])[1] || '';
+    if (/^(Heading[12]|Title)$/i.test(style)) {
+      sections.push({ page: null, label: text, text: '' });
+    }
+    sections[sections.length - 1].text += `${text}\n`;
+  }
+  return sections.filter(section => section.text.trim());
+}
+
+// PowerPoint: one section per slide with its title, body text and speaker
+// notes, in presentation order
+async function extractPptx(fullPath) {
+  const zip = await openZip(fullPath);
+  const presentation = zip.file('ppt/presentation.xml');
+  if (!presentation) throw new Error('Not a PowerPoint file (ppt/presentation.xml is missing)');
+  const relationships = await readRelationships(zip, 'ppt/presentation.xml');
+  const slideIds = ((await presentation.async('string')).match(/<p:sldId\b[^>]*>/g) || [])
+    .map(slideId => attribute(slideId, 'r:id'));
+  const slidePaths = slideIds.map(id => relationships[id] && relationships[id].target).filter(Boolean);
+
+  const sections = [];
+  for (const [index, slidePath] of slidePaths.entries()) {
+    const slide = zip.file(slidePath);
+    if (!slide) continue;
+    const xml = await slide.async('string');
+    const shapes = xml.match(/<p:sp>[\s\S]*?<\/p:sp>/g) || [];
+    const titleShape = shapes.find(shape => /<p:ph\b[^>]*type="(title|ctrTitle)"/.test(shape));
+    const title = titleShape ? drawingParagraphs(titleShape).join(' ') : '';
+    const body = shapes.filter(shape => shape !== titleShape).flatMap(drawingParagraphs);
+    // Tables on the slide
+    for (const table of xml.match(/<a:tbl>[\s\S]*?<\/a:tbl>/g) || []) {
+      const rows = (table.match(/<a:tr\b[\s\S]*?<\/a:tr>/g) || []).map(row =>
+        (row.match(/<a:tc\b[\s\S]*?<\/a:tc>/g) || []).map(cell => drawingParagraphs(cell).join(' ')));
+      body.push(tableText(rows));
+    }
+
+    let notes = '';
+    const slideRels = await readRelationships(zip, slidePath);
+    const notesRel = Object.values(slideRels).find(rel => rel.type.endsWith('/notesSlide'));
+    if (notesRel && zip.file(notesRel.target)) {
+      const notesXml = await zip.file(notesRel.target).async('string');
+      notes = (notesXml.match(/<p:sp>[\s\S]*?<\/p:sp>/g) || [])
+        .filter(shape => /<p:ph\b[^>]*type="body"/.test(shape))
+        .flatMap(drawingParagraphs)
+        .join('\n');
+    }
+
+    const number = index + 1;
+    sections.push({
+      page: number,
+      label: `slide ${number}${title ? `: ${title}` : ''}`,
+      title,
+      body,
+      notes,
+      slidePath,
+      text: [title, ...body, notes ? `Speaker notes: ${notes}` : ''].filter(Boolean).join('\n')
+    });
+  }
+  return sections;
+}
+
+// Rows as "Header: value, Header: value." lines so a row still makes sense
+// when it ends up in a chunk without the header row
+function tableText(rows) {
+  const filled = rows.filter(row => row.some(cell => String(cell).trim()));
+  if (filled.length === 0) return '';
+  const [header, ...rest] = filled;
+  if (rest.length === 0 || header.some(cell => !String(cell).trim())) {
+    return filled.map(row => `${row.join(' | ')}.`).join('\n');
+  }
+  return rest.map(row => `${row
+    .map((cell, index) => String(cell).trim() ? `${header[index] || `Column ${index + 1}`}: ${cell}` : null)
+    .filter(Boolean)
+    .join(', ')}.`).join('\n');
+}
+
+// Excel: one section per sheet, rendered as a table
+async function extractXlsx(fullPath) {
+  const zip = await openZip(fullPath);
+  const workbook = zip.file('xl/workbook.xml');
+  if (!workbook) throw new Error('Not an Excel workbook (xl/workbook.xml is missing)');
+
+  const sharedStrings = [];
+  if (zip.file('xl/sharedStrings.xml')) {
+    const xml = await zip.file('xl/sharedStrings.xml').async('string');
+    for (const item of xml.match(/<si>[\s\S]*?<\/si>/g) || []) {
+      sharedStrings.push((item.match(/<t(?:\s[^>]*)?>[\s\S]*?<\/t>/g) || []).map(xmlText).join(''));
+    }
+  }
+
+  const relationships = await readRelationships(zip, 'xl/workbook.xml');
+  const sheets = ((await workbook.async('string')).match(/<sheet\b[^>]*>/g) || [])
+    .map(sheet => ({ name: attribute(sheet, 'name'), rel: relationships[attribute(sheet, 'r:id')] }));
+
+  const sections = [];
+  for (const [index, sheet] of sheets.entries()) {
+    if (!sheet.rel || !zip.file(sheet.rel.target)) continue;
+    const xml = await zip.file(sheet.rel.target).async('string');
+    const rows = (xml.match(/<row\b[\s\S]*?<\/row>/g) || []).map(row => {
+      const cells = [];
+      for (const cell of row.match(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g) || []) {
+        const ref = attribute(cell, 'r') || '';
+        const column = ref.replace(/\d+/g, '').split('').reduce((sum, letter) => sum * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+        const type = attribute(cell, 't');
+        const value = (cell.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+        let text = '';
+        if (type === 's') text = sharedStrings[Number(value)] || '';
+        else if (type === 'inlineStr') text = (cell.match(/<t(?:\s[^>]*)?>[\s\S]*?<\/t>/g) || []).map(xmlText).join('');
+        else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+        else if (value !== undefined) text = decodeEntities(value);
+        cells[column >= 0 ? column : cells.length] = text;
+      }
+      return Array.from(cells, cell => cell || '');
+    });
+    const text = tableText(rows);
+    if (text) sections.push({ page: index + 1, label: `sheet ${sheet.name}`, text });
+  }
+  return sections;
+}
+
+// RFC 4180 CSV (quoted fields, doubled quotes, newlines inside quotes)
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+async function extractCsv(fullPath) {
+  const content = (await fs.readFile(fullPath, 'utf8')).replace(/^﻿/, '');
+  return [{ page: null, label: null, text: tableText(parseCsv(content)) }];
+}
+
+// EPUB: one section per chapter in reading (spine) order
+async function extractEpub(fullPath) {
+  const zip = await openZip(fullPath);
+  const container = zip.file('META-INF/container.xml');
+  if (!container) throw new Error('Not an EPUB (META-INF/container.xml is missing)');
+  const opfPath = attribute(((await container.async('string')).match(/<rootfile\b[^>]*>/) || [''])[0], 'full-path');
+  if (!opfPath || !zip.file(opfPath)) throw new Error('EPUB package file is missing');
+  const opf = await zip.file(opfPath).async('string');
+
+  const manifest = {};
+  for (const item of opf.match(/<item\b[^>]*>/g) || []) {
+    manifest[attribute(item, 'id')] = path.posix.normalize(path.posix.join(path.posix.dirname(opfPath), decodeURIComponent(attribute(item, 'href') || '')));
+  }
+  const spine = (opf.match(/<itemref\b[^>]*>/g) || []).map(itemref => manifest[attribute(itemref, 'idref')]).filter(Boolean);
+
+  const sections = [];
+  for (const chapterPath of spine) {
+    const chapter = zip.file(chapterPath);
+    if (!chapter) continue;
+    const parts = htmlToSections(await chapter.async('string'));
+    const text = parts.map(part => part.text).join('\n\n');
+    if (!text) continue;
+    const number = sections.length + 1;
+    const heading = parts.find(part => part.label);
+    sections.push({ page: number, label: heading ? heading.label : `chapter ${number}`, text });
+  }
+  return sections;
+}
+
+// ---------- PDF and plain text ----------
+
+// Same text layout as pdf-parse's default renderer, one call per page
+function renderPdfPage(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(content => {
+      let lastY;
+      let text = '';
+      for (const item of content.items) {
+        text += lastY === item.transform[5] || lastY === undefined ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      return text;
+    });
+}
+
+async function extractPdf(fullPath) {
+  const pdf = require('pdf-parse');
+  const pages = [];
+  await pdf(await fs.readFile(fullPath), {
+    pagerender: pageData => renderPdfPage(pageData).then(text => {
+      pages.push(text);
+      return text;
+    })
+  });
+  return pages.map((text, index) => ({ page: index + 1, label: null, text }));
+}
+
+async function extractText(fullPath) {
+  return [{ page: null, label: null, text: await fs.readFile(fullPath, 'utf8') }];
+}
+
+// Extractors by file extension
+const EXTRACTORS = {
+  '.pdf': extractPdf,
+  '.docx': extractDocx,
+  '.pptx': extractPptx,
+  '.xlsx': extractXlsx,
+  '.csv': extractCsv,
+  '.epub': extractEpub,
+  '.html': extractHtml,
+  '.htm': extractHtml,
+  '.xhtml': extractHtml,
+  '.txt': extractText,
+  '.md': extractText,
+  '.json': extractText
+};
+
+function canExtract(fileName) {
+  return !!EXTRACTORS[path.extname(fileName).toLowerCase()];
+}
+
+// Text sections for a file, with whitespace collapsed and empty sections
+// dropped. Unsupported files give [].
+async function extractSections(fullPath) {
+  const extractor = EXTRACTORS[path.extname(fullPath).toLowerCase()];
+  if (!extractor) {
+    return [];
+  }
+  const sections = await extractor(fullPath);
+  return sections
+    .map(section => ({ ...section, text: section.text.replace(/\s+/g, ' ').trim() }))
+    .filter(section => section.text);
+}
+
+module.exports = {
+  EXTRACTORS,
+  canExtract,
+  extractSections,
+  htmlToSections,
+  readableHtml,
+  decodeEntities,
+  readRelationships
+};
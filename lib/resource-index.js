@@ -0,0 +1,229 @@
+/**
+ * HAX AI Interface - Resource Index
+ * Searchable index of a site's faculty-resources. Every file is split into
+ * overlapping chunks that remember their file and page, and chunks are ranked
+ * against a request with BM25, so prompts get the few passages that matter
+ * instead of the start of each file.
+ *
+ * The index is saved to faculty-resources/.resource-index.json and only files
+ * whose size or modification time changed are extracted again. Files in
+ * subfolders (such as the web/ URL snapshots) are indexed as "folder/name".
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { JsonStateStore } = require('./state-store');
+const { canExtract, extractSections } = require('./resource-extractors');
+
+const INDEX_VERSION = 2;
+const INDEX_FILE = '.resource-index.json';
+const CHUNK_CHARS = 800;
+const CHUNK_OVERLAP = 120;
+const BM25 = { k1: 1.2, b: 0.75 };
+
+const STOP_WORDS = new Set(('a an and are as at be but by can do for from has have how i if in into is it its ' +
+  'me my of on or our please so that the their them then there these they this to up us was we what when ' +
+  'which who why will with you your add page make create about').split(' '));
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9][a-z0-9'-]*/g) || [])
+    .map(word => word.replace(/'s$|'/g, ''))
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+// Split text into ~CHUNK_CHARS pieces that end on a sentence or word break,
+// each starting CHUNK_OVERLAP characters before the previous one ended
+function chunkText(text) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + CHUNK_CHARS, text.length);
+    if (end < text.length) {
+      const window = text.slice(start, end);
+      const sentence = Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! '));
+      const space = window.lastIndexOf(' ');
+      if (sentence > CHUNK_CHARS / 2) end = start + sentence + 1;
+      else if (space > CHUNK_CHARS / 2) end = start + space;
+    }
+    chunks.push(text.slice(start, end).trim());
+    if (end >= text.length) break;
+    const next = text.lastIndexOf(' ', end - CHUNK_OVERLAP);
+    start = next > start ? next + 1 : end;
+  }
+  return chunks.filter(Boolean);
+}
+
+// Plain keyed maps: tokens such as "constructor" must not hit Object.prototype
+function termCounts(tokens) {
+  const counts = Object.create(null);
+  for (const token of tokens) {
+    counts[token] = (counts[token] || 0) + 1;
+  }
+  return counts;
+}
+
+// "syllabus.pdf, p. 3" for PDF pages, "deck.pptx, slide 4: Title" for
+// labelled sections, just the file name otherwise
+function citation(chunk) {
+  if (chunk.label) return `${chunk.file}, ${chunk.label}`;
+  return chunk.page ? `${chunk.file}, p. ${chunk.page}` : chunk.file;
+}
+
+class ResourceIndex {
+  constructor({ log = () => {} } = {}) {
+    this.sites = new Map(); // resources dir -> { files, chunks, df, avgLength }
+    this.refreshing = new Map(); // resources dir -> pending refresh
+    this.log = log;
+  }
+
+  store(resourcesDir) {
+    return new JsonStateStore(path.join(resourcesDir, INDEX_FILE), { version: INDEX_VERSION, files: {}, chunks: [] });
+  }
+
+  // Bring the index for a resources folder up to date with the files in it.
+  // Concurrent calls for the same folder share one refresh.
+  refresh(resourcesDir) {
+    if (!this.refreshing.has(resourcesDir)) {
+      const pending = this.rebuild(resourcesDir).finally(() => this.refreshing.delete(resourcesDir));
+      this.refreshing.set(resourcesDir, pending);
+    }
+    return this.refreshing.get(resourcesDir);
+  }
+
+  async rebuild(resourcesDir) {
+    const store = this.store(resourcesDir);
+    let saved = this.sites.get(resourcesDir) || await store.load();
+    if (saved.version !== INDEX_VERSION) {
+      saved = { version: INDEX_VERSION, files: {}, chunks: [] };
+    }
+
+    const current = await this.listFiles(resourcesDir);
+
+    const unchanged = name => saved.files[name] && current[name] &&
+      saved.files[name].size === current[name].size && saved.files[name].mtimeMs === current[name].mtimeMs;
+    const files = {};
+    const chunks = saved.chunks.filter(chunk => unchanged(chunk.file));
+    let changed = Object.keys(saved.files).some(name => !current[name]);
+
+    for (const [name, stat] of Object.entries(current)) {
+      if (unchanged(name)) {
+        files[name] = saved.files[name];
+        continue;
+      }
+      changed = true;
+      let sections = [];
+      let error = null;
+      if (canExtract(name)) {
+        try {
+          sections = await extractSections(path.join(resourcesDir, name));
+        } catch (extractError) {
+          error = extractError.message;
+          this.log('Resource extraction failed for', name, extractError.message);
+        }
+      }
+      let count = 0;
+      for (const section of sections) {
+        for (const text of chunkText(section.text)) {
+          const tokens = tokenize(text);
+          chunks.push({ file: name, page: section.page, label: section.label || null, text, length: tokens.length, terms: termCounts(tokens) });
+          count++;
+        }
+      }
+      files[name] = { ...stat, chunks: count, indexedAt: new Date().toISOString(), ...(error ? { error } : {}) };
+    }
+
+    const index = { version: INDEX_VERSION, builtAt: changed ? new Date().toISOString() : saved.builtAt, files, chunks };
+    if (changed) {
+      await store.save(index);
+      this.log(`📚 Indexed ${chunks.length} resource chunks in ${resourcesDir}`);
+    }
+    this.sites.set(resourcesDir, this.withStats(index));
+    return this.describe(resourcesDir);
+  }
+
+  // { "name" or "folder/name": { size, mtimeMs } } for files one level deep
+  async listFiles(resourcesDir) {
+    const files = {};
+    const scan = async (folder) => {
+      const entries = await fs.readdir(path.join(resourcesDir, folder), { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        if (entry.name.startsWith('.') || entry.name === 'resources.json') continue;
+        const name = folder ? `${folder}/${entry.name}` : entry.name;
+        if (entry.isDirectory() && !folder) {
+          await scan(entry.name);
+        } else if (entry.isFile()) {
+          const stat = await fs.stat(path.join(resourcesDir, name));
+          files[name] = { size: stat.size, mtimeMs: stat.mtimeMs };
+        }
+      }
+    };
+    await scan('');
+    return files;
+  }
+
+  // Document frequencies and average length for BM25
+  withStats(index) {
+    const df = Object.create(null);
+    let total = 0;
+    for (const chunk of index.chunks) {
+      total += chunk.length;
+      for (const term of Object.keys(chunk.terms)) {
+        df[term] = (df[term] || 0) + 1;
+      }
+    }
+    return { ...index, df, avgLength: index.chunks.length ? total / index.chunks.length : 0 };
+  }
+
+  // Top chunks for a query: [{ file, page, label, citation, text, score }]. Stops
+  // once maxChars of text is collected. filter(file) can rule files out.
+  async search(resourcesDir, query, { limit = 5, maxChars = 4000, filter = null } = {}) {
+    await this.refresh(resourcesDir);
+    const index = this.sites.get(resourcesDir);
+    const terms = [...new Set(tokenize(query || ''))];
+    if (!index || index.chunks.length === 0 || terms.length === 0) {
+      return [];
+    }
+
+    const total = index.chunks.length;
+    const scored = [];
+    for (const chunk of index.chunks) {
+      if (filter && !filter(chunk.file)) continue;
+      let score = 0;
+      for (const term of terms) {
+        // Saved indexes come back from JSON as ordinary objects
+        if (!Object.hasOwn(chunk.terms, term)) continue;
+        const tf = chunk.terms[term];
+        const idf = Math.log(1 + (total - index.df[term] + 0.5) / (index.df[term] + 0.5));
+        score += idf * (tf * (BM25.k1 + 1)) / (tf + BM25.k1 * (1 - BM25.b + BM25.b * chunk.length / (index.avgLength || 1)));
+      }
+      if (score > 0) scored.push({ chunk, score });
+    }
+    scored.sort((a, b) => b.score - a.score);
+
+    const results = [];
+    let size = 0;
+    for (const { chunk, score } of scored) {
+      if (results.length >= limit || size + chunk.text.length > maxChars) break;
+      results.push({ file: chunk.file, page: chunk.page, label: chunk.label || null, citation: citation(chunk), text: chunk.text, score: Math.round(score * 100) / 100 });
+      size += chunk.text.length;
+    }
+    return results;
+  }
+
+  describe(resourcesDir) {
+    const index = this.sites.get(resourcesDir);
+    return {
+      builtAt: index ? index.builtAt || null : null,
+      chunks: index ? index.chunks.length : 0,
+      files: index ? index.files : {}
+    };
+  }
+}
+
+module.exports = {
+  ResourceIndex,
+  INDEX_FILE,
+  tokenize,
+  chunkText,
+  citation
+};
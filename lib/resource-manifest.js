@@ -0,0 +1,303 @@
+/**
+ * HAX AI Interface - Resource Manifest
+ * The one format for a course's faculty-resources/resources.json:
+ *
+ *   {
+ *     version: 2,
+ *     notes: 'Text added to every prompt for the course',
+ *     urls: [{ url, description, added, tags, inactive, ...snapshot fields }],
+ *     files: { 'syllabus.pdf': { tags, inactive, sha256, size, originalName, uploadedAt } }
+ *   }
+ *
+ * Older files are upgraded when they are loaded:
+ *   version 0 - a bare array of { url, description, added }, written by the
+ *               PRAW faculty scripts to ~/.hax-ai/sites/<course>/resources.json
+ *   version 1 - { urls, notes } with no version field
+ * Legacy files outside faculty-resources are merged in once and renamed to
+ * resources.json.migrated. Every load and save is validated; problems are
+ * repaired where possible and logged.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { isHttpUrl } = require('./url-resources');
+
+const MANIFEST_FILE = 'resources.json';
+const MANIFEST_VERSION = 2;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 40;
+
+// Snapshot fields kept on URL entries (see url-resources.js)
+const URL_FIELDS = ['description', 'added', 'snapshot', 'retrievedAt', 'contentType', 'title', 'bytes', 'status', 'error', 'checkedAt'];
+
+function emptyManifest() {
+  return { version: MANIFEST_VERSION, notes: '', urls: [], files: {} };
+}
+
+// Tags such as "week 3" or "unit 2": trimmed, deduplicated, at most 10
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    throw new Error('tags must be a list of strings');
+  }
+  const seen = new Set();
+  return tags
+    .map(tag => String(tag).replace(/\s+/g, ' ').trim().substring(0, MAX_TAG_LENGTH))
+    .filter(tag => tag && !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()))
+    .slice(0, MAX_TAGS);
+}
+
+// Bring any known resources.json shape up to the current version. Returns
+// { manifest, from } where from is the version that was read.
+function migrateManifest(raw) {
+  if (Array.isArray(raw)) {
+    return { manifest: { ...emptyManifest(), urls: raw }, from: 0 };
+  }
+  if (!raw || typeof raw !== 'object') {
+    return { manifest: emptyManifest(), from: null };
+  }
+  const version = raw.version === undefined ? 1 : raw.version;
+  if (typeof version !== 'number' || version > MANIFEST_VERSION) {
+    throw new Error(`resources.json has version ${raw.version}, which this version of the app can't read`);
+  }
+  return { manifest: { ...emptyManifest(), ...raw, version: MANIFEST_VERSION }, from: version };
+}
+
+// Check a current-version manifest against the schema. Returns
+// { manifest, problems }: a cleaned copy and what had to be fixed.
+function validateManifest(data) {
+  const problems = [];
+  const manifest = emptyManifest();
+  const source = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  if (source !== data) problems.push('manifest is not an object');
+
+  for (const key of Object.keys(source)) {
+    if (!(key in manifest)) problems.push(`unknown field "${key}" removed`);
+  }
+
+  if (typeof source.notes === 'string') {
+    manifest.notes = source.notes;
+  } else if (source.notes !== undefined && source.notes !== null) {
+    problems.push('notes is not text');
+  }
+
+  const tagsOf = (value, where) => {
+    if (value === undefined) return [];
+    try {
+      return normalizeTags(typeof value === 'string' ? [value] : value);
+    } catch (error) {
+      problems.push(`${where}: ${error.message}`);
+      return [];
+    }
+  };
+
+  const seen = new Set();
+  for (const [index, item] of (Array.isArray(source.urls) ? source.urls : []).entries()) {
+    const entry = typeof item === 'string' ? { url: item } : item;
+    if (!entry || typeof entry !== 'object' || !isHttpUrl(entry.url)) {
+      problems.push(`urls[${index}] has no valid http(s) URL and was removed`);
+      continue;
+    }
+    if (seen.has(entry.url)) {
+      problems.push(`duplicate URL ${entry.url} removed`);
+      continue;
+    }
+    seen.add(entry.url);
+    const clean = { url: entry.url };
+    for (const field of URL_FIELDS) {
+      if (entry[field] !== undefined) clean[field] = entry[field];
+    }
+    clean.description = typeof clean.description === 'string' ? clean.description : '';
+    clean.added = typeof clean.added === 'string' ? clean.added : new Date().toISOString();
+    clean.tags = tagsOf(entry.tags, entry.url);
+    clean.inactive = !!entry.inactive;
+    manifest.urls.push(clean);
+  }
+  if (source.urls !== undefined && !Array.isArray(source.urls)) problems.push('urls is not a list');
+
+  const files = source.files && typeof source.files === 'object' && !Array.isArray(source.files) ? source.files : {};
+  if (source.files !== undefined && files !== source.files) problems.push('files is not an object');
+  for (const [name, meta] of Object.entries(files)) {
+    if (path.basename(name) !== name || name.startsWith('.') || name === MANIFEST_FILE) {
+      problems.push(`files entry "${name}" is not a file name and was removed`);
+      continue;
+    }
+    const value = meta && typeof meta === 'object' ? meta : {};
+    const clean = { tags: tagsOf(value.tags, name), inactive: !!value.inactive };
+    // Recorded at upload time; the hash is how duplicate uploads are spotted
+    if (/^[a-f0-9]{64}$/.test(value.sha256)) clean.sha256 = value.sha256;
+    if (Number.isFinite(value.size) && value.size >= 0) clean.size = value.size;
+    if (typeof value.originalName === 'string') clean.originalName = value.originalName;
+    if (typeof value.uploadedAt === 'string') clean.uploadedAt = value.uploadedAt;
+    manifest.files[name] = clean;
+  }
+
+  return { manifest, problems };
+}
+
+// Add what `source` has that `target` lacks: URLs, file details and notes
+function mergeManifests(target, source) {
+  let changed = false;
+  for (const entry of source.urls) {
+    if (!target.urls.some(existing => existing.url === entry.url)) {
+      target.urls.push(entry);
+      changed = true;
+    }
+  }
+  for (const [name, meta] of Object.entries(source.files)) {
+    if (!target.files[name]) {
+      target.files[name] = meta;
+      changed = true;
+    }
+  }
+  const notes = source.notes.trim();
+  if (notes && !target.notes.includes(notes)) {
+    target.notes = target.notes.trim() ? `${target.notes.trim()}\n\n${notes}` : notes;
+    changed = true;
+  }
+  return changed;
+}
+
+// Where older tools kept a course's resources.json: the PRAW faculty scripts'
+// ~/.hax-ai/sites/<course> folder and the site folder itself
+function legacyManifestPaths(siteName, sitesDir) {
+  const home = process.env.HOME || process.env.USERPROFILE;
+  const candidates = [
+    home ? path.join(home, '.hax-ai', 'sites', siteName, MANIFEST_FILE) : null,
+    sitesDir ? path.join(sitesDir, siteName, MANIFEST_FILE) : null
+  ];
+  return [...new Set(candidates.filter(Boolean).map(candidate => path.resolve(candidate)))];
+}
+
+async function readJson(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return undefined;
+    throw error;
+  }
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    // Keep the unreadable file around instead of overwriting it silently
+    await fs.rename(filePath, `${filePath}.corrupt-${Date.now()}`).catch(() => {});
+    console.error(`Could not parse ${filePath}; moved it aside:`, error.message);
+    return undefined;
+  }
+}
+
+class ResourceManifest {
+  constructor(resourcesDir, { legacyPaths = [] } = {}) {
+    this.filePath = path.join(resourcesDir, MANIFEST_FILE);
+    this.legacyPaths = legacyPaths.filter(legacy => path.resolve(legacy) !== path.resolve(this.filePath));
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Read, upgrade and validate the manifest, merging legacy files. Saves the
+  // result when anything had to change.
+  load() {
+    return this.read(manifest => this.save(manifest));
+  }
+
+  // load() without the queue: `persist` writes the manifest when it changed
+  async read(persist) {
+    const raw = await readJson(this.filePath);
+    const { manifest: migrated, from } = migrateManifest(raw);
+    const { manifest, problems } = validateManifest(migrated);
+    let changed = raw !== undefined && (from !== MANIFEST_VERSION || problems.length > 0);
+    if (problems.length > 0) {
+      console.warn(`Fixed ${this.filePath}:`, problems.join('; '));
+    }
+
+    const merged = [];
+    for (const legacyPath of this.legacyPaths) {
+      const legacyRaw = await readJson(legacyPath);
+      if (legacyRaw === undefined) continue;
+      try {
+        const legacy = validateManifest(migrateManifest(legacyRaw).manifest).manifest;
+        if (mergeManifests(manifest, legacy)) changed = true;
+        merged.push(legacyPath);
+      } catch (error) {
+        console.warn(`Could not migrate ${legacyPath}:`, error.message);
+      }
+    }
+
+    if (changed) {
+      await persist(manifest);
+    }
+    // Only retire legacy files once their contents are saved here
+    for (const legacyPath of merged) {
+      await fs.rename(legacyPath, `${legacyPath}.migrated`).catch(error =>
+        console.warn(`Could not rename ${legacyPath}:`, error.message));
+      console.log(`📦 Merged ${legacyPath} into ${this.filePath}`);
+    }
+    return manifest;
+  }
+
+  // Create the file if it doesn't exist yet
+  async ensure() {
+    try {
+      await fs.access(this.filePath);
+      return this.load();
+    } catch {
+      const manifest = await this.load();
+      await this.save(manifest);
+      return manifest;
+    }
+  }
+
+  // Validate and write atomically. Writes to the same file are serialized.
+  save(data) {
+    return this.enqueue(() => this.write(data));
+  }
+
+  // Load, change and save in one turn of the queue, so a change made while
+  // another request is busy (fetching a URL, hashing uploads) isn't lost.
+  // mutator(manifest) edits it in place; whatever it returns is passed on.
+  // If it throws, nothing is saved.
+  update(mutator) {
+    return this.enqueue(async () => {
+      const manifest = await this.read(data => this.write(data));
+      const result = await mutator(manifest);
+      await this.write(manifest);
+      return result;
+    });
+  }
+
+  enqueue(task) {
+    this.writeQueue = this.writeQueue.then(task, task);
+    return this.writeQueue;
+  }
+
+  async write(data) {
+    const { manifest, problems } = validateManifest(data);
+    if (problems.length > 0) {
+      console.warn(`Fixed resources before saving ${this.filePath}:`, problems.join('; '));
+    }
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(manifest, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+  }
+}
+
+// One ResourceManifest per file, so every writer shares its write queue
+const manifests = new Map();
+function openManifest(resourcesDir, options = {}) {
+  const key = path.resolve(resourcesDir);
+  if (!manifests.has(key)) {
+    manifests.set(key, new ResourceManifest(resourcesDir, options));
+  }
+  return manifests.get(key);
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  MANIFEST_VERSION,
+  ResourceManifest,
+  openManifest,
+  migrateManifest,
+  validateManifest,
+  legacyManifestPaths,
+  normalizeTags
+};
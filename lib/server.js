@@ -4,15 +4,33 @@
  */
 
 const express = require('express');
-const { exec, spawn } = require('child_process');
+const { spawn } = require('child_process');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
-const WebSocket = require('ws');
 const multer = require('multer');
 require('dotenv').config();
 const { SmartAIProcessor } = require('./ai-processor');
+const { parseCommand, parsePageParent, parseCopyFiles, parseInsertComponent, executeParsed, runProcess } = require('./command-executor');
+const { JsonStateStore } = require('./state-store');
+const { DeploymentHistory } = require('./deployment-history');
+const { DEFAULT_PROVIDER, getProvider, getProviderConfig, describeProviders, isValidDomain } = require('./deploy-providers');
+const { getAIProvider, getTaskConfig, resolveDefaultProvider, taskConfigUpdates, describeAIProviders, describeAITasks, listProviderModels, normalizeBaseUrl } = require('./ai-providers');
+const { isValidRef, DEFAULT_REF } = require('./praw-rules');
+const { validateHtml, formatIssues } = require('./html-validator');
+const { SNAPSHOT_DIR, isHttpUrl, snapshotUrl } = require('./url-resources');
+const { MANIFEST_FILE, openManifest, legacyManifestPaths, normalizeTags } = require('./resource-manifest');
+const { canImportDeck, importDeck } = require('./slide-import');
+const { ALLOWED_TYPES, uploadPolicyFromEnv, checkDeclaredType, checkFileContents, hashFile, directorySize, storedFileName, formatBytes } = require('./upload-policy');
+const { EventStream } = require('./event-stream');
+const {
+  ConversationStore,
+  exportConversation,
+  conversationToMarkdown,
+  parseConversationExport
+} = require('./conversation-store');
 
 const app = express();
 const port = process.env.PORT || 3001;
@@ -20,7 +38,13 @@ const sitesDir = process.env.SITES_DIR || path.join(process.cwd(), '.hax-ai', 's
 const userDir = process.env.USER_DIR || path.join(process.cwd(), '.hax-ai');
 
 // Initialize AI processor
-const aiProcessor = new SmartAIProcessor();
+const aiProcessor = new SmartAIProcessor({ userDir, sitesDir });
+
+// Live command output and status updates for the browser (WebSocket)
+const events = new EventStream();
+
+// Chat conversations per browser session and site
+const conversations = new ConversationStore(path.join(userDir, 'conversations'));
 
 // Store running processes (for serve commands)
 const runningProcesses = new Map();
@@ -28,11 +52,84 @@ const runningProcesses = new Map();
 // Site server management with robust port management
 const siteServers = new Map(); // siteName -> { process, port, status, startTime }
 const portAssignments = new Map(); // siteName -> assignedPort (persistent assignments)
-const deploymentInfo = new Map(); // siteName -> { url, domain, deployedAt, deployCount }
+const deploymentInfo = new Map(); // siteName -> { url, domain, provider, deployedAt, deployCount }
+const deployTargets = new Map(); // siteName -> deploy provider id chosen for the site
 const usedPorts = new Set([3000, 3001, 3002, 3003, 3004]); // Reserve common ports and main app port
 const MIN_PORT = 3005; // Start allocating from port 3005
 let nextAvailablePort = MIN_PORT;
 
+// Versioned snapshots of every deploy, kept outside the site folders
+const deploymentHistory = new DeploymentHistory(path.join(userDir, 'deployments'));
+
+// Port assignments and deployments are persisted so a restart keeps each
+// site's port and surge domain
+const stateStore = new JsonStateStore(path.join(userDir, 'state.json'), {
+  version: 1,
+  portAssignments: {},
+  deployments: {},
+  deployTargets: {}
+});
+
+// Save the current registries (fire and forget - errors are only logged)
+function persistState() {
+  return stateStore.save({
+    version: 1,
+    savedAt: new Date().toISOString(),
+    portAssignments: Object.fromEntries(portAssignments),
+    deployments: Object.fromEntries(deploymentInfo),
+    deployTargets: Object.fromEntries(deployTargets)
+  }).catch(error => {
+    console.error('Error saving server state:', error.message);
+  });
+}
+
+// Load saved registries and reconcile them against the sites on disk
+async function restoreState() {
+  const state = await stateStore.load();
+  const sitesOnDisk = new Set(await getAvailableSites());
+  let changed = false;
+
+  for (const [siteName, savedPort] of Object.entries(state.portAssignments || {})) {
+    const assignedPort = Number(savedPort);
+    if (!sitesOnDisk.has(siteName)) {
+      console.log(`Dropping port ${savedPort} for missing site: ${siteName}`);
+      changed = true;
+      continue;
+    }
+    if (!Number.isInteger(assignedPort) || assignedPort < MIN_PORT || usedPorts.has(assignedPort)) {
+      console.log(`Dropping invalid or duplicate port ${savedPort} for site: ${siteName}`);
+      changed = true;
+      continue;
+    }
+    portAssignments.set(siteName, assignedPort);
+    usedPorts.add(assignedPort);
+  }
+
+  for (const [siteName, info] of Object.entries(state.deployments || {})) {
+    if (!sitesOnDisk.has(siteName) || !info || !info.domain) {
+      console.log(`Dropping deployment record for missing site: ${siteName}`);
+      changed = true;
+      continue;
+    }
+    deploymentInfo.set(siteName, info);
+  }
+
+  for (const [siteName, providerId] of Object.entries(state.deployTargets || {})) {
+    if (!sitesOnDisk.has(siteName) || !getProvider(providerId)) {
+      console.log(`Dropping deploy target ${providerId} for site: ${siteName}`);
+      changed = true;
+      continue;
+    }
+    deployTargets.set(siteName, providerId);
+  }
+
+  if (changed) {
+    await persistState();
+  }
+
+  console.log(`Restored ${portAssignments.size} port assignment(s) and ${deploymentInfo.size} deployment(s)`);
+}
+
 // Port Management System
 const PortManager = {
   // Get the assigned port for a site (persistent across restarts)
@@ -44,6 +141,7 @@ const PortManager = {
   assignPort(siteName, port) {
     portAssignments.set(siteName, port);
     usedPorts.add(port);
+    persistState();
     console.log(`Port ${port} assigned to site: ${siteName}`);
   },
 
@@ -53,6 +151,7 @@ const PortManager = {
     if (port) {
       portAssignments.delete(siteName);
       usedPorts.delete(port);
+      persistState();
       console.log(`Port ${port} released from site: ${siteName}`);
     }
   },
@@ -152,12 +251,15 @@ const DeploymentManager = {
     return deploymentInfo.get(siteName);
   },
 
-  // Update deployment info after successful deployment
-  updateDeployment(siteName, url, domain) {
+  // Update deployment info after successful deployment.
+  // `domain` is the provider's target: a surge domain, a directory, ...
+  updateDeployment(siteName, url, domain, version = null, provider = DEFAULT_PROVIDER) {
     const existing = deploymentInfo.get(siteName);
     const deploymentData = {
       url: url,
       domain: domain,
+      provider: provider,
+      currentVersion: version,
       deployedAt: new Date().toISOString(),
       deployCount: existing ? existing.deployCount + 1 : 1,
       lastDeployedAt: new Date().toISOString(),
@@ -165,6 +267,7 @@ const DeploymentManager = {
     };
     
     deploymentInfo.set(siteName, deploymentData);
+    persistState();
     console.log(`Updated deployment info for ${siteName}: ${url}`);
     return deploymentData;
   },
@@ -175,10 +278,32 @@ const DeploymentManager = {
     return info ? info.domain : null;
   },
 
+  // Get the existing target only if it was published with the same provider
+  getExistingTarget(siteName, providerId) {
+    const info = deploymentInfo.get(siteName);
+    if (!info || (info.provider || DEFAULT_PROVIDER) !== providerId) return null;
+    return info.domain;
+  },
+
+  // Deploy provider chosen for a site
+  getSiteProvider(siteName) {
+    // A target saved before providers were checked falls back to the default
+    const providerId = deployTargets.get(siteName);
+    return getProvider(providerId) ? providerId : DEFAULT_PROVIDER;
+  },
+
+  setSiteProvider(siteName, providerId) {
+    deployTargets.set(siteName, providerId);
+    persistState();
+    console.log(`Deploy target for ${siteName} set to ${providerId}`);
+  },
+
   // Clear deployment info (when site is deleted)
   clearDeployment(siteName) {
-    if (deploymentInfo.has(siteName)) {
+    if (deploymentInfo.has(siteName) || deployTargets.has(siteName)) {
       deploymentInfo.delete(siteName);
+      deployTargets.delete(siteName);
+      persistState();
       console.log(`Cleared deployment info for ${siteName}`);
     }
   },
@@ -192,6 +317,150 @@ const DeploymentManager = {
   }
 };
 
+// Command Plan Management System
+// AI-proposed commands are held as a plan until the user approves them
+const pendingPlans = new Map(); // planId -> { id, steps, aiResult, context, createdAt }
+const PLAN_TTL = 30 * 60 * 1000; // Unconfirmed plans expire after 30 minutes
+
+const PlanManager = {
+  // Build a reviewable plan from an AI result. Throws (code ENOSITE) when
+  // the plan would run in a site that doesn't exist.
+  createPlan(aiResult, context) {
+    this.purgeExpired();
+
+    // Run in the site the request named, falling back to the selected one
+    const targetSite = aiResult.siteName || context?.currentSite;
+    const siteDir = targetSite ? path.join(sitesDir, targetSite) : sitesDir;
+    const steps = [];
+
+    // A model can name a site that was never made; only a plan that creates
+    // the site itself may target one that isn't there yet
+    const createdSites = (aiResult.commands || [])
+      .map(command => parseCommand(command, { sitesDir }))
+      .filter(parsed => parsed.valid && parsed.verb === 'site start')
+      .map(parsed => parsed.options.name);
+    if (targetSite && !createdSites.includes(targetSite) &&
+        (!/^[a-zA-Z0-9_-]+$/.test(targetSite) || !fsSync.existsSync(path.join(siteDir, 'site.json')))) {
+      const error = new Error(`There is no site called "${targetSite}". Pick one of your sites, or ask me to create it first.`);
+      error.code = 'ENOSITE';
+      throw error;
+    }
+
+    const addStep = (command, phase, description, defaultDir, parsed = parseCommand(command, { sitesDir })) => {
+      let workingDir = defaultDir;
+      if (parsed.valid && parsed.cwd === 'sites') {
+        workingDir = sitesDir;
+      } else if ((parsed.verb === 'serve' || parsed.verb === 'site:surge') && aiResult.siteName) {
+        workingDir = path.join(sitesDir, aiResult.siteName);
+      }
+      // Deploys go through the site's chosen deploy provider
+      if (parsed.valid && parsed.verb === 'site:surge' && !description) {
+        const deploySiteName = aiResult.siteName || context?.currentSite;
+        const provider = getProvider(DeploymentManager.getSiteProvider(deploySiteName));
+        description = `Build and publish with ${provider.label}`;
+      }
+      // Page content is linted before it can be written
+      const content = parsed.valid && (parsed.options ? parsed.options.content : parsed.html);
+      const validation = content ? validateHtml(content) : null;
+      if (validation && validation.blocked) {
+        parsed = { valid: false, error: `page content failed HTML checks: ${validation.issues.map(issue => issue.message).join('; ')}`, command };
+      }
+      steps.push({
+        id: steps.length + 1,
+        phase,
+        command: parsed.valid ? parsed.display : command,
+        verb: parsed.valid ? parsed.verb : null,
+        workingDir,
+        description: description || (parsed.valid ? parsed.description : ''),
+        allowed: parsed.valid,
+        rejectedReason: parsed.valid ? null : parsed.error,
+        warnings: validation && !validation.blocked ? formatIssues(validation.issues) : [],
+        parsed
+      });
+    };
+
+    // Files the new pages link to are copied in first
+    for (const copy of aiResult.fileCopies || []) {
+      const parsed = targetSite ?
+        parseCopyFiles(copy, siteDir) :
+        { valid: false, error: 'no site selected', command: `copy files into ${copy.to}` };
+      addStep(parsed.display || parsed.command, 'main', '', siteDir, parsed);
+    }
+
+    for (const command of aiResult.commands || []) {
+      addStep(command, 'main', '', siteDir);
+    }
+
+    // Components added to the end of existing pages
+    for (const insert of aiResult.componentInserts || []) {
+      const parsed = targetSite ?
+        parseInsertComponent(insert, siteDir) :
+        { valid: false, error: 'no site selected', command: `add ${insert.component || 'component'} to "${insert.page}"` };
+      addStep(parsed.display || parsed.command, 'main', '', siteDir, parsed);
+    }
+
+    for (const postCmd of aiResult.postCommands || []) {
+      addStep(postCmd.command, 'post', postCmd.description,
+        aiResult.runFromSiteDir || path.join(sitesDir, context?.currentSite || ''));
+    }
+
+    // New pages that belong under a parent page
+    for (const link of aiResult.pageParents || []) {
+      const parsed = targetSite ?
+        parsePageParent(link, siteDir) :
+        { valid: false, error: 'no site selected', command: `place "${link.page}" under "${link.parent}"` };
+      addStep(parsed.display || parsed.command, 'post', '', siteDir, parsed);
+    }
+
+    const plan = {
+      id: crypto.randomBytes(8).toString('hex'),
+      steps,
+      aiResult,
+      context: context || {},
+      createdAt: Date.now()
+    };
+    pendingPlans.set(plan.id, plan);
+    console.log(`Created plan ${plan.id} with ${steps.length} step(s)`);
+    return plan;
+  },
+
+  // Get a pending plan (null if missing or expired)
+  getPlan(planId) {
+    const plan = pendingPlans.get(planId);
+    if (!plan) return null;
+    if (Date.now() - plan.createdAt > PLAN_TTL) {
+      pendingPlans.delete(planId);
+      return null;
+    }
+    return plan;
+  },
+
+  // Remove a plan once it has been executed or cancelled
+  discardPlan(planId) {
+    return pendingPlans.delete(planId);
+  },
+
+  // Drop plans nobody confirmed
+  purgeExpired() {
+    const now = Date.now();
+    for (const [planId, plan] of pendingPlans) {
+      if (now - plan.createdAt > PLAN_TTL) {
+        pendingPlans.delete(planId);
+      }
+    }
+  },
+
+  // Public view of a plan (no internal AI state)
+  describePlan(plan) {
+    return {
+      id: plan.id,
+      createdAt: new Date(plan.createdAt).toISOString(),
+      expiresAt: new Date(plan.createdAt + PLAN_TTL).toISOString(),
+      steps: plan.steps.map(({ parsed, ...step }) => step)
+    };
+  }
+};
+
 // Middleware
 app.use(cors({
   origin: true,
@@ -217,32 +486,156 @@ async function ensureDirectories() {
   }
 }
 
-// Execute command safely
+// Execute an AI-proposed command safely: it must parse into an allowlisted
+// HAX verb and is spawned without a shell
 async function executeCommand(command, workingDir = sitesDir, timeout = 30000) {
-  return new Promise((resolve, reject) => {
-    console.log(`Executing: ${command} in ${workingDir}`);
-    
-    exec(command, { 
-      cwd: workingDir,
-      timeout: timeout,
-      maxBuffer: 1024 * 1024 * 5 // 5MB buffer
-    }, (error, stdout, stderr) => {
-      if (error) {
-        console.error(`Command failed: ${command}`, error.message);
-        reject({ 
-          error: error.message, 
-          stderr: stderr || '', 
-          stdout: stdout || '',
-          command: command
-        });
-      } else {
-        console.log(`Command succeeded: ${command}`);
-        resolve({ stdout: stdout || '', stderr: stderr || '' });
-      }
-    });
+  const parsed = parseCommand(command, { sitesDir });
+  if (!parsed.valid) {
+    console.error(`Command rejected: ${command}`, parsed.error);
+    throw { error: `Command rejected: ${parsed.error}`, stderr: '', stdout: '', command };
+  }
+  return runStreamed({ source: 'command', command: parsed.display }, onOutput =>
+    executeParsed(parsed, { cwd: workingDir, timeout, onOutput }));
+}
+
+// Run a command, streaming its output and start/finish status to the browser
+async function runStreamed({ source, siteName = null, command }, run) {
+  const runId = events.newRunId();
+  const onOutput = events.lineWriter({ runId, source, siteName });
+  events.emit({ type: 'command', runId, source, siteName, command, status: 'started' });
+  
+  try {
+    const result = await run(onOutput);
+    onOutput.flush();
+    events.emit({ type: 'command', runId, source, siteName, command, status: 'finished' });
+    return result;
+  } catch (error) {
+    onOutput.flush();
+    events.emit({ type: 'command', runId, source, siteName, command, status: 'failed', error: error.error || error.message });
+    throw error;
+  }
+}
+
+// Report a site server status change to the browser
+function emitSiteStatus(siteName, status, details = {}) {
+  events.emit({ type: 'site-status', siteName, status, ...details });
+}
+
+// Stream a site server's output and report when it stops or crashes
+function watchSiteServer(siteName, serverProcess, port) {
+  events.pipeProcess(serverProcess, { source: 'server', siteName });
+  emitSiteStatus(siteName, 'starting', { port });
+  
+  serverProcess.on('error', (error) => {
+    emitSiteStatus(siteName, 'errored', { port, error: error.code === 'ENOENT' ? 'hax is not installed or not on the PATH' : error.message });
+  });
+  
+  serverProcess.on('exit', (code, signal) => {
+    if (code === 0 || signal) {
+      emitSiteStatus(siteName, 'stopped', { port });
+    } else {
+      emitSiteStatus(siteName, 'errored', { port, error: `Process exited with code ${code}` });
+    }
   });
 }
 
+// Run a single approved plan step
+async function runPlanStep(step, plan) {
+  try {
+    // Never run anything that failed the allowlist
+    if (!step.allowed) {
+      throw { error: `Command rejected: ${step.rejectedReason}` };
+    }
+
+    // Special handling for serve commands
+    if (step.verb === 'serve') {
+      const siteName = plan.aiResult.siteName || plan.context.currentSite;
+      if (!siteName) {
+        throw { error: 'No site selected to preview' };
+      }
+      await startServeProcess(siteName);
+      return {
+        stepId: step.id,
+        command: step.command,
+        workingDir: step.workingDir,
+        success: true,
+        output: `Development server started for ${siteName} at http://localhost:3000`,
+        error: ''
+      };
+    }
+
+    // Deploys are built and published by the site's deploy provider
+    if (step.verb === 'site:surge') {
+      const siteName = plan.aiResult.siteName || plan.context.currentSite;
+      if (!siteName) {
+        throw { error: 'No site selected to deploy' };
+      }
+      const { entry, output, url } = await deploySite(siteName, { domain: step.parsed.options.domain });
+      return {
+        stepId: step.id,
+        command: step.command,
+        workingDir: step.workingDir,
+        success: true,
+        output: `${output}\nPublished version ${entry.version} to ${url}`,
+        error: '',
+        deploymentUrl: url,
+        description: step.description || undefined
+      };
+    }
+
+    console.log(`[AI DEBUG] Will execute: ${step.command}`);
+    console.log(`[AI DEBUG] In directory: ${step.workingDir}`);
+
+    const siteName = plan.aiResult.siteName || plan.context.currentSite || null;
+    const result = await runStreamed({ source: 'command', siteName, command: step.command }, onOutput =>
+      executeParsed(step.parsed, { cwd: step.workingDir, onOutput }));
+    return {
+      stepId: step.id,
+      command: step.command,
+      workingDir: step.workingDir,
+      success: true,
+      output: result.stdout,
+      error: result.stderr,
+      description: step.description || undefined
+    };
+  } catch (error) {
+    return {
+      stepId: step.id,
+      command: step.command,
+      workingDir: step.workingDir,
+      success: false,
+      output: error.stdout || '',
+      error: error.error || error.stderr || error.message || 'Unknown error occurred',
+      description: step.description || undefined
+    };
+  }
+}
+
+// Post-process executions for actions that report results back to the chat
+function summarizeExecutions(aiResult, executions) {
+  const summary = { explanation: '' };
+
+  if (aiResult.action === 'list-pages' && executions.length > 0 && executions[0].success) {
+    try {
+      const siteData = JSON.parse(executions[0].output);
+      const pages = siteData.items || [];
+      summary.explanation += `\n\n**Pages in ${aiResult.siteName}:**\n` + 
+        pages.map(page => `• ${page.title || 'Untitled'} ${page.slug ? `(/${page.slug})` : ''}`).join('\n');
+      summary.data = { pages };
+    } catch (e) {
+      // If parsing fails, keep original output
+    }
+  }
+
+  const deployed = executions.find(e => e.success && e.deploymentUrl);
+  if (aiResult.action === 'deploy' && deployed) {
+    summary.deploymentUrl = deployed.deploymentUrl;
+    summary.explanation += `\n\n🎉 **Your site is now live at:** ${deployed.deploymentUrl}`;
+  }
+
+  return summary;
+}
+
 // Get available sites
 async function getAvailableSites() {
   try {
@@ -279,6 +672,59 @@ async function getSiteInfo(siteName) {
   }
 }
 
+// Read KEY=value pairs from the user's .env file
+async function readEnvValues() {
+  const values = {};
+  try {
+    const envContent = await fs.readFile(path.join(userDir, '.env'), 'utf8');
+    for (const line of envContent.split('\n')) {
+      const match = line.match(/^([A-Za-z0-9_]+)=(.*)$/);
+      if (match) {
+        values[match[1]] = match[2].replace(/['"]/g, ''); // Remove quotes
+      }
+    }
+  } catch (error) {
+    // .env file doesn't exist, return empty
+  }
+  return values;
+}
+
+// Set keys in the user's .env file (empty values remove the key) and apply
+// them to process.env right away
+async function writeEnvValues(updates) {
+  await fs.mkdir(userDir, { recursive: true });
+  const envPath = path.join(userDir, '.env');
+  
+  let envContent = '';
+  try {
+    envContent = await fs.readFile(envPath, 'utf8');
+  } catch (error) {
+    // File doesn't exist, start with empty content
+  }
+  
+  const keys = Object.keys(updates);
+  const lines = envContent.split('\n').filter(line =>
+    !keys.some(key => line.startsWith(`${key}=`)) &&
+    line.trim() !== ''
+  );
+  
+  for (const [key, value] of Object.entries(updates)) {
+    if (value) {
+      lines.push(`${key}=${value}`);
+      process.env[key] = value;
+    } else {
+      delete process.env[key];
+    }
+  }
+  
+  await fs.writeFile(envPath, lines.join('\n') + '\n');
+}
+
+// Masked version of a secret for display
+function maskSecret(value) {
+  return value ? '***' + value.slice(-4) : '';
+}
+
 // API Routes
 
 // Health check endpoint
@@ -295,33 +741,14 @@ app.get('/api/health', (req, res) => {
 // Configuration endpoints
 app.get('/api/config/api-keys', async (req, res) => {
   try {
-    const envPath = path.join(userDir, '.env');
-    let anthropicKey = '';
-    let openaiKey = '';
-    
-    try {
-      const envContent = await fs.readFile(envPath, 'utf8');
-      const lines = envContent.split('\n');
-      
-      for (const line of lines) {
-        if (line.startsWith('ANTHROPIC_API_KEY=')) {
-          anthropicKey = line.split('=')[1] || '';
-          anthropicKey = anthropicKey.replace(/['"]/g, ''); // Remove quotes
-          // Return masked version for security
-          anthropicKey = anthropicKey ? '***' + anthropicKey.slice(-4) : '';
-        }
-        if (line.startsWith('OPENAI_API_KEY=')) {
-          openaiKey = line.split('=')[1] || '';
-          openaiKey = openaiKey.replace(/['"]/g, ''); // Remove quotes
-          // Return masked version for security  
-          openaiKey = openaiKey ? '***' + openaiKey.slice(-4) : '';
-        }
-      }
-    } catch (error) {
-      // .env file doesn't exist, return empty
-    }
-    
-    res.json({ anthropicKey, openaiKey });
+    const env = await readEnvValues();
+    // Return masked versions for security
+    res.json({
+      anthropicKey: maskSecret(env.ANTHROPIC_API_KEY),
+      openaiKey: maskSecret(env.OPENAI_API_KEY),
+      localBaseUrl: env.LOCAL_AI_BASE_URL || '',
+      localApiKey: maskSecret(env.LOCAL_AI_API_KEY)
+    });
   } catch (error) {
     console.error('Error reading API key config:', error);
     res.status(500).json({ error: 'Failed to read configuration' });
@@ -330,40 +757,29 @@ app.get('/api/config/api-keys', async (req, res) => {
 
 app.post('/api/config/api-keys', async (req, res) => {
   try {
-    const { anthropicKey, openaiKey } = req.body;
-    
-    // Ensure user directory exists
-    await fs.mkdir(userDir, { recursive: true });
-    const envPath = path.join(userDir, '.env');
+    const { anthropicKey, openaiKey, localBaseUrl, localApiKey } = req.body;
+    const updates = {};
     
-    // Read existing .env content
-    let envContent = '';
-    try {
-      envContent = await fs.readFile(envPath, 'utf8');
-    } catch (error) {
-      // File doesn't exist, start with empty content
+    // Base URL of an OpenAI-compatible server (Ollama, llama.cpp) for on-prem use
+    if (typeof localBaseUrl === 'string' && localBaseUrl.trim()) {
+      try {
+        updates.LOCAL_AI_BASE_URL = normalizeBaseUrl(localBaseUrl);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid local AI URL: ${error.message}` });
+      }
+    } else {
+      updates.LOCAL_AI_BASE_URL = '';
     }
     
-    // Parse existing lines
-    const lines = envContent.split('\n').filter(line => 
-      !line.startsWith('ANTHROPIC_API_KEY=') && 
-      !line.startsWith('OPENAI_API_KEY=') &&
-      line.trim() !== ''
-    );
-    
-    // Add new API keys
-    if (anthropicKey) {
-      lines.push(`ANTHROPIC_API_KEY=${anthropicKey}`);
-    }
-    if (openaiKey) {
-      lines.push(`OPENAI_API_KEY=${openaiKey}`);
+    for (const [key, value] of [['ANTHROPIC_API_KEY', anthropicKey], ['OPENAI_API_KEY', openaiKey], ['LOCAL_AI_API_KEY', localApiKey]]) {
+      // A masked key sent back unchanged keeps the stored value
+      if (typeof value === 'string' && value.startsWith('***')) {
+        continue;
+      }
+      updates[key] = typeof value === 'string' ? value.trim() : '';
     }
     
-    // Write back to file
-    await fs.writeFile(envPath, lines.join('\n') + '\n');
-    
-    // Reload environment variables
-    require('dotenv').config({ path: envPath });
+    await writeEnvValues(updates);
     
     // Reinitialize AI processor with new keys
     aiProcessor.updateConfig();
@@ -377,38 +793,127 @@ app.post('/api/config/api-keys', async (req, res) => {
   }
 });
 
-app.get('/api/config/deployment', async (req, res) => {
+// Which provider and model each AI task uses
+app.get('/api/config/ai-models', async (req, res) => {
   try {
-    const envPath = path.join(userDir, '.env');
-    let surgeLogin = '';
-    let surgeToken = '';
-    let surgeDomain = '';
+    const env = await readEnvValues();
+    const tasks = {};
     
-    try {
-      const envContent = await fs.readFile(envPath, 'utf8');
-      const lines = envContent.split('\n');
-      
-      for (const line of lines) {
-        if (line.startsWith('SURGE_LOGIN=')) {
-          surgeLogin = line.split('=')[1] || '';
-          surgeLogin = surgeLogin.replace(/['"]/g, ''); // Remove quotes
-        }
-        if (line.startsWith('SURGE_TOKEN=')) {
-          surgeToken = line.split('=')[1] || '';
-          surgeToken = surgeToken.replace(/['"]/g, ''); // Remove quotes
-          // Return masked version for security
-          surgeToken = surgeToken ? '***' + surgeToken.slice(-4) : '';
-        }
-        if (line.startsWith('SURGE_DOMAIN=')) {
-          surgeDomain = line.split('=')[1] || '';
-          surgeDomain = surgeDomain.replace(/['"]/g, ''); // Remove quotes
+    for (const task of describeAITasks()) {
+      tasks[task.id] = getTaskConfig(task.id, env);
+    }
+    
+    // Servers that list their own models are asked which ones they have
+    const availableProviders = await Promise.all(describeAIProviders().map(async provider => {
+      if (!provider.discoversModels || !provider.configured) {
+        return provider;
+      }
+      try {
+        return { ...provider, models: await listProviderModels(provider.id) };
+      } catch (error) {
+        return { ...provider, modelsError: `Could not list models: ${error.message}` };
+      }
+    }));
+    
+    res.json({
+      defaultProvider: env.AI_PROVIDER || '',
+      activeProvider: resolveDefaultProvider(),
+      tasks,
+      availableProviders,
+      availableTasks: describeAITasks(),
+      effective: aiProcessor.getStatus().tasks
+    });
+  } catch (error) {
+    console.error('Error reading AI model config:', error);
+    res.status(500).json({ error: 'Failed to read AI model configuration' });
+  }
+});
+
+app.post('/api/config/ai-models', async (req, res) => {
+  const { defaultProvider = '', tasks = {} } = req.body;
+  
+  let updates;
+  try {
+    if (defaultProvider && !getAIProvider(defaultProvider)) {
+      throw new Error(`Unknown AI provider: ${defaultProvider}`);
+    }
+    updates = { AI_PROVIDER: defaultProvider, ...taskConfigUpdates(tasks) };
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    await writeEnvValues(updates);
+    aiProcessor.updateConfig();
+    
+    console.log('✅ AI model settings updated successfully');
+    res.json({ success: true, message: 'AI model settings saved successfully', effective: aiProcessor.getStatus().tasks });
+  } catch (error) {
+    console.error('Error saving AI model settings:', error);
+    res.status(500).json({ error: 'Failed to save AI model settings: ' + error.message });
+  }
+});
+
+// PRAW rules currently used in prompts, and where they came from.
+// ?category=webcomponent lists one category; ?input=... shows the rules a
+// request with that wording would get.
+app.get('/api/praw-rules', async (req, res) => {
+  await aiProcessor.rulesReady;
+  if (typeof req.query.input === 'string') {
+    const { categories, rules } = aiProcessor.rules.select(req.query.input);
+    return res.json({ categories, rules });
+  }
+  res.json(aiProcessor.rules.describe({
+    includeText: req.query.text !== 'false',
+    category: typeof req.query.category === 'string' ? req.query.category : null
+  }));
+});
+
+// Re-fetch the rules from GitHub, optionally pinning a branch, tag or commit
+app.post('/api/praw-rules/reload', async (req, res) => {
+  const ref = typeof req.body.ref === 'string' ? req.body.ref.trim() : '';
+  if (ref && !isValidRef(ref)) {
+    return res.status(400).json({ error: `Invalid ref: ${ref}` });
+  }
+
+  try {
+    const rules = await aiProcessor.reloadPrawRules({ ref: ref || undefined });
+    if (ref) {
+      await writeEnvValues({ PRAW_RULES_REF: ref === DEFAULT_REF ? '' : ref });
+    }
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error('Error reloading PRAW rules:', error.message);
+    // The previously loaded rules are still in use
+    res.status(502).json({ error: error.message, rules: aiProcessor.rules.describe() });
+  }
+});
+
+app.get('/api/config/deployment', async (req, res) => {
+  try {
+    const env = await readEnvValues();
+    const providers = {};
+    
+    for (const provider of describeProviders()) {
+      const config = getProviderConfig(provider.id, env);
+      for (const field of provider.fields) {
+        // Return masked version for security
+        if (field.secret) {
+          config[field.key] = maskSecret(config[field.key]);
         }
       }
-    } catch (error) {
-      // .env file doesn't exist, return empty
+      providers[provider.id] = config;
     }
     
-    res.json({ surgeLogin, surgeToken, surgeDomain });
+    res.json({
+      // Flat Surge fields kept for older clients
+      surgeLogin: providers.surge.login,
+      surgeToken: providers.surge.token,
+      surgeDomain: providers.surge.domain,
+      providers,
+      availableProviders: describeProviders(),
+      defaultProvider: DEFAULT_PROVIDER
+    });
   } catch (error) {
     console.error('Error reading deployment config:', error);
     res.status(500).json({ error: 'Failed to read deployment configuration' });
@@ -418,43 +923,30 @@ app.get('/api/config/deployment', async (req, res) => {
 app.post('/api/config/deployment', async (req, res) => {
   try {
     const { surgeLogin, surgeToken, surgeDomain } = req.body;
+    const providers = { ...(req.body.providers || {}) };
     
-    // Ensure user directory exists
-    await fs.mkdir(userDir, { recursive: true });
-    const envPath = path.join(userDir, '.env');
-    
-    // Read existing .env content
-    let envContent = '';
-    try {
-      envContent = await fs.readFile(envPath, 'utf8');
-    } catch (error) {
-      // File doesn't exist, start with empty content
+    // Older clients send flat Surge fields
+    if (!providers.surge && (surgeLogin !== undefined || surgeToken !== undefined || surgeDomain !== undefined || !req.body.providers)) {
+      providers.surge = { login: surgeLogin, token: surgeToken, domain: surgeDomain };
     }
     
-    // Parse existing lines
-    const lines = envContent.split('\n').filter(line => 
-      !line.startsWith('SURGE_LOGIN=') && 
-      !line.startsWith('SURGE_TOKEN=') &&
-      !line.startsWith('SURGE_DOMAIN=') &&
-      line.trim() !== ''
-    );
-    
-    // Add new deployment settings
-    if (surgeLogin) {
-      lines.push(`SURGE_LOGIN=${surgeLogin}`);
-    }
-    if (surgeToken) {
-      lines.push(`SURGE_TOKEN=${surgeToken}`);
-    }
-    if (surgeDomain) {
-      lines.push(`SURGE_DOMAIN=${surgeDomain}`);
+    const updates = {};
+    for (const [providerId, values] of Object.entries(providers)) {
+      const provider = getProvider(providerId);
+      if (!provider) {
+        return res.status(400).json({ error: `Unknown deploy provider: ${providerId}` });
+      }
+      for (const field of provider.fields) {
+        const value = values ? values[field.key] : undefined;
+        // A masked secret sent back unchanged keeps the stored value
+        if (typeof value === 'string' && value.startsWith('***')) {
+          continue;
+        }
+        updates[field.env] = typeof value === 'string' ? value.trim() : '';
+      }
     }
     
-    // Write back to file
-    await fs.writeFile(envPath, lines.join('\n') + '\n');
-    
-    // Reload environment variables
-    require('dotenv').config({ path: envPath });
+    await writeEnvValues(updates);
     
     console.log('✅ Deployment settings updated successfully');
     res.json({ success: true, message: 'Deployment settings saved successfully' });
@@ -521,165 +1013,202 @@ app.get('/api/surge/status', async (req, res) => {
   }
 });
 
+// Run one prompt through the AI within a conversation. Any commands are held
+// as a plan until the user confirms them. options.onExplanation receives the
+// explanation while the model is still writing it.
+async function processPrompt(message, context, conversation, options = {}) {
+  const availableSites = await getAvailableSites();
+  const fullContext = {
+    ...context,
+    availableSites,
+    sitesDir,
+    conversationHistory: conversation.history
+  };
+
+  // Process with AI
+  const aiResult = await aiProcessor.process(message, fullContext, options);
+  
+  await conversations.append(conversation, {
+    userInput: message,
+    explanation: aiResult.explanation,
+    history: fullContext.conversationHistory
+  });
+  aiResult.conversationId = conversation.id;
+  
+  if (!aiResult.success) {
+    return aiResult;
+  }
+  
+  // Nothing to run - return the answer as-is
+  const hasCommands = (aiResult.commands && aiResult.commands.length > 0) ||
+    (aiResult.postCommands && aiResult.postCommands.length > 0) ||
+    (aiResult.componentInserts && aiResult.componentInserts.length > 0);
+  if (!hasCommands) {
+    return { ...aiResult, executions: [] };
+  }
+
+  // Hold the commands as a plan until the user confirms them
+  let plan;
+  try {
+    plan = PlanManager.createPlan(aiResult, context);
+  } catch (error) {
+    if (error.code !== 'ENOSITE') throw error;
+    return { ...aiResult, success: false, error: error.message, explanation: error.message, commands: [], executions: [] };
+  }
+  return {
+    ...aiResult,
+    executions: [],
+    requiresConfirmation: true,
+    planId: plan.id,
+    plan: PlanManager.describePlan(plan)
+  };
+}
+
+// Check a prompt request and find its conversation. Sends the error response
+// and returns null when the request can't be processed. mode: 'agent' lets the
+// model call HAX tools over several steps.
+async function readPromptRequest(req, res) {
+  const { message, context, sessionId, conversationId, mode } = req.body || {};
+
+  if (!message || message.trim().length === 0) {
+    res.status(400).json({
+      explanation: "Please enter a command or question about your website.",
+      success: false,
+      commands: [],
+      executions: []
+    });
+    return null;
+  }
+
+  // Conversation for this browser session and site
+  const conversation = await getConversation(sessionId, conversationId, context?.currentSite);
+  if (!conversation) {
+    res.status(404).json({
+      explanation: 'That conversation no longer exists. Start a new one or pick another from the list.',
+      success: false,
+      commands: [],
+      executions: []
+    });
+    return null;
+  }
+
+  return { message: message.trim(), context, conversation, agent: mode === 'agent' };
+}
+
+function promptErrorResponse(error) {
+  return {
+    explanation: `I encountered an error processing your request: ${error.message}. Please try again or rephrase your command.`,
+    success: false,
+    commands: [],
+    executions: []
+  };
+}
+
 // Main AI command endpoint
 app.post('/api/ai-command', async (req, res) => {
   try {
-    const { message, context } = req.body;
+    const request = await readPromptRequest(req, res);
+    if (!request) return;
+
+    res.json(await processPrompt(request.message, request.context, request.conversation, { agent: request.agent }));
     
-    if (!message || message.trim().length === 0) {
-      return res.status(400).json({
-        explanation: "Please enter a command or question about your website.",
-        success: false,
-        commands: [],
-        executions: []
-      });
-    }
+  } catch (error) {
+    console.error('Error in /api/ai-command:', error);
+    res.status(500).json(promptErrorResponse(error));
+  }
+});
 
-    // Get current context
-    const availableSites = await getAvailableSites();
-    const fullContext = {
-      ...context,
-      availableSites,
-      sitesDir
-    };
+// Streaming version of /api/ai-command. The response is newline-delimited
+// JSON: { type: 'explanation', text } pieces while the model writes (or
+// { type: 'tool', step } as an agent calls tools), then { type: 'result',
+// result } with the same body /api/ai-command returns.
+app.post('/api/ai-command/stream', async (req, res) => {
+  let request;
+  try {
+    request = await readPromptRequest(req, res);
+  } catch (error) {
+    console.error('Error in /api/ai-command/stream:', error);
+    return res.status(500).json(promptErrorResponse(error));
+  }
+  if (!request) return;
 
-    // Process with AI
-    const aiResult = await aiProcessor.process(message.trim(), fullContext);
-    
-    if (!aiResult.success) {
-      return res.json(aiResult);
-    }
-    
-    // Helper function to sanitize page titles in commands
-    function sanitizeCommand(cmd) {
-      // Look for --title "..." pattern and clean the title
-      return cmd.replace(/--title\s+"([^"]+)"/g, (match, title) => {
-        const cleanTitle = title
-          .replace(/:/g, ' ')  // Replace colons with spaces
-          .replace(/[;|\\\/?#\[\]@!$&'()*+,=%]/g, ' ')  // Remove other problematic chars
-          .replace(/\s+/g, ' ')  // Replace multiple spaces
-          .trim();
-        return `--title "${cleanTitle}"`;
-      });
-    }
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (message) => res.write(JSON.stringify(message) + '\n');
 
-    // Execute commands if any
-    const executions = [];
-    for (let command of aiResult.commands) {
-      try {
-        // Sanitize the command to prevent URL-breaking characters
-        command = sanitizeCommand(command);
-        
-        // Special handling for serve commands
-        if (command.includes('hax serve')) {
-          const siteName = aiResult.siteName;
-          if (siteName) {
-            await startServeProcess(siteName);
-            executions.push({
-              command: command,
-              success: true,
-              output: `Development server started for ${siteName} at http://localhost:3000`,
-              error: ''
-            });
-          }
-          continue;
-        }
+  try {
+    const result = await processPrompt(request.message, request.context, request.conversation, {
+      agent: request.agent,
+      onExplanation: text => send({ type: 'explanation', text }),
+      onAgentStep: step => send({ type: 'tool', step })
+    });
+    send({ type: 'result', result });
+  } catch (error) {
+    console.error('Error in /api/ai-command/stream:', error);
+    send({ type: 'result', result: promptErrorResponse(error) });
+  }
+  res.end();
+});
 
-          // Always use the selected site from context for workingDir
-          let workingDir = sitesDir;
-          if (context && context.currentSite) {
-            workingDir = path.join(sitesDir, context.currentSite);
-          }
-          console.log(`[AI DEBUG] Will execute: ${command}`);
-          console.log(`[AI DEBUG] In directory: ${workingDir}`);
-
-        // Special handling for surge commands (longer timeout)
-        const timeout = command.includes('surge') ? 60000 : 30000;
-
-        const result = await executeCommand(command, workingDir, timeout);
-        executions.push({
-          command: command,
-          success: true,
-          output: result.stdout,
-          error: result.stderr
-        });
-      } catch (error) {
-        executions.push({
-          command: command,
-          success: false,
-          output: error.stdout || '',
-          error: error.error || error.stderr || 'Unknown error occurred'
-        });
-      }
+// Execute the approved steps of a command plan
+app.post('/api/ai-command/execute', async (req, res) => {
+  try {
+    const { planId, approvedSteps } = req.body || {};
+    if (!planId) {
+      return res.status(400).json({ success: false, error: 'planId is required' });
     }
-    
-    // Execute post-commands if any (for setting up relationships, etc.)
-    if (aiResult.postCommands && aiResult.postCommands.length > 0) {
-      console.log('[AI DEBUG] Executing post-commands...');
-      for (const postCmd of aiResult.postCommands) {
-        try {
-          const workingDir = aiResult.runFromSiteDir || path.join(sitesDir, context?.currentSite || '');
-          console.log(`[AI DEBUG] Will execute: ${postCmd.command}`);
-          console.log(`[AI DEBUG] In directory: ${workingDir}`);
-          
-          const result = await executeCommand(postCmd.command, workingDir);
-          executions.push({
-            command: postCmd.command,
-            success: true,
-            output: result.stdout,
-            error: result.stderr,
-            description: postCmd.description
-          });
-        } catch (error) {
-          executions.push({
-            command: postCmd.command,
-            success: false,
-            output: error.stdout || '',
-            error: error.error || error.stderr || 'Unknown error occurred',
-            description: postCmd.description
-          });
-        }
-      }
+
+    const plan = PlanManager.getPlan(planId);
+    if (!plan) {
+      return res.status(404).json({ success: false, error: 'Plan not found or expired. Please send your request again.' });
     }
-    
-    // Post-process certain actions
-    let enhancedResult = { ...aiResult, executions };
-    
-    if (aiResult.action === 'list-pages' && executions.length > 0 && executions[0].success) {
-      try {
-        const siteData = JSON.parse(executions[0].output);
-        const pages = siteData.items || [];
-        enhancedResult.explanation += `\n\n**Pages in ${aiResult.siteName}:**\n` + 
-          pages.map(page => `• ${page.title || 'Untitled'} ${page.slug ? `(/${page.slug})` : ''}`).join('\n');
-        enhancedResult.data = { pages };
-      } catch (e) {
-        // If parsing fails, keep original output
-      }
+
+    if (!Array.isArray(approvedSteps)) {
+      return res.status(400).json({ success: false, error: 'approvedSteps must be an array of step IDs' });
     }
-    
-    if (aiResult.action === 'deploy' && executions.some(e => e.success && e.output.includes('Success!'))) {
-      // Look for deployed URL in output
-      const deployOutput = executions.find(e => e.output?.includes('surge.sh'))?.output || '';
-      const urlMatch = deployOutput.match(/https?:\/\/[^\s]+/);
-      if (urlMatch) {
-        enhancedResult.deploymentUrl = urlMatch[0];
-        enhancedResult.explanation += `\n\n🎉 **Your site is now live at:** ${urlMatch[0]}`;
+
+    // A plan can only be run once
+    PlanManager.discardPlan(planId);
+
+    const approved = new Set(approvedSteps.map(Number));
+    const executions = [];
+    const skipped = [];
+
+    for (const step of plan.steps) {
+      if (!approved.has(step.id)) {
+        skipped.push(step.id);
+        continue;
       }
+      executions.push(await runPlanStep(step, plan));
     }
 
-    res.json(enhancedResult);
-    
-  } catch (error) {
-    console.error('Error in /api/ai-command:', error);
-    res.status(500).json({
-      explanation: `I encountered an error processing your request: ${error.message}. Please try again or rephrase your command.`,
-      success: false,
-      commands: [],
-      executions: []
+    const summary = summarizeExecutions(plan.aiResult, executions);
+
+    res.json({
+      success: executions.every(e => e.success),
+      planId,
+      action: plan.aiResult.action,
+      siteName: plan.aiResult.siteName,
+      nextSteps: plan.aiResult.nextSteps,
+      executions,
+      skipped,
+      ...summary
     });
+  } catch (error) {
+    console.error('Error in /api/ai-command/execute:', error);
+    res.status(500).json({ success: false, error: error.message, executions: [] });
   }
 });
 
+// Cancel a command plan without running anything
+app.delete('/api/ai-command/plans/:planId', (req, res) => {
+  const removed = PlanManager.discardPlan(req.params.planId);
+  res.json({ success: true, removed });
+});
+
 // Get available sites
 app.get('/api/sites', async (req, res) => {
   try {
@@ -711,7 +1240,9 @@ app.get('/api/sites', async (req, res) => {
             domain: deploymentData.domain,
             deployedAt: deploymentData.deployedAt,
             deployCount: deploymentData.deployCount,
-            lastDeployedAt: deploymentData.lastDeployedAt
+            lastDeployedAt: deploymentData.lastDeployedAt,
+            currentVersion: deploymentData.currentVersion || null,
+            provider: deploymentData.provider || DEFAULT_PROVIDER
           } : {
             isDeployed: false,
             url: null,
@@ -813,6 +1344,7 @@ async function startServeProcess(siteName) {
     });
     
     runningProcesses.set(siteName, serveProcess);
+    watchSiteServer(siteName, serveProcess, 3000);
     
     // Handle process output
     serveProcess.stdout.on('data', (data) => {
@@ -834,6 +1366,9 @@ async function startServeProcess(siteName) {
     
     // Give it a moment to start
     await new Promise(resolve => setTimeout(resolve, 2000));
+    if (runningProcesses.get(siteName) === serveProcess) {
+      emitSiteStatus(siteName, 'running', { port: 3000 });
+    }
     
   } catch (error) {
     console.error('Error starting serve process:', error);
@@ -859,49 +1394,222 @@ app.post('/api/sites/:siteName/serve', async (req, res) => {
   }
 });
 
+// Publish a build directory with the site's deploy provider as a new
+// recorded version
+async function publishSnapshot(siteName, sourceDir, { providerId, requested = null, rollbackOf = null, onOutput } = {}) {
+  providerId = providerId || DeploymentManager.getSiteProvider(siteName);
+  const provider = getProvider(providerId);
+  if (!provider) {
+    throw new Error(`Unknown deploy provider: ${providerId}`);
+  }
+  
+  const config = getProviderConfig(providerId);
+  const { target, url } = provider.resolveTarget(siteName, {
+    requested,
+    existing: DeploymentManager.getExistingTarget(siteName, providerId),
+    config,
+    defaults: { exportsDir: path.join(userDir, 'exports') }
+  });
+  
+  // Snapshot first so this exact version can be republished later
+  const snapshot = await deploymentHistory.createSnapshot(siteName, sourceDir);
+  
+  console.log(`Deploying ${siteName} v${snapshot.version} with ${provider.label} to ${target}...`);
+  let published;
+  try {
+    published = await provider.publish(snapshot.dir, { target, url }, { config, siteName, version: snapshot.version, onOutput });
+  } catch (error) {
+    await deploymentHistory.discard(siteName, snapshot);
+    throw error;
+  }
+  
+  const entry = await deploymentHistory.record(siteName, snapshot, {
+    domain: target,
+    url: published.url,
+    output: published.output,
+    rollbackOf,
+    provider: providerId
+  });
+  
+  // Update deployment tracking
+  const deploymentData = DeploymentManager.updateDeployment(siteName, published.url, target, snapshot.version, providerId);
+  
+  return { entry, deploymentData, output: published.output, url: published.url, provider };
+}
+
+// Run a deploy, streaming build/publish output and its progress to the browser
+async function withDeployEvents(siteName, run) {
+  const runId = events.newRunId();
+  const onOutput = events.lineWriter({ runId, source: 'deploy', siteName });
+  const setStatus = (status, details = {}) => events.emit({ type: 'deploy', runId, siteName, status, ...details });
+  
+  try {
+    const result = await run(onOutput, setStatus);
+    onOutput.flush();
+    setStatus('published', { provider: result.entry.provider, url: result.url, version: result.entry.version });
+    return result;
+  } catch (error) {
+    onOutput.flush();
+    setStatus('failed', { error: error.error || error.message });
+    throw error;
+  }
+}
+
+// Build a site and publish it with its deploy provider
+async function deploySite(siteName, { domain = null, provider = null } = {}) {
+  const sitePath = path.join(sitesDir, siteName);
+  
+  return withDeployEvents(siteName, async (onOutput, setStatus) => {
+    console.log(`Building site ${siteName}...`);
+    setStatus('building');
+    await runProcess('npm', ['run', 'build'], { cwd: sitePath, timeout: 60000, onOutput });
+    
+    const providerId = provider || DeploymentManager.getSiteProvider(siteName);
+    setStatus('publishing', { provider: providerId });
+    const distPath = path.join(sitePath, 'dist');
+    return publishSnapshot(siteName, distPath, { providerId, requested: domain, onOutput });
+  });
+}
+
 // Manual deploy endpoint
 app.post('/api/sites/:siteName/deploy', async (req, res) => {
   try {
-    const siteName = req.params.siteName;
-    const { domain } = req.body;
-    const sitePath = path.join(sitesDir, siteName);
-    
-    // Check for existing deployment domain
-    const existingDomain = DeploymentManager.getExistingDomain(siteName);
-    
-    // Use existing domain if no new domain specified, or generate new one
-    const finalDomain = domain || existingDomain || `${siteName}-${Date.now()}.surge.sh`;
-    
-    console.log(`Building site ${siteName}...`);
-    await executeCommand('npm run build', sitePath, 60000);
-    
-    // Deploy to Surge
-    const distPath = path.join(sitePath, 'dist');
+    const siteName = req.params.siteName;
+    const { domain, provider } = req.body;
+    
+    if (provider && !getProvider(provider)) {
+      return res.status(400).json({ error: `Unknown deploy provider: ${provider}` });
+    }
+    if (domain && !isValidDomain(domain)) {
+      return res.status(400).json({ error: 'domain must be a host name such as my-course.surge.sh' });
+    }
+    
+    const redeploy = !!DeploymentManager.getDeploymentInfo(siteName);
+    const { entry, deploymentData, output, url } = await deploySite(siteName, { domain, provider });
+    
+    res.json({
+      success: true,
+      message: redeploy ? 
+        `Site redeployed successfully to ${url} (version ${entry.version})` :
+        `Site deployed successfully to ${url} (version ${entry.version})`,
+      url,
+      domain: entry.domain,
+      provider: entry.provider,
+      version: entry.version,
+      hash: entry.hash,
+      deployment: deploymentData,
+      output
+    });
+  } catch (error) {
+    console.error('Deployment error:', error);
+    res.status(500).json({ 
+      error: `Deployment failed: ${error.error || error.message}`,
+      details: error.stderr || ''
+    });
+  }
+});
+
+// Deploy provider chosen for a site
+app.get('/api/sites/:siteName/deploy-target', (req, res) => {
+  res.json({
+    siteName: req.params.siteName,
+    provider: DeploymentManager.getSiteProvider(req.params.siteName),
+    availableProviders: describeProviders()
+  });
+});
+
+app.put('/api/sites/:siteName/deploy-target', async (req, res) => {
+  try {
+    const { provider } = req.body || {};
+    if (!/^[a-zA-Z0-9_-]+$/.test(req.params.siteName)) {
+      return res.status(400).json({ error: 'Invalid site name' });
+    }
+    if (!getProvider(provider)) {
+      return res.status(400).json({ error: `Unknown deploy provider: ${provider}` });
+    }
+    await fs.access(path.join(sitesDir, req.params.siteName));
+    DeploymentManager.setSiteProvider(req.params.siteName, provider);
+    res.json({ success: true, siteName: req.params.siteName, provider });
+  } catch (error) {
+    res.status(404).json({ error: `Site not found: ${req.params.siteName}` });
+  }
+});
+
+// Deployment history for a site (newest first)
+app.get('/api/sites/:siteName/deployments', async (req, res) => {
+  try {
+    const siteName = req.params.siteName;
+    const deployments = await deploymentHistory.list(siteName);
+    
+    res.json({
+      siteName,
+      current: DeploymentManager.getDeploymentInfo(siteName) || null,
+      // Full surge output is available per version
+      deployments: deployments.map(({ output, ...entry }) => entry)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A single deployment, including its surge output
+app.get('/api/sites/:siteName/deployments/:version', async (req, res) => {
+  try {
+    const entry = await deploymentHistory.get(req.params.siteName, req.params.version);
+    if (!entry) {
+      return res.status(404).json({ error: `Deployment version ${req.params.version} not found` });
+    }
+    res.json(entry);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Republish an earlier snapshot to the site's current domain
+app.post('/api/sites/:siteName/deployments/:version/rollback', async (req, res) => {
+  try {
+    const { siteName, version } = req.params;
+    const entry = await deploymentHistory.get(siteName, version);
+    if (!entry) {
+      return res.status(404).json({ error: `Deployment version ${version} not found` });
+    }
     
-    console.log(`Deploying ${siteName} to ${finalDomain}...`);
-    const result = await executeCommand(`surge . ${finalDomain}`, distPath, 60000);
+    const check = await deploymentHistory.verifySnapshot(siteName, entry);
+    if (!check.ok) {
+      return res.status(409).json({ error: check.error });
+    }
     
-    // Update deployment tracking
-    const deploymentData = DeploymentManager.updateDeployment(
-      siteName, 
-      `https://${finalDomain}`, 
-      finalDomain
-    );
+    // Keep students' links working: publish to the target in use now
+    const providerId = entry.provider || DEFAULT_PROVIDER;
+    const target = DeploymentManager.getExistingTarget(siteName, providerId) || entry.domain;
+    
+    console.log(`Rolling back ${siteName} to version ${entry.version}...`);
+    const result = await withDeployEvents(siteName, (onOutput, setStatus) => {
+      setStatus('publishing', { provider: providerId, rollbackOf: entry.version });
+      return publishSnapshot(siteName, check.dir, {
+        providerId,
+        requested: target,
+        rollbackOf: entry.version,
+        onOutput
+      });
+    });
     
     res.json({
       success: true,
-      message: existingDomain ? 
-        `Site redeployed successfully to https://${finalDomain}` :
-        `Site deployed successfully to https://${finalDomain}`,
-      url: `https://${finalDomain}`,
-      domain: finalDomain,
-      deployment: deploymentData,
-      output: result.stdout
+      message: `Rolled back ${siteName} to version ${entry.version} at ${result.url}`,
+      url: result.url,
+      domain: result.entry.domain,
+      provider: providerId,
+      version: result.entry.version,
+      rollbackOf: entry.version,
+      hash: result.entry.hash,
+      deployment: result.deploymentData,
+      output: result.output
     });
   } catch (error) {
-    console.error('Deployment error:', error);
-    res.status(500).json({ 
-      error: `Deployment failed: ${error.error || error.message}`,
+    console.error('Rollback error:', error);
+    res.status(500).json({
+      error: `Rollback failed: ${error.error || error.message}`,
       details: error.stderr || ''
     });
   }
@@ -914,11 +1622,17 @@ function getCourseResourcesDir(siteName) {
   return path.join(sitesDir, siteName, 'faculty-resources');
 }
 
-// Multer storage for uploads into faculty-resources
+// Upload limits from .env (see upload-policy.js)
+const uploadPolicy = uploadPolicyFromEnv();
+const UPLOAD_STAGING_DIR = '.uploads';
+
+// Multer storage for uploads. Files land under a random name in
+// faculty-resources/.uploads and are only moved next to the other resources
+// once their contents, the duplicate check and the site's quota pass.
 const uploadStorage = multer.diskStorage({
   destination: (req, file, cb) => {
     try {
-      const dir = getCourseResourcesDir(req.params.siteName);
+      const dir = path.join(getCourseResourcesDir(req.params.siteName), UPLOAD_STAGING_DIR);
       fsSync.mkdirSync(dir, { recursive: true });
       cb(null, dir);
     } catch (e) {
@@ -926,22 +1640,44 @@ const uploadStorage = multer.diskStorage({
     }
   },
   filename: (req, file, cb) => {
-    const safeName = file.originalname.replace(/[^a-zA-Z0-9._-]/g, '_');
-    cb(null, Date.now() + '-' + safeName);
+    cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}.upload`);
+  }
+});
+const upload = multer({
+  storage: uploadStorage,
+  limits: { fileSize: uploadPolicy.maxFileBytes, files: uploadPolicy.maxFiles },
+  // Unsupported types are skipped before they are written, and reported back
+  fileFilter: (req, file, cb) => {
+    try {
+      checkDeclaredType(file.originalname, file.mimetype);
+      cb(null, true);
+    } catch (error) {
+      req.rejectedUploads = [...(req.rejectedUploads || []), { name: file.originalname, error: error.message, status: error.status }];
+      cb(null, false);
+    }
   }
 });
-const upload = multer({ storage: uploadStorage });
+const acceptUploads = upload.fields([{ name: 'file', maxCount: 1 }, { name: 'files', maxCount: uploadPolicy.maxFiles }]);
+
+// Run multer, turning its limit errors into messages for the user
+function receiveUploads(req, res, next) {
+  acceptUploads(req, res, error => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Files can be at most ${formatBytes(uploadPolicy.maxFileBytes)}. Nothing was uploaded.` });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT' || (error.code === 'LIMIT_UNEXPECTED_FILE' && ['file', 'files'].includes(error.field))) {
+      return res.status(413).json({ error: `Upload at most ${uploadPolicy.maxFiles} files at a time. Nothing was uploaded.` });
+    }
+    res.status(400).json({ error: error.message });
+  });
+}
 
 // Ensure course resources directory exists
 async function ensureCourseResourcesDir(siteName) {
   const dir = getCourseResourcesDir(siteName);
   await fs.mkdir(dir, { recursive: true });
-  const resourcesJson = path.join(dir, 'resources.json');
-  try {
-    await fs.access(resourcesJson);
-  } catch {
-    await fs.writeFile(resourcesJson, JSON.stringify({ urls: [], notes: '' }, null, 2));
-  }
+  await courseResourcesStore(dir).ensure();
   
   // Ensure faculty-resources is excluded from deployments
   const sitePath = path.join(sitesDir, siteName);
@@ -964,16 +1700,85 @@ async function ensureCourseResourcesDir(siteName) {
   return dir;
 }
 
+// The resource manifest for a course (see resource-manifest.js). Loading it
+// merges any legacy resources.json left by older tools.
+function courseResourcesStore(dir) {
+  const siteName = path.basename(path.dirname(dir));
+  return openManifest(dir, { legacyPaths: legacyManifestPaths(siteName, sitesDir) });
+}
+
+// An uploaded file in faculty-resources, by its name from the URL. Returns
+// null for anything that isn't a plain top-level file.
+async function findResourceFile(dir, name) {
+  if (!name || path.basename(name) !== name || name.startsWith('.') || name === MANIFEST_FILE) {
+    return null;
+  }
+  try {
+    const stat = await fs.stat(path.join(dir, name));
+    return stat.isFile() ? path.join(dir, name) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Every course resource route works inside sites/<siteName>, so the name is
+// checked before anything touches the disk: a plain name of an existing site
+async function checkCourseSite(req, res, next) {
+  const siteName = req.params.siteName;
+  if (!/^[a-zA-Z0-9_-]+$/.test(siteName)) {
+    return res.status(400).json({ error: 'Invalid site name' });
+  }
+  try {
+    await fs.access(path.join(sitesDir, siteName, 'site.json'));
+  } catch {
+    return res.status(404).json({ error: `Site "${siteName}" was not found` });
+  }
+  next();
+}
+app.use('/api/courses/:siteName', checkCourseSite);
+
+// Fetch a URL's snapshot. Returns the fields to record on its entry,
+// including how it went. URLs on private or local addresses are refused
+// outright instead of being saved.
+async function snapshotFields(url, dir) {
+  try {
+    return { ...await snapshotUrl(url, dir), status: 'ok', error: null };
+  } catch (error) {
+    if (error.code === 'EPRIVATEHOST') throw resourceError(error.message, 400);
+    console.error(`Could not snapshot ${url}:`, error.message);
+    return { status: 'error', error: error.message, checkedAt: new Date().toISOString() };
+  }
+}
+
+// An error a resource route answers with its own status
+function resourceError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
 // List resources (files + URLs) for a course site
 app.get('/api/courses/:siteName/resources', async (req, res) => {
   try {
     const siteName = req.params.siteName;
     const dir = await ensureCourseResourcesDir(siteName);
     const entries = await fs.readdir(dir, { withFileTypes: true });
-    const files = entries.filter(e => e.isFile() && !e.name.endsWith('.json'))
+    const files = entries.filter(e => e.isFile() && !e.name.startsWith('.') && e.name !== MANIFEST_FILE)
       .map(e => e.name);
-    const resourcesJson = JSON.parse(await fs.readFile(path.join(dir, 'resources.json'), 'utf8'));
-    res.json({ files, urls: resourcesJson.urls || [], notes: resourcesJson.notes || '' });
+    const resourcesJson = await courseResourcesStore(dir).load();
+    const index = await aiProcessor.resourceIndex.refresh(dir);
+    const fileMeta = {};
+    for (const name of files) {
+      fileMeta[name] = { tags: [], inactive: false, ...(resourcesJson.files || {})[name] };
+    }
+    const limits = {
+      maxFileBytes: uploadPolicy.maxFileBytes,
+      maxFiles: uploadPolicy.maxFiles,
+      quotaBytes: uploadPolicy.siteQuotaBytes,
+      usedBytes: await directorySize(dir, { skip: [UPLOAD_STAGING_DIR] }),
+      types: Object.keys(ALLOWED_TYPES)
+    };
+    res.json({ files, fileMeta, urls: resourcesJson.urls || [], notes: resourcesJson.notes || '', index, limits });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -990,32 +1795,416 @@ app.post('/api/courses/:siteName/setup', async (req, res) => {
   }
 });
 
-// Add a URL resource
+// Add a URL resource. The page is fetched right away and snapshotted into
+// faculty-resources/web so it can be searched like an uploaded file.
 app.post('/api/courses/:siteName/resources/url', async (req, res) => {
   try {
     const siteName = req.params.siteName;
     const { url, description } = req.body || {};
     if (!url) return res.status(400).json({ error: 'url is required' });
+    if (!isHttpUrl(url)) return res.status(400).json({ error: 'url must start with http:// or https://' });
     const dir = await ensureCourseResourcesDir(siteName);
-    const resourcesPath = path.join(dir, 'resources.json');
-    let resources = { urls: [], notes: '' };
+    const store = courseResourcesStore(dir);
+    const alreadyAdded = resources => resources.urls.some(existing => existing.url === url);
+    if (alreadyAdded(await store.load())) {
+      return res.status(409).json({ error: 'That URL is already in the course resources' });
+    }
+
+    // Fetch first; the manifest is only held while the entry is added
+    const entry = { url, description: description || '', added: new Date().toISOString(), ...await snapshotFields(url, dir) };
+    await store.update(resources => {
+      if (alreadyAdded(resources)) {
+        throw resourceError('That URL is already in the course resources', 409);
+      }
+      resources.urls.push(entry);
+    });
+    await aiProcessor.resourceIndex.refresh(dir);
+    res.json({ success: true, resource: entry });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Fetch URL snapshots again: one URL ({ url }) or every URL in the course
+app.post('/api/courses/:siteName/resources/url/refresh', async (req, res) => {
+  try {
+    const dir = await ensureCourseResourcesDir(req.params.siteName);
+    const store = courseResourcesStore(dir);
+    const { url } = req.body || {};
+    const urls = (await store.load()).urls.map(entry => entry.url).filter(entryUrl => !url || entryUrl === url);
+    if (url && urls.length === 0) {
+      return res.status(404).json({ error: 'That URL is not in the course resources' });
+    }
+
+    const fetched = [];
+    for (const entryUrl of urls) {
+      const fields = await snapshotFields(entryUrl, dir)
+        .catch(error => ({ status: 'error', error: error.message, checkedAt: new Date().toISOString() }));
+      fetched.push({ url: entryUrl, fields });
+    }
+    // Only the snapshot fields change, so edits made meanwhile are kept
+    const entries = await store.update(resources => fetched
+      .map(({ url: entryUrl, fields }) => {
+        const entry = resources.urls.find(existing => existing.url === entryUrl);
+        return entry ? Object.assign(entry, fields) : null;
+      })
+      .filter(Boolean));
+    await aiProcessor.resourceIndex.refresh(dir);
+    res.json({
+      success: entries.every(entry => entry.status === 'ok'),
+      resources: entries
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a URL entry's snapshot file
+async function removeSnapshot(entry, dir) {
+  if (entry.snapshot && path.basename(path.dirname(entry.snapshot)) === SNAPSHOT_DIR) {
+    await fs.rm(path.join(dir, SNAPSHOT_DIR, path.basename(entry.snapshot)), { force: true });
+  }
+}
+
+// Edit a URL resource: { url, newUrl, description, tags, inactive }. A new
+// URL is fetched again; inactive URLs are left out of prompts.
+app.patch('/api/courses/:siteName/resources/url', async (req, res) => {
+  try {
+    const dir = await ensureCourseResourcesDir(req.params.siteName);
+    const store = courseResourcesStore(dir);
+    const { url, newUrl, description, tags, inactive } = req.body || {};
+    let cleanTags;
+    if (tags !== undefined) {
+      try {
+        cleanTags = normalizeTags(tags);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    const findEntry = resources => resources.urls.find(existing => existing.url === url);
+    const taken = resources => resources.urls.some(existing => existing.url === newUrl);
+    const current = await store.load();
+    if (!findEntry(current)) {
+      return res.status(404).json({ error: 'That URL is not in the course resources' });
+    }
+
+    // A new URL is fetched before the manifest is touched
+    const changeUrl = newUrl !== undefined && newUrl !== url;
+    let fields = null;
+    if (changeUrl) {
+      if (!isHttpUrl(newUrl)) return res.status(400).json({ error: 'newUrl must start with http:// or https://' });
+      if (taken(current)) {
+        return res.status(409).json({ error: 'That URL is already in the course resources' });
+      }
+      fields = await snapshotFields(newUrl, dir);
+    }
+
+    let previous = null;
+    let entry;
     try {
-      resources = JSON.parse(await fs.readFile(resourcesPath, 'utf8'));
-    } catch {}
-    resources.urls = resources.urls || [];
-    resources.urls.push({ url, description: description || '', added: new Date().toISOString() });
-    await fs.writeFile(resourcesPath, JSON.stringify(resources, null, 2));
-    res.json({ success: true });
+      entry = await store.update(resources => {
+        const found = findEntry(resources);
+        if (!found) throw resourceError('That URL is not in the course resources', 404);
+        if (cleanTags !== undefined) found.tags = cleanTags;
+        if (description !== undefined) found.description = String(description).trim();
+        if (inactive !== undefined) found.inactive = !!inactive;
+        if (changeUrl) {
+          if (taken(resources)) throw resourceError('That URL is already in the course resources', 409);
+          previous = { ...found };
+          Object.assign(found, { url: newUrl, snapshot: null, title: null, retrievedAt: null, contentType: null, bytes: null }, fields);
+        }
+        return found;
+      });
+    } catch (error) {
+      if (fields) await removeSnapshot(fields, dir);
+      throw error;
+    }
+    if (previous) await removeSnapshot(previous, dir);
+
+    await aiProcessor.resourceIndex.refresh(dir);
+    res.json({ success: true, resource: entry });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Remove a URL resource ({ url }) and its snapshot
+app.delete('/api/courses/:siteName/resources/url', async (req, res) => {
+  try {
+    const dir = await ensureCourseResourcesDir(req.params.siteName);
+    const { url } = req.body || {};
+    const entry = await courseResourcesStore(dir).update(resources => {
+      const found = resources.urls.find(existing => existing.url === url);
+      if (!found) throw resourceError('That URL is not in the course resources', 404);
+      resources.urls = resources.urls.filter(existing => existing !== found);
+      return found;
+    });
+    await removeSnapshot(entry, dir);
+    await aiProcessor.resourceIndex.refresh(dir);
+    res.json({ success: true, removed: entry.url });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Edit an uploaded file: { name, tags, inactive }. A new name keeps the
+// file's extension so it is still read the same way.
+app.patch('/api/courses/:siteName/resources/files/:name', async (req, res) => {
+  try {
+    const dir = await ensureCourseResourcesDir(req.params.siteName);
+    const name = req.params.name;
+    if (!await findResourceFile(dir, name)) {
+      return res.status(404).json({ error: 'That file is not in the course resources' });
+    }
+    const { name: newName, tags, inactive } = req.body || {};
+    let cleanTags;
+    if (tags !== undefined) {
+      try {
+        cleanTags = normalizeTags(tags);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    let fileName = name;
+    if (newName !== undefined && newName !== name) {
+      const ext = path.extname(name);
+      fileName = String(newName).trim().replace(/[^a-zA-Z0-9._-]/g, '_').replace(/^\.+/, '');
+      if (path.extname(fileName).toLowerCase() !== ext.toLowerCase()) fileName += ext;
+      if (!fileName || fileName === ext || fileName === MANIFEST_FILE) {
+        return res.status(400).json({ error: 'Enter a file name' });
+      }
+      if (await findResourceFile(dir, fileName)) {
+        return res.status(409).json({ error: `There is already a file called ${fileName}` });
+      }
+      await fs.rename(path.join(dir, name), path.join(dir, fileName));
+    }
+
+    const meta = await courseResourcesStore(dir).update(resources => {
+      const updated = { tags: [], inactive: false, ...resources.files[name] };
+      if (cleanTags !== undefined) updated.tags = cleanTags;
+      if (inactive !== undefined) updated.inactive = !!inactive;
+      delete resources.files[name];
+      resources.files[fileName] = updated;
+      return updated;
+    });
+    await aiProcessor.resourceIndex.refresh(dir);
+    res.json({ success: true, file: fileName, ...meta });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete an uploaded file
+app.delete('/api/courses/:siteName/resources/files/:name', async (req, res) => {
+  try {
+    const dir = await ensureCourseResourcesDir(req.params.siteName);
+    const fullPath = await findResourceFile(dir, req.params.name);
+    if (!fullPath) {
+      return res.status(404).json({ error: 'That file is not in the course resources' });
+    }
+
+    await fs.unlink(fullPath);
+    await courseResourcesStore(dir).update(resources => {
+      delete resources.files[req.params.name];
+    });
+    await aiProcessor.resourceIndex.refresh(dir);
+    res.json({ success: true, removed: req.params.name });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save the course notes that go into every prompt
+app.put('/api/courses/:siteName/resources/notes', async (req, res) => {
+  try {
+    const { notes } = req.body || {};
+    if (typeof notes !== 'string') return res.status(400).json({ error: 'notes must be a string' });
+    if (notes.length > 20000) return res.status(400).json({ error: 'Notes can be at most 20000 characters' });
+    const dir = await ensureCourseResourcesDir(req.params.siteName);
+    await courseResourcesStore(dir).update(resources => {
+      resources.notes = notes.trim();
+    });
+    res.json({ success: true, notes: notes.trim() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Search a course's resources the way prompts do (?tag= limits it to one
+// unit or week)
+app.get('/api/courses/:siteName/resources/search', async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (!query) return res.status(400).json({ error: 'q is required' });
+    const limit = Math.min(parseInt(req.query.limit, 10) || 5, 20);
+    const tag = req.query.tag ? String(req.query.tag) : undefined;
+    const { excerpts } = await aiProcessor.findResources({ sitesDir, currentSite: req.params.siteName }, query, { limit, tag });
+    res.json({ query, tag: tag || null, results: excerpts });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Upload a file into faculty-resources
-app.post('/api/courses/:siteName/resources/upload', upload.single('file'), async (req, res) => {
+// Upload files into faculty-resources: one as "file" or several as "files".
+// Each file is checked on its own, so a bad file doesn't block the rest;
+// exact copies of a file that is already there are skipped.
+app.post('/api/courses/:siteName/resources/upload', receiveUploads, async (req, res) => {
+  const received = [...((req.files || {}).file || []), ...((req.files || {}).files || [])];
+  const rejected = [...(req.rejectedUploads || [])];
+  let status = 200;
+  let result;
+  try {
+    if (received.length === 0 && rejected.length === 0) {
+      return res.status(400).json({ error: 'file is required' });
+    }
+    const dir = await ensureCourseResourcesDir(req.params.siteName);
+    const store = courseResourcesStore(dir);
+    const known = (await store.load()).files;
+
+    // Hashes of the files already here; older uploads are hashed once now
+    const hashes = new Map();
+    const hashed = new Map();
+    const taken = new Set([MANIFEST_FILE]);
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      if (!entry.isFile() || entry.name.startsWith('.') || entry.name === MANIFEST_FILE) continue;
+      taken.add(entry.name.toLowerCase());
+      let sha256 = (known[entry.name] || {}).sha256;
+      if (!sha256) {
+        sha256 = await hashFile(path.join(dir, entry.name));
+        hashed.set(entry.name, sha256);
+      }
+      hashes.set(sha256, entry.name);
+    }
+
+    const quota = uploadPolicy.siteQuotaBytes;
+    let used = await directorySize(dir, { skip: [UPLOAD_STAGING_DIR] });
+    const stored = [];
+    const added = {};
+    const duplicates = [];
+    for (const file of received) {
+      try {
+        await checkFileContents(file.path, file.originalname, file.mimetype);
+        const sha256 = await hashFile(file.path);
+        if (hashes.has(sha256)) {
+          duplicates.push({ name: file.originalname, existing: hashes.get(sha256) });
+          continue;
+        }
+        if (quota && used + file.size > quota) {
+          const error = new Error(`${file.originalname} (${formatBytes(file.size)}) would put this course over its ${formatBytes(quota)} storage limit; ${formatBytes(used)} is in use. Delete resources you no longer need first.`);
+          error.status = 413;
+          throw error;
+        }
+        const name = storedFileName(file.originalname, taken);
+        await fs.rename(file.path, path.join(dir, name));
+        // Plain data file: nobody needs to execute it
+        await fs.chmod(path.join(dir, name), 0o644);
+        taken.add(name.toLowerCase());
+        hashes.set(sha256, name);
+        used += file.size;
+        added[name] = {
+          tags: [],
+          inactive: false,
+          sha256,
+          size: file.size,
+          originalName: file.originalname,
+          uploadedAt: new Date().toISOString()
+        };
+        stored.push({ name, originalName: file.originalname, size: file.size });
+      } catch (error) {
+        if (!error.status) throw error;
+        rejected.push({ name: file.originalname, error: error.message, status: error.status });
+      }
+    }
+    // Record everything in one step, keeping edits made during the upload
+    await store.update(resources => {
+      for (const [name, sha256] of hashed) {
+        resources.files[name] = { tags: [], inactive: false, ...resources.files[name], sha256 };
+      }
+      Object.assign(resources.files, added);
+    });
+
+    // Index the new files now so the next request can use them
+    const index = await aiProcessor.resourceIndex.refresh(dir);
+    stored.forEach(file => { file.indexed = index.files[file.name] || null; });
+
+    const usage = { usedBytes: used, quotaBytes: quota };
+    if (stored.length === 0 && duplicates.length === 0) {
+      status = rejected[0].status || 400;
+      result = { error: rejected.map(r => r.error).join('\n'), rejected, usage };
+    } else {
+      result = {
+        success: true,
+        file: stored.length > 0 ? stored[0].name : null,
+        indexed: stored.length > 0 ? stored[0].indexed : null,
+        files: stored,
+        duplicates,
+        rejected,
+        usage
+      };
+    }
+  } catch (error) {
+    status = 500;
+    result = { error: error.message };
+  }
+  // Whatever wasn't moved into place is thrown away
+  await Promise.all(received.map(file => fs.rm(file.path, { force: true })));
+  res.status(status).json(result);
+});
+
+// Turn an uploaded PPTX or PDF into pages. The pages come back as a plan,
+// like AI-proposed changes, and are only created once the user confirms it.
+app.post('/api/courses/:siteName/resources/convert', async (req, res) => {
   try {
-    if (!req.file) return res.status(400).json({ error: 'file is required' });
-    res.json({ success: true, file: req.file.filename });
+    const siteName = req.params.siteName;
+    const { file } = req.body || {};
+    if (!file || path.basename(String(file)) !== file) return res.status(400).json({ error: 'file must be the name of an uploaded resource' });
+    if (!canImportDeck(file)) return res.status(400).json({ error: 'Only PowerPoint (.pptx) and PDF files can be converted to pages' });
+
+    const siteDir = path.join(sitesDir, siteName);
+    const dir = getCourseResourcesDir(siteName);
+    const fullPath = path.join(dir, file);
+    try {
+      await fs.access(fullPath);
+    } catch {
+      return res.status(404).json({ error: 'That file is not in the course resources' });
+    }
+
+    let deck;
+    try {
+      deck = await importDeck(fullPath, dir);
+    } catch (error) {
+      return res.status(422).json({ error: `Could not read ${file}: ${error.message}` });
+    }
+
+    const childCount = deck.pages.filter(page => page.parent).length;
+    const aiResult = {
+      success: true,
+      action: 'convert-resource',
+      siteName,
+      explanation: `I'll turn **${file}** into ${deck.pages.length} page${deck.pages.length === 1 ? '' : 's'}` +
+        `${childCount ? ` (${childCount} under section pages)` : ''}` +
+        `${deck.images.length ? ` and copy ${deck.images.length} image${deck.images.length === 1 ? '' : 's'} into files/${deck.folder}` : ''}.`,
+      commands: deck.pages.map(page =>
+        `hax site node:add --node-op create --title ${aiProcessor.quoted(page.title)}${page.content ? ` --content ${aiProcessor.quoted(page.content)}` : ''} --y`),
+      pageParents: deck.pages.filter(page => page.parent).map(page => ({ page: page.title, parent: page.parent })),
+      fileCopies: deck.images.length > 0 ?
+        [{ from: path.relative(siteDir, deck.stagingDir), to: `files/${deck.folder}`, files: deck.images }] : [],
+      nextSteps: 'Preview the site to check the new pages, and give any image without a description some alt text.'
+    };
+    const plan = PlanManager.createPlan(aiResult, { currentSite: siteName });
+    res.json({
+      success: true,
+      action: aiResult.action,
+      siteName,
+      explanation: aiResult.explanation,
+      pages: deck.pages.map(({ title, parent, slides }) => ({ title, parent, slides })),
+      images: deck.images,
+      executions: [],
+      requiresConfirmation: true,
+      planId: plan.id,
+      plan: PlanManager.describePlan(plan)
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1145,6 +2334,7 @@ app.post('/api/sites/:siteName/start', async (req, res) => {
       error: null
     };
     siteServers.set(siteName, serverInfo);
+    watchSiteServer(siteName, serverProcess, assignedPort);
     
     // Capture stderr for debugging
     let errorOutput = '';
@@ -1186,8 +2376,9 @@ app.post('/api/sites/:siteName/start', async (req, res) => {
     
     // Wait a moment for server to start
     setTimeout(() => {
-      if (siteServers.has(siteName)) {
+      if (siteServers.get(siteName) === serverInfo && serverInfo.status === 'starting') {
         serverInfo.status = 'running';
+        emitSiteStatus(siteName, 'running', { port: assignedPort });
       }
     }, 2000);
     
@@ -1345,24 +2536,26 @@ app.post('/api/sites/:siteName/restart', async (req, res) => {
       siteName: siteName
     };
     siteServers.set(siteName, newServerInfo);
+    watchSiteServer(siteName, serverProcess, assignedPort);
     
     // Handle process events
     serverProcess.on('error', (error) => {
       console.error(`Server error for ${siteName}:`, error);
       siteServers.delete(siteName);
-      releasePort(assignedPort);
+      // Don't release port assignment - keep it for restart
     });
     
     serverProcess.on('exit', (code) => {
       console.log(`Server for ${siteName} exited with code ${code}`);
       siteServers.delete(siteName);
-      releasePort(assignedPort);
+      // Don't release port assignment - keep it for restart
     });
     
     // Wait a moment for server to start
     setTimeout(() => {
-      if (siteServers.has(siteName)) {
+      if (siteServers.get(siteName) === newServerInfo) {
         newServerInfo.status = 'running';
+        emitSiteStatus(siteName, 'running', { port: assignedPort });
       }
     }, 2000);
     
@@ -1404,9 +2597,10 @@ app.delete('/api/sites/:siteName', async (req, res) => {
       }
     }
     
-    // Clear port assignment and deployment info
+    // Clear port assignment, deployment info and deploy snapshots
     PortManager.releasePort(siteName);
     DeploymentManager.clearDeployment(siteName);
+    await deploymentHistory.clear(siteName);
     
     // Remove site files
     await fs.rm(sitePath, { recursive: true, force: true });
@@ -1421,12 +2615,203 @@ app.delete('/api/sites/:siteName', async (req, res) => {
   }
 });
 
-// Clear AI conversation history
-app.post('/api/ai/clear-history', (req, res) => {
-  aiProcessor.clearHistory();
-  res.json({ success: true, message: 'Conversation history cleared' });
+// Clear one conversation's history (other sessions are untouched). Without a
+// conversationId the session's current conversation for the site is cleared.
+app.post('/api/ai/clear-history', async (req, res) => {
+  try {
+    const { conversationId, sessionId, siteName } = req.body || {};
+    let id = conversationId;
+    if (!id) {
+      const [latest] = await conversations.list({ sessionId: normalizeSessionId(sessionId), siteName: siteName || null });
+      if (!latest) {
+        return res.json({ success: true, message: 'No conversation history to clear', conversationId: null });
+      }
+      id = latest.id;
+    }
+    const conversation = await conversations.clear(id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+    res.json({ success: true, message: 'Conversation history cleared', conversationId: id });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ========== CONVERSATIONS ==========
+
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]{8,64}$/;
+
+function normalizeSessionId(sessionId) {
+  return SESSION_ID_PATTERN.test(sessionId || '') ? sessionId : 'default';
+}
+
+// Resolve the conversation a prompt belongs to: the one asked for, or the
+// session's latest conversation for the site (created when there is none)
+async function getConversation(sessionId, conversationId, siteName) {
+  sessionId = normalizeSessionId(sessionId);
+  if (conversationId) {
+    return conversations.get(conversationId);
+  }
+  return conversations.findOrCreate({ sessionId, siteName: siteName || null });
+}
+
+// List conversations, optionally for one session and/or site
+app.get('/api/conversations', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.sessionId) filter.sessionId = normalizeSessionId(req.query.sessionId);
+    if (req.query.siteName !== undefined) filter.siteName = req.query.siteName || null;
+    res.json({ conversations: await conversations.list(filter) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start a new conversation
+app.post('/api/conversations', async (req, res) => {
+  try {
+    const { sessionId, siteName, title } = req.body || {};
+    const conversation = await conversations.create({
+      sessionId: normalizeSessionId(sessionId),
+      siteName: siteName || null,
+      title
+    });
+    res.status(201).json({ conversation });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/conversations/:id', async (req, res) => {
+  const conversation = await conversations.get(req.params.id);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  const { history, ...visible } = conversation;
+  res.json({ conversation: visible });
+});
+
+// Resume a conversation in this session (e.g. after a restart or in a new tab)
+app.post('/api/conversations/:id/resume', async (req, res) => {
+  try {
+    const conversation = await conversations.resume(req.params.id, normalizeSessionId((req.body || {}).sessionId));
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    const { history, ...visible } = conversation;
+    res.json({ conversation: visible });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rename a conversation
+app.patch('/api/conversations/:id', async (req, res) => {
+  try {
+    const { title } = req.body || {};
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ error: 'title is required' });
+    }
+    const conversation = await conversations.rename(req.params.id, title);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({ conversation: ConversationStore.summarize(conversation) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a conversation as Markdown (default) or JSON
+app.get('/api/conversations/:id/export', async (req, res) => {
+  const conversation = await conversations.get(req.params.id);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  
+  const format = req.query.format || 'markdown';
+  const baseName = (conversation.title || 'conversation').replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'conversation';
+  
+  if (format === 'json') {
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.json"`);
+    return res.json(exportConversation(conversation));
+  }
+  if (format === 'markdown' || format === 'md') {
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.md"`);
+    res.type('text/markdown');
+    return res.send(conversationToMarkdown(conversation));
+  }
+  res.status(400).json({ error: `Unknown export format: ${format} (use markdown or json)` });
+});
+
+// Import a JSON export and replay its prompts against another site. Each
+// prompt is processed in order in a new conversation; any commands come back
+// as plans for the user to confirm, nothing runs automatically.
+app.post('/api/conversations/import', async (req, res) => {
+  try {
+    const { sessionId, siteName, data } = req.body || {};
+    
+    let imported;
+    try {
+      imported = parseConversationExport(data);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    const availableSites = await getAvailableSites();
+    if (!siteName || !availableSites.includes(siteName)) {
+      return res.status(400).json({ error: `Choose an existing site to replay into (got: ${siteName || 'none'})` });
+    }
+    
+    // Prompts that name the original site are pointed at the new one
+    const sourceSite = imported.siteName;
+    const retarget = prompt => sourceSite && sourceSite !== siteName ?
+      prompt.replace(new RegExp(`(^|[^a-z0-9_-])${sourceSite.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=$|[^a-z0-9_-])`, 'gi'), `$1${siteName}`) :
+      prompt;
+    
+    const conversation = await conversations.create({
+      sessionId: normalizeSessionId(sessionId),
+      siteName,
+      title: `${imported.title || 'Imported conversation'} → ${siteName}`
+    });
+    
+    const context = { currentSite: siteName, timestamp: new Date().toISOString() };
+    const results = [];
+    for (const originalPrompt of imported.prompts) {
+      const prompt = retarget(originalPrompt);
+      const result = await processPrompt(prompt, context, conversation);
+      results.push({ prompt, originalPrompt, result });
+    }
+    
+    const { history, ...visible } = conversation;
+    res.status(201).json({
+      success: true,
+      message: `Replayed ${results.length} prompt${results.length === 1 ? '' : 's'} against ${siteName}`,
+      sourceSite,
+      conversation: visible,
+      results
+    });
+  } catch (error) {
+    console.error('Conversation import error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/conversations/:id', async (req, res) => {
+  try {
+    const deleted = await conversations.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({ success: true, message: 'Conversation deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
+// ========== END CONVERSATIONS ==========
+
 // Serve main page
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
@@ -1453,6 +2838,7 @@ app.use((req, res) => {
 async function startServer() {
   try {
     await ensureDirectories();
+    await restoreState();
     
     const server = app.listen(port, () => {
       console.log(`\n🚀 HAX AI Interface running on http://localhost:${port}`);
@@ -1460,6 +2846,7 @@ async function startServer() {
       console.log(`🤖 AI Status: ${aiProcessor.getStatus().hasAPIKey ? `${aiProcessor.getStatus().aiProvider} ready` : 'Pattern matching mode'}`);
       console.log(`⏰ Started at: ${new Date().toLocaleString()}\n`);
     });
+    events.attach(server);
 
     // Graceful shutdown
     const shutdown = (signal) => {
@@ -1475,6 +2862,7 @@ async function startServer() {
         }
       });
       
+      events.close();
       server.close(() => {
         console.log('👋 HAX AI Interface stopped');
         process.exit(0);
@@ -0,0 +1,377 @@
+/**
+ * HAX AI Interface - Slide Import
+ * Turn an uploaded lecture deck (PPTX or PDF) into HAX pages. Slides become
+ * pages, consecutive slides with the same title share a page, and the deck's
+ * structure becomes parent/child pages:
+ *   PPTX - PowerPoint sections, or "Section Header" slides, are parent pages
+ *          and the slides after them are child pages
+ *   PDF  - top-level bookmarks are pages (parents when they have children),
+ *          second-level bookmarks are child pages covering their page range
+ *
+ * Images on the slides are staged in faculty-resources/.imports/<deck> and
+ * copied into the site's files/<deck> folder when the plan runs.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { EXTRACTORS, decodeEntities, readRelationships } = require('./resource-extractors');
+
+const IMPORT_DIR = '.imports';
+const DECK_EXTENSIONS = ['.pptx', '.pdf'];
+const WEB_IMAGE_TYPES = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp'];
+const MIN_IMAGE_SIDE = 32; // smaller PDF images are rules, bullets and icons
+const MAX_IMAGE_PIXELS = 4000 * 4000;
+const MAX_TITLE_LENGTH = 80;
+
+function canImportDeck(fileName) {
+  return DECK_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+// Page titles that pass node:add and site-name checks
+function cleanTitle(text) {
+  const title = String(text || '').replace(/[^A-Za-z0-9 _-]+/g, ' ').replace(/\s+/g, ' ').trim();
+  return title.length > MAX_TITLE_LENGTH ? title.substring(0, MAX_TITLE_LENGTH).replace(/\s+\S*$/, '') : title;
+}
+
+// "Lecture 3 (cont.)" continues "Lecture 3"
+function titleKey(title) {
+  return String(title || '').toLowerCase().replace(/\(?\b(cont(inued)?|cont'd)\b\.?\)?|\(\d+\)|\d+\s*\/\s*\d+/g, '').replace(/\W+/g, ' ').trim();
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// files/<deck> folder name for a resource file ("1712-Week 1.pptx" -> "week-1")
+function deckFolder(fileName) {
+  const base = path.basename(fileName, path.extname(fileName)).replace(/^\d{10,}-/, '');
+  return base.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 60) || 'slides';
+}
+
+// ---------- PNG encoding for decoded PDF images ----------
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// pdf.js image data ({ width, height, kind, data }) as a PNG. kind is 1 for
+// 1-bit grey, 2 for RGB and 3 for RGBA, the same layouts PNG uses.
+function encodePng({ width, height, kind, data }) {
+  const formats = { 1: { bitDepth: 1, colorType: 0, rowBytes: Math.ceil(width / 8) }, 2: { bitDepth: 8, colorType: 2, rowBytes: width * 3 }, 3: { bitDepth: 8, colorType: 6, rowBytes: width * 4 } };
+  const format = formats[kind];
+  if (!format || !data) return null;
+  const raw = Buffer.alloc((format.rowBytes + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (format.rowBytes + 1)] = 0; // no filter
+    Buffer.from(data.buffer, data.byteOffset + y * format.rowBytes, format.rowBytes).copy(raw, y * (format.rowBytes + 1) + 1);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = format.bitDepth;
+  header[9] = format.colorType;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// ---------- Reading decks ----------
+// A deck is { slides, outline }: slides are { number, title, body, notes,
+// images: [{ name, data, alt }] } and outline entries are { title, start,
+// depth, split } where start is a slide index and split means the slides
+// under the entry are child pages rather than part of the entry's page.
+
+async function readPptx(fullPath) {
+  const JSZip = require('jszip');
+  const zip = await JSZip.loadAsync(await fs.readFile(fullPath));
+  const sections = await EXTRACTORS['.pptx'](fullPath);
+  const presentation = await zip.file('ppt/presentation.xml').async('string');
+
+  const slides = [];
+  const slideIds = [];
+  const headerSlides = new Set();
+  const mediaNames = new Map(); // media part -> image name, for pictures reused across slides
+  const allIds = (presentation.match(/<p:sldId\b[^>]*>/g) || []).map(slideId => (slideId.match(/\bid="(\d+)"/) || [])[1]);
+  for (const [position, section] of sections.entries()) {
+    const xml = await zip.file(section.slidePath).async('string');
+    if (/<p:sld\b[^>]*\bshow="0"/.test(xml)) continue; // hidden slide
+    const relationships = await readRelationships(zip, section.slidePath);
+
+    // Pictures on the slide, with their alt text
+    const images = [];
+    for (const picture of xml.match(/<p:pic>[\s\S]*?<\/p:pic>/g) || []) {
+      const rel = relationships[(picture.match(/<a:blip\b[^>]*r:embed="([^"]+)"/) || [])[1]];
+      const ext = rel ? path.extname(rel.target).toLowerCase() : '';
+      if (!rel || !WEB_IMAGE_TYPES.includes(ext) || !zip.file(rel.target)) continue;
+      if (!mediaNames.has(rel.target)) {
+        mediaNames.set(rel.target, `slide-${section.page}-${images.length + 1}${ext}`);
+      }
+      images.push({
+        name: mediaNames.get(rel.target),
+        data: await zip.file(rel.target).async('nodebuffer'),
+        alt: decodeEntities((picture.match(/<p:cNvPr\b[^>]*\bdescr="([^"]*)"/) || [])[1] || '').trim()
+      });
+    }
+
+    const layout = Object.values(relationships).find(rel => rel.type.endsWith('/slideLayout'));
+    if (layout && zip.file(layout.target) && /<p:sldLayout\b[^>]*\btype="secHead"/.test(await zip.file(layout.target).async('string'))) {
+      headerSlides.add(slides.length);
+    }
+    slides.push({ number: section.page, title: section.title, body: section.body, notes: section.notes, images });
+    slideIds.push(allIds[position]);
+  }
+
+  // PowerPoint sections list slide ids; map them to slide positions
+  const outline = [];
+  for (const sectionXml of presentation.match(/<p14:section\b[\s\S]*?<\/p14:section>/g) || []) {
+    const name = (sectionXml.match(/\bname="([^"]*)"/) || [])[1];
+    const first = (sectionXml.match(/<p14:sldId\b[^>]*\bid="(\d+)"/) || [])[1];
+    const start = slideIds.indexOf(first);
+    if (name && start !== -1 && !/^(default|untitled) section$/i.test(name)) {
+      outline.push({ title: name, start, depth: 0, split: true, ownSlide: headerSlides.has(start) });
+    }
+  }
+  if (outline.length === 0) {
+    for (const start of headerSlides) {
+      outline.push({ title: slides[start].title, start, depth: 0, split: true, ownSlide: true });
+    }
+  }
+  return { slides, outline };
+}
+
+// pdf.js from pdf-parse, set up to run without a DOM
+function loadPdfJs() {
+  const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+  PDFJS.disableWorker = true;
+  // Fonts are only needed for drawing; pdf.js reads this from its global
+  if (global.PDFJS) global.PDFJS.disableFontFace = true;
+  return PDFJS;
+}
+
+async function readPdf(fullPath) {
+  const PDFJS = loadPdfJs();
+  const doc = await PDFJS.getDocument({ data: new Uint8Array(await fs.readFile(fullPath)), nativeImageDecoderSupport: 'none' });
+
+  const slides = [];
+  for (let number = 1; number <= doc.numPages; number++) {
+    const page = await doc.getPage(number);
+    const { fnArray, argsArray } = await page.getOperatorList();
+    const images = [];
+    for (let i = 0; i < fnArray.length; i++) {
+      if (fnArray[i] !== PDFJS.OPS.paintImageXObject && fnArray[i] !== PDFJS.OPS.paintJpegXObject) continue;
+      let image;
+      try {
+        image = page.objs.get(argsArray[i][0]);
+      } catch (error) {
+        continue;
+      }
+      if (!image || image.width < MIN_IMAGE_SIDE || image.height < MIN_IMAGE_SIDE || image.width * image.height > MAX_IMAGE_PIXELS) continue;
+      const data = encodePng(image);
+      if (data) images.push({ name: `page-${number}-${images.length + 1}.png`, data, alt: '' });
+    }
+
+    // The first line of a page is its title
+    const lines = await pageLines(page);
+    page.cleanup();
+    slides.push({ number, title: lines[0] || '', body: lines.slice(1), notes: '', images });
+  }
+
+  const outline = [];
+  const addEntries = async (items, depth) => {
+    for (const item of items || []) {
+      let dest = item.dest;
+      try {
+        if (typeof dest === 'string') dest = await doc.getDestination(dest);
+        const start = Array.isArray(dest) && dest[0] ? (typeof dest[0] === 'number' ? dest[0] : await doc.getPageIndex(dest[0])) : -1;
+        if (start >= 0 && start < slides.length) outline.push({ title: item.title, start, depth, split: false });
+      } catch (error) {
+        // Bookmark without a usable destination
+      }
+      if (depth === 0) await addEntries(item.items, 1);
+    }
+  };
+  await addEntries(await doc.getOutline(), 0);
+  outline.sort((a, b) => a.start - b.start || a.depth - b.depth);
+  doc.destroy();
+  return { slides, outline };
+}
+
+// Text lines of a PDF page, top to bottom
+async function pageLines(page) {
+  const content = await page.getTextContent({ normalizeWhitespace: true });
+  const lines = [];
+  let lastY;
+  for (const item of content.items) {
+    if (lastY === item.transform[5] && lines.length > 0) lines[lines.length - 1] += item.str;
+    else lines.push(item.str);
+    lastY = item.transform[5];
+  }
+  return lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
+
+async function readDeck(fullPath) {
+  return path.extname(fullPath).toLowerCase() === '.pptx' ? readPptx(fullPath) : readPdf(fullPath);
+}
+
+// ---------- Pages ----------
+
+// Body lines as HTML: bullet-like lines become a list, the rest paragraphs
+function bodyHtml(lines) {
+  const html = [];
+  let list = [];
+  let paragraph = [];
+  const flushList = () => { if (list.length) html.push(`<ul>${list.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`); list = []; };
+  const flushParagraph = () => { if (paragraph.length) html.push(`<p>${escapeHtml(paragraph.join(' '))}</p>`); paragraph = []; };
+  for (const line of lines) {
+    const bullet = line.match(/^\s*(?:[•▪◦‣●○■\-–*]|\d+[.)])\s+(.*)$/);
+    if (bullet) {
+      flushParagraph();
+      list.push(bullet[1]);
+    } else if (lines.length > 1 && line.length < 120 && !/[.:;]$/.test(line) && paragraph.length === 0) {
+      // Short standalone lines on a slide read as bullet points
+      list.push(line);
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  }
+  flushList();
+  flushParagraph();
+  return html.join('\n');
+}
+
+function slideHtml(slide, { showTitle, imagePath }) {
+  const parts = [];
+  if (showTitle && slide.title) parts.push(`<h2>${escapeHtml(slide.title)}</h2>`);
+  if (slide.body.length) parts.push(bodyHtml(slide.body));
+  for (const image of slide.images) {
+    parts.push(`<img src="${escapeHtml(`${imagePath}/${image.name}`)}" alt="${escapeHtml(image.alt)}" loading="lazy">`);
+  }
+  if (slide.notes) {
+    parts.push(`<details><summary>Speaker notes</summary><p>${escapeHtml(slide.notes)}</p></details>`);
+  }
+  return parts.join('\n');
+}
+
+// Group a deck's slides into pages: [{ title, parent, slides, content }]
+function buildPages(deck, { imagePath }) {
+  const pages = [];
+  const usedTitles = new Set();
+  const uniqueTitle = (text, fallback) => {
+    const base = cleanTitle(text) || fallback;
+    let title = base;
+    for (let n = 2; usedTitles.has(title.toLowerCase()); n++) title = `${base} ${n}`;
+    usedTitles.add(title.toLowerCase());
+    return title;
+  };
+  const startPage = (title, parent, fallback) => {
+    const page = { title: uniqueTitle(title, fallback), parent: parent ? parent.title : null, slides: [], children: [] };
+    if (parent) parent.children.push(page);
+    pages.push(page);
+    return page;
+  };
+
+  let section = null; // current depth-0 outline entry's page
+  let sectionEntry = null;
+  let page = null;
+  deck.slides.forEach((slide, index) => {
+    const entries = deck.outline.filter(entry => entry.start === index);
+    for (const entry of entries) {
+      if (entry.depth === 0) {
+        section = startPage(entry.title, null, `Section ${index + 1}`);
+        sectionEntry = entry;
+        page = section;
+      } else {
+        page = startPage(entry.title, section, `Section ${index + 1}`);
+      }
+    }
+    if (entries.length > 0) {
+      // A section header slide is the section page itself; bookmarks take
+      // the slide they start on
+      if (!entries.some(entry => entry.depth === 0 && entry.split && !entry.ownSlide)) {
+        page.slides.push(slide);
+        return;
+      }
+    }
+
+    const grouped = sectionEntry && !sectionEntry.split;
+    if (grouped || (!slide.title && page)) {
+      page.slides.push(slide);
+      return;
+    }
+    const previous = page && page.slides[page.slides.length - 1];
+    if (previous && page !== section && titleKey(previous.title) && titleKey(previous.title) === titleKey(slide.title)) {
+      page.slides.push(slide);
+      return;
+    }
+    page = startPage(slide.title, section, `Slide ${slide.number}`);
+    page.slides.push(slide);
+  });
+
+  for (const item of pages) {
+    const html = item.slides.map(slide => slideHtml(slide, {
+      showTitle: titleKey(slide.title) !== titleKey(item.title) && item.slides.length > 0,
+      imagePath
+    })).filter(Boolean);
+    if (item.children.length > 0) {
+      html.push(`<ul>${item.children.map(child => `<li>${escapeHtml(child.title)}</li>`).join('')}</ul>`);
+    }
+    item.content = html.join('\n');
+  }
+  return pages.map(({ title, parent, slides, content }) => ({ title, parent, slides: slides.map(slide => slide.number), content }));
+}
+
+// Read a deck, stage its images under resourcesDir/.imports/<deck> and work
+// out its pages. Returns { folder, stagingDir, images, pages }.
+async function importDeck(fullPath, resourcesDir) {
+  if (!canImportDeck(fullPath)) {
+    throw new Error('Only PowerPoint (.pptx) and PDF files can be converted to pages');
+  }
+  const deck = await readDeck(fullPath);
+  if (deck.slides.length === 0) {
+    throw new Error('No slides or pages were found in this file');
+  }
+
+  const folder = deckFolder(fullPath);
+  const stagingDir = path.join(resourcesDir, IMPORT_DIR, folder);
+  await fs.rm(stagingDir, { recursive: true, force: true });
+  const images = [];
+  for (const slide of deck.slides) {
+    for (const image of slide.images.filter(candidate => !images.includes(candidate.name))) {
+      if (images.length === 0) await fs.mkdir(stagingDir, { recursive: true });
+      await fs.writeFile(path.join(stagingDir, image.name), image.data);
+      images.push(image.name);
+    }
+  }
+
+  return { folder, stagingDir, images, pages: buildPages(deck, { imagePath: `files/${folder}` }) };
+}
+
+module.exports = {
+  IMPORT_DIR,
+  canImportDeck,
+  importDeck,
+  buildPages,
+  encodePng
+};
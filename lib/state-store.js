@@ -0,0 +1,66 @@
+/**
+ * HAX AI Interface - JSON State Store
+ * Small JSON file store with atomic writes, used to keep server state
+ * (port assignments, deployments, ...) across restarts
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class JsonStateStore {
+  constructor(filePath, defaults = {}) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Read the stored state, falling back to defaults when missing or corrupt
+  async load() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      return { ...this.defaults, ...JSON.parse(content) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not read state from ${this.filePath}:`, error.message);
+        // Keep the unreadable file around instead of overwriting it silently
+        try {
+          await fs.rename(this.filePath, `${this.filePath}.corrupt-${Date.now()}`);
+        } catch {}
+      }
+      return { ...this.defaults };
+    }
+  }
+
+  // Write to a temp file and rename it over the old one so a crash mid-write
+  // never leaves a half-written file. Writes are serialized.
+  save(data) {
+    return this.enqueue(() => this.write(data));
+  }
+
+  // Load, change and save as one step of the write queue, so two changes
+  // made at the same time can't undo each other. mutator(data) edits the
+  // state in place; its return value is passed on. If it throws, nothing is
+  // written.
+  update(mutator) {
+    return this.enqueue(async () => {
+      const data = await this.load();
+      const result = await mutator(data);
+      await this.write(data);
+      return result;
+    });
+  }
+
+  enqueue(task) {
+    this.writeQueue = this.writeQueue.then(task, task);
+    return this.writeQueue;
+  }
+
+  async write(data) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+  }
+}
+
+module.exports = { JsonStateStore };
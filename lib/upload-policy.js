@@ -0,0 +1,173 @@
+/**
+ * HAX AI Interface - Upload Policy
+ * What may be uploaded into a course's faculty-resources: size and count
+ * limits, a per-site storage quota, and the file types the extractors can
+ * read. A file's extension, the browser's MIME type and the file's own bytes
+ * all have to agree before it is kept, and Office files with macros are
+ * refused.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JSZip = require('jszip');
+
+const MB = 1024 * 1024;
+
+const DEFAULT_POLICY = {
+  maxFileBytes: 50 * MB,     // per file
+  maxFiles: 20,              // per upload request
+  siteQuotaBytes: 500 * MB   // everything in a site's faculty-resources; 0 for no limit
+};
+
+// Browsers send this when they don't know a type (common for .md and .epub)
+const UNKNOWN_MIME = ['', 'application/octet-stream'];
+const ZIP_MIME = ['application/zip', 'application/x-zip-compressed'];
+
+// The formats resource-extractors.js can read. `kind` says how the bytes are
+// checked: pdf by its header, zip-based formats by their main part, text by
+// the absence of binary data.
+const ALLOWED_TYPES = {
+  '.pdf': { kind: 'pdf', mime: ['application/pdf', 'application/x-pdf'] },
+  '.docx': { kind: 'zip', part: 'word/document.xml', mime: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', ...ZIP_MIME] },
+  '.pptx': { kind: 'zip', part: 'ppt/presentation.xml', mime: ['application/vnd.openxmlformats-officedocument.presentationml.presentation', ...ZIP_MIME] },
+  '.xlsx': { kind: 'zip', part: 'xl/workbook.xml', mime: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ...ZIP_MIME] },
+  '.epub': { kind: 'zip', part: 'META-INF/container.xml', mime: ['application/epub+zip', ...ZIP_MIME] },
+  '.csv': { kind: 'text', mime: ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'] },
+  '.html': { kind: 'text', mime: ['text/html'] },
+  '.htm': { kind: 'text', mime: ['text/html'] },
+  '.xhtml': { kind: 'text', mime: ['application/xhtml+xml', 'text/html'] },
+  '.txt': { kind: 'text', mime: ['text/plain'] },
+  '.md': { kind: 'text', mime: ['text/markdown', 'text/x-markdown', 'text/plain'] },
+  '.json': { kind: 'text', mime: ['application/json', 'text/plain'] }
+};
+
+// Read limit overrides from .env values (in MB)
+function uploadPolicyFromEnv(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    maxFileBytes: Math.max(1, Math.round(number(env.RESOURCE_MAX_FILE_MB, DEFAULT_POLICY.maxFileBytes / MB) * MB)),
+    maxFiles: Math.max(1, Math.floor(number(env.RESOURCE_MAX_FILES, DEFAULT_POLICY.maxFiles))),
+    siteQuotaBytes: Math.round(number(env.RESOURCE_SITE_QUOTA_MB, DEFAULT_POLICY.siteQuotaBytes / MB) * MB)
+  };
+}
+
+function uploadError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= MB) return `${(bytes / MB).toFixed(bytes >= 10 * MB ? 0 : 1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} bytes`;
+}
+
+// Checked before anything is written, from the name and declared type alone
+function checkDeclaredType(originalName, mimetype) {
+  const ext = path.extname(originalName || '').toLowerCase();
+  const type = ALLOWED_TYPES[ext];
+  if (!type) {
+    throw uploadError(`${originalName} is not a supported file type. Upload ${Object.keys(ALLOWED_TYPES).join(', ')}`, 415);
+  }
+  const mime = String(mimetype || '').split(';')[0].trim().toLowerCase();
+  if (!UNKNOWN_MIME.includes(mime) && !type.mime.includes(mime)) {
+    throw uploadError(`${originalName} was sent as ${mime}, which doesn't match its ${ext} extension`, 415);
+  }
+  return type;
+}
+
+async function readHead(filePath, length) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Check that a stored upload really is what its name says
+async function checkFileContents(filePath, originalName, mimetype) {
+  const type = checkDeclaredType(originalName, mimetype);
+  const head = await readHead(filePath, 64 * 1024);
+  const notA = what => uploadError(`${originalName} is not a valid ${what} file`, 415);
+
+  if (type.kind === 'pdf') {
+    // The header may follow a little leading junk, as PDF readers allow
+    if (!head.subarray(0, 1024).includes('%PDF-')) throw notA('PDF');
+  } else if (type.kind === 'zip') {
+    const label = path.extname(originalName).substring(1).toUpperCase();
+    if (head.subarray(0, 4).toString('binary') !== 'PK\x03\x04') throw notA(label);
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(await fs.readFile(filePath));
+    } catch {
+      throw notA(label);
+    }
+    if (!zip.file(type.part)) throw notA(label);
+    if (zip.file(/(^|\/)vbaProject\.bin$/i).length > 0) {
+      throw uploadError(`${originalName} contains macros, which aren't allowed in course resources`, 415);
+    }
+  } else if (head.includes(0)) {
+    throw notA(path.extname(originalName).substring(1).toUpperCase() + ' text');
+  }
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fsSync.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Bytes used by everything under dir, except the folders in `skip`
+async function directorySize(dir, { skip = [] } = {}) {
+  let total = 0;
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    if (skip.includes(entry.name)) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(fullPath);
+    } else if (entry.isFile()) {
+      total += (await fs.stat(fullPath)).size;
+    }
+  }
+  return total;
+}
+
+// A safe, readable name for an upload, made unique among `taken`:
+// "Week 1 Notes.pdf" -> "Week_1_Notes.pdf", then "Week_1_Notes-2.pdf"
+function storedFileName(originalName, taken) {
+  const ext = path.extname(originalName).toLowerCase();
+  const base = path.basename(originalName, path.extname(originalName))
+    .replace(/[^a-zA-Z0-9._-]/g, '_')
+    .replace(/^[._]+/, '')
+    .substring(0, 100) || 'file';
+  let name = `${base}${ext}`;
+  for (let n = 2; taken.has(name.toLowerCase()); n++) {
+    name = `${base}-${n}${ext}`;
+  }
+  return name;
+}
+
+module.exports = {
+  ALLOWED_TYPES,
+  uploadPolicyFromEnv,
+  checkDeclaredType,
+  checkFileContents,
+  hashFile,
+  directorySize,
+  storedFileName,
+  formatBytes
+};
@@ -0,0 +1,173 @@
+/**
+ * HAX AI Interface - URL Resources
+ * Fetch a course URL once and keep a snapshot of it in faculty-resources/web
+ * so the resource index can search it. HTML pages are reduced to their
+ * readable text, without page chrome; PDFs and plain text are kept as they are.
+ *
+ * Only public addresses are fetched: loopback, link-local (cloud metadata)
+ * and private network addresses are refused after DNS resolution and on
+ * every redirect, so a course URL can't read the server's own network.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { readableHtml } = require('./resource-extractors');
+
+const SNAPSHOT_DIR = 'web';
+const FETCH_TIMEOUT = 15000;
+const MAX_BYTES = 10 * 1024 * 1024;
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// IPv4 ranges that aren't the public internet: [network, prefix length]
+const PRIVATE_IPV4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+];
+
+function ipv4Number(address) {
+  return address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const value = ipv4Number(address);
+    return PRIVATE_IPV4.some(([base, bits]) => Math.floor(value / 2 ** (32 - bits)) === Math.floor(ipv4Number(base) / 2 ** (32 - bits)));
+  }
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    // IPv4-mapped addresses, dotted or as URL parsing writes them (::ffff:7f00:1)
+    const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+      const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+      return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    // Unspecified, loopback, unique local (fc00::/7), link-local (fe80::/10), multicast
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower);
+  }
+  return false;
+}
+
+function blockedHostError(host) {
+  const error = new Error(`${host} is a private or local address, which can't be added as a course resource`);
+  error.code = 'EPRIVATEHOST';
+  return error;
+}
+
+// IP literals never reach a DNS lookup, so they are checked by name
+function checkHostName(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (isPrivateAddress(host)) throw blockedHostError(host);
+}
+
+// dns.lookup that refuses private answers; used by the agents, so it runs
+// for the first request and every redirect
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) return callback(blockedHostError(`${hostname} (${blocked.address})`));
+    if (options && options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// web/<host-and-path>-<hash>.<ext>; the same URL always maps to the same file
+function snapshotName(url, ext) {
+  const parsed = new URL(url);
+  const slug = `${parsed.hostname}${parsed.pathname}`.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 60);
+  const hash = crypto.createHash('sha1').update(url).digest('hex').substring(0, 8);
+  return `${SNAPSHOT_DIR}/${slug}-${hash}${ext}`;
+}
+
+// Fetch url and write its snapshot under resourcesDir. Returns the fields
+// stored on the URL entry in resources.json; throws with a readable message
+// when the URL can't be loaded. allowPrivate lifts the address check (tests
+// serve their pages from localhost).
+async function snapshotUrl(url, resourcesDir, { timeout = FETCH_TIMEOUT, maxBytes = MAX_BYTES, allowPrivate = false } = {}) {
+  if (!isHttpUrl(url)) {
+    throw new Error('Only http and https URLs can be fetched');
+  }
+
+  let response;
+  try {
+    if (!allowPrivate) checkHostName(new URL(url).hostname);
+    response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout,
+      maxContentLength: maxBytes,
+      maxRedirects: 5,
+      // A proxy would do its own DNS lookups, past the address check
+      ...(allowPrivate ? {} : { ...publicAgents, proxy: false }),
+      beforeRedirect: allowPrivate ? undefined : options => checkHostName(options.hostname),
+      headers: { 'User-Agent': 'hax-ai-interface (course resource snapshot)' }
+    });
+  } catch (error) {
+    // The address check may come back wrapped in a redirect or request error
+    for (let cause = error; cause; cause = cause.cause) {
+      if (cause.code === 'EPRIVATEHOST') {
+        const blocked = new Error(cause.message.replace(/^Redirected request failed: /, ''));
+        blocked.code = cause.code;
+        throw blocked;
+      }
+    }
+    if (error.response) throw new Error(`The site returned ${error.response.status}`);
+    if (error.code === 'ECONNABORTED') throw new Error(`No response within ${timeout / 1000} seconds`);
+    if (/maxContentLength/.test(error.message)) throw new Error(`Larger than ${maxBytes / 1024 / 1024} MB`);
+    throw new Error(error.code === 'ENOTFOUND' ? 'The host could not be found' : error.message);
+  }
+
+  const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const body = Buffer.from(response.data);
+  const retrievedAt = new Date().toISOString();
+  let snapshot;
+  let title = null;
+  let content;
+
+  if (contentType === 'application/pdf' || body.subarray(0, 5).toString() === '%PDF-') {
+    snapshot = snapshotName(url, '.pdf');
+    content = body;
+  } else if (/^text\/html|xhtml/.test(contentType) || (!contentType && /<html/i.test(body.toString('utf8', 0, 1000)))) {
+    const readable = readableHtml(body.toString('utf8'));
+    if (!readable.text) throw new Error('The page has no readable text');
+    title = readable.title;
+    snapshot = snapshotName(url, '.txt');
+    content = `${title ? `${title}\n` : ''}Source: ${url}\nRetrieved: ${retrievedAt}\n\n${readable.text}\n`;
+  } else if (/^text\/|json|xml/.test(contentType)) {
+    snapshot = snapshotName(url, '.txt');
+    content = `Source: ${url}\nRetrieved: ${retrievedAt}\n\n${body.toString('utf8')}`;
+  } else {
+    throw new Error(`Can't read ${contentType || 'this kind of'} content`);
+  }
+
+  await fs.mkdir(path.join(resourcesDir, SNAPSHOT_DIR), { recursive: true });
+  await fs.writeFile(path.join(resourcesDir, snapshot), content);
+  return { snapshot, retrievedAt, contentType: contentType || null, title, bytes: body.length };
+}
+
+module.exports = {
+  SNAPSHOT_DIR,
+  isHttpUrl,
+  isPrivateAddress,
+  snapshotUrl,
+  readableHtml
+};
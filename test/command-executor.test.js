@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCommand } = require('../lib/command-executor');
+
+const sitesDir = '/tmp/hax-sites';
+
+function rejected(command) {
+  const parsed = parseCommand(command, { sitesDir });
+  assert.equal(parsed.valid, false, `expected "${command}" to be rejected`);
+  return parsed.error;
+}
+
+test('parses an allowlisted command into argv without a shell', () => {
+  const parsed = parseCommand('hax site node:add --title "Week 1: Cells" --y', { sitesDir });
+  assert.equal(parsed.valid, true);
+  assert.equal(parsed.bin, 'hax');
+  assert.equal(parsed.verb, 'site node:add');
+  assert.deepEqual(parsed.args, ['site', 'node:add', '--title', 'Week 1 Cells', '--y']);
+});
+
+test('rejects shell operators', () => {
+  assert.equal(rejected('hax site start --name demo; rm -rf /'), 'shell operator ";" is not allowed');
+  assert.match(rejected('hax site start --name demo && ls'), /shell operator "&"/);
+  assert.match(rejected('hax site start --name $(whoami)'), /shell operator "\$"/);
+  assert.match(rejected('hax site start --name demo | cat'), /shell operator "\|"/);
+});
+
+test('rejects programs and verbs that are not allowlisted', () => {
+  assert.equal(rejected('rm -rf /'), '"rm" is not an allowed program (only hax commands can run)');
+  assert.equal(rejected('hax site delete --y'), '"hax site delete" is not an allowed HAX command');
+  assert.equal(rejected(''), 'empty command');
+});
+
+test('rejects options of the wrong type', () => {
+  assert.match(rejected('hax site start --name ../other'), /^--name must be a site name/);
+  assert.match(rejected('hax site node:add --title Intro --parent ../x'), /^--parent must be an identifier/);
+  assert.match(rejected('hax site site:surge --domain "evil.sh --token x"'), /^--domain must be a domain name/);
+  assert.match(rejected('hax site start --name demo --y=yes'), /^--y does not take a value/);
+});
+
+test('rejects unknown options and missing values', () => {
+  assert.equal(rejected('hax site start --name demo --bogus'), '--bogus is not allowed for "hax site start"');
+  assert.equal(rejected('hax site node:add --title'), '--title requires a value');
+  assert.equal(rejected('hax site node:add --y'), '--title is required for "hax site node:add"');
+});
+
+test('keeps read-site paths inside the sites directory', () => {
+  assert.match(rejected('cat ../../etc/passwd'), /must point inside the sites directory/);
+});
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ConversationStore, titleFromMessage } = require('../lib/conversation-store');
+
+let store;
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'conversations-'));
+  store = new ConversationStore(dir);
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+// What the AI processor does to the context history for one prompt
+function withExchange(history, prompt, answer) {
+  return history.concat({ role: 'user', content: prompt }, { role: 'assistant', content: answer }).slice(-20);
+}
+
+test('titles come from the first prompt', () => {
+  assert.equal(titleFromMessage('  add a page   about cells '), 'add a page about cells');
+});
+
+test('prompts in flight together both keep their messages and history', async () => {
+  const created = await store.create({ sessionId: 'session-1', siteName: 'demo' });
+  // Each prompt starts from its own copy, as two requests would
+  const first = await store.get(created.id);
+  const second = await store.get(created.id);
+
+  await Promise.all([
+    store.append(first, { userInput: 'add a page about cells', explanation: 'Planned Cells', history: withExchange(first.history, 'add a page about cells', 'Planned Cells') }),
+    store.append(second, { userInput: 'deploy site', explanation: 'Planned deploy', history: withExchange(second.history, 'deploy site', 'Planned deploy') })
+  ]);
+
+  const saved = await store.get(created.id);
+  assert.deepEqual(saved.messages.map(message => message.content),
+    ['add a page about cells', 'Planned Cells', 'deploy site', 'Planned deploy']);
+  assert.deepEqual(saved.history.map(entry => entry.content),
+    ['add a page about cells', 'Planned Cells', 'deploy site', 'Planned deploy']);
+  assert.equal(saved.title, 'add a page about cells');
+});
+
+test('a full history keeps only the newest entries', async () => {
+  let conversation = await store.create({ sessionId: 'session-2' });
+  for (let i = 1; i <= 12; i++) {
+    await store.append(conversation, { userInput: `prompt ${i}`, explanation: `answer ${i}`, history: withExchange(conversation.history, `prompt ${i}`, `answer ${i}`) });
+  }
+  conversation = await store.get(conversation.id);
+  assert.equal(conversation.history.length, 20);
+  assert.equal(conversation.history[0].content, 'prompt 3');
+  assert.equal(conversation.history[19].content, 'answer 12');
+  assert.equal(conversation.messages.length, 24);
+});
+
+test('renaming while a prompt is saved keeps both changes', async () => {
+  const created = await store.create({ sessionId: 'session-3' });
+  const copy = await store.get(created.id);
+  await Promise.all([
+    store.rename(created.id, 'Week 1'),
+    store.append(copy, { userInput: 'list pages', explanation: 'Intro', history: copy.history })
+  ]);
+
+  const saved = await store.get(created.id);
+  assert.equal(saved.title, 'Week 1');
+  assert.equal(saved.messages.length, 2);
+});
+
+test('changes to a missing conversation return null and write nothing', async () => {
+  const id = '00000000-0000-4000-8000-000000000000';
+  assert.equal(await store.rename(id, 'Nothing'), null);
+  await assert.rejects(fs.access(path.join(dir, `${id}.json`)));
+});
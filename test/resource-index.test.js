@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ResourceIndex, INDEX_FILE, tokenize, chunkText, citation } = require('../lib/resource-index');
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'resource-index-'));
+  await fs.writeFile(path.join(dir, 'java.txt'),
+    'Java classes use a constructor to set up new objects. The toString method describes an object.');
+  await fs.writeFile(path.join(dir, 'biology.md'),
+    '# Cells\n\nMitochondria produce energy for the cell. Ribosomes build proteins.');
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('tokenize drops stop words and possessives', () => {
+  assert.deepEqual(tokenize("Add a page about the cell's Energy"), ['cell', 'energy']);
+});
+
+test('chunkText splits long text into overlapping pieces', () => {
+  const text = Array.from({ length: 60 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+  const chunks = chunkText(text);
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.length <= 800));
+  const lastWords = chunks[0].split(' ').slice(-3).join(' ');
+  assert.ok(chunks[1].includes(lastWords), 'next chunk starts inside the previous one');
+});
+
+test('citation names the file and page or label', () => {
+  assert.equal(citation({ file: 'syllabus.pdf', page: 3 }), 'syllabus.pdf, p. 3');
+  assert.equal(citation({ file: 'deck.pptx', label: 'slide 4: Intro' }), 'deck.pptx, slide 4: Intro');
+  assert.equal(citation({ file: 'notes.txt' }), 'notes.txt');
+});
+
+test('ranks the chunks that match a query', async () => {
+  const results = await new ResourceIndex().search(dir, 'mitochondria energy');
+  assert.equal(results.length, 1);
+  assert.equal(results[0].file, 'biology.md');
+  assert.ok(results[0].score > 0);
+});
+
+test('finds words that are also Object.prototype names', async () => {
+  const index = new ResourceIndex();
+  for (const query of ['java constructor', 'tostring', 'valueof java', 'hasownproperty classes']) {
+    const results = await index.search(dir, query);
+    assert.deepEqual(results.map(result => result.file), ['java.txt'], query);
+  }
+});
+
+test('a saved index is reused and still searchable', async () => {
+  await new ResourceIndex().refresh(dir);
+  const saved = JSON.parse(await fs.readFile(path.join(dir, INDEX_FILE), 'utf8'));
+  assert.equal(saved.chunks.length, 2);
+
+  const results = await new ResourceIndex().search(dir, 'java constructor');
+  assert.deepEqual(results.map(result => result.file), ['java.txt']);
+});
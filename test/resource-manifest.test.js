@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ResourceManifest, MANIFEST_FILE, migrateManifest, validateManifest } = require('../lib/resource-manifest');
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'resource-manifest-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('upgrades a bare list of URLs from the PRAW scripts', () => {
+  const { manifest, from } = migrateManifest([{ url: 'https://example.edu/a', description: 'A' }]);
+  assert.equal(from, 0);
+  assert.equal(validateManifest(manifest).manifest.urls[0].description, 'A');
+});
+
+test('drops entries that are not http(s) URLs or plain file names', () => {
+  const { manifest, problems } = validateManifest({
+    version: 2,
+    urls: [{ url: 'javascript:alert(1)' }, { url: 'https://example.edu/a' }],
+    files: { '../secret.pdf': {}, 'notes.pdf': { tags: ['week 1', 'Week 1'] } }
+  });
+  assert.deepEqual(manifest.urls.map(entry => entry.url), ['https://example.edu/a']);
+  assert.deepEqual(Object.keys(manifest.files), ['notes.pdf']);
+  assert.deepEqual(manifest.files['notes.pdf'].tags, ['week 1']);
+  assert.equal(problems.length, 2);
+});
+
+test('updates that overlap a slow one are all kept', async () => {
+  const manifest = new ResourceManifest(path.join(dir, 'overlap'));
+  const slow = manifest.update(async resources => {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    resources.urls.push({ url: 'https://example.edu/slow' });
+  });
+  const notes = manifest.update(resources => {
+    resources.notes = 'Week 1 starts Monday';
+  });
+  await Promise.all([slow, notes]);
+
+  const saved = await manifest.load();
+  assert.equal(saved.notes, 'Week 1 starts Monday');
+  assert.deepEqual(saved.urls.map(entry => entry.url), ['https://example.edu/slow']);
+});
+
+test('an update that throws saves nothing and does not block the next one', async () => {
+  const manifest = new ResourceManifest(path.join(dir, 'throws'));
+  await assert.rejects(manifest.update(resources => {
+    resources.notes = 'half done';
+    throw new Error('not found');
+  }), { message: 'not found' });
+  await assert.rejects(fs.access(path.join(dir, 'throws', MANIFEST_FILE)));
+
+  const result = await manifest.update(resources => {
+    resources.notes = 'done';
+    return 'ok';
+  });
+  assert.equal(result, 'ok');
+  assert.equal((await manifest.load()).notes, 'done');
+});
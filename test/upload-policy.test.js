@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const { checkFileContents, storedFileName } = require('../lib/upload-policy');
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+let dir;
+
+async function writeFixture(name, content) {
+  const filePath = path.join(dir, name);
+  await fs.writeFile(filePath, content);
+  return filePath;
+}
+
+async function docx(extraParts = {}) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', '<Types/>');
+  zip.file('word/document.xml', '<w:document><w:body><w:p><w:r><w:t>Notes</w:t></w:r></w:p></w:body></w:document>');
+  for (const [name, content] of Object.entries(extraParts)) {
+    zip.file(name, content);
+  }
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-policy-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('accepts files whose bytes match their type', async () => {
+  await checkFileContents(await writeFixture('notes.pdf', '%PDF-1.7\n%%EOF\n'), 'notes.pdf', 'application/pdf');
+  await checkFileContents(await writeFixture('notes.docx', await docx()), 'notes.docx', DOCX_MIME);
+  await checkFileContents(await writeFixture('notes.md', '# Week 1\n'), 'notes.md', '');
+});
+
+test('refuses a PDF without the PDF header', async () => {
+  const filePath = await writeFixture('fake.pdf', 'MZ\x90\x00 this is really an executable');
+  await assert.rejects(checkFileContents(filePath, 'fake.pdf', 'application/pdf'),
+    { message: 'fake.pdf is not a valid PDF file', status: 415 });
+});
+
+test('refuses an Office file that is not a zip', async () => {
+  const filePath = await writeFixture('tool.docx', Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00]));
+  await assert.rejects(checkFileContents(filePath, 'tool.docx', DOCX_MIME), { message: 'tool.docx is not a valid DOCX file' });
+});
+
+test('refuses a zip that is not the format its name says', async () => {
+  const zip = new JSZip();
+  zip.file('readme.txt', 'just a zip');
+  const filePath = await writeFixture('archive.docx', await zip.generateAsync({ type: 'nodebuffer' }));
+  await assert.rejects(checkFileContents(filePath, 'archive.docx', DOCX_MIME), { message: 'archive.docx is not a valid DOCX file' });
+});
+
+test('refuses Office files with macros', async () => {
+  const filePath = await writeFixture('macro.docx', await docx({ 'word/vbaProject.bin': Buffer.from([0xd0, 0xcf, 0x11, 0xe0]) }));
+  await assert.rejects(checkFileContents(filePath, 'macro.docx', DOCX_MIME),
+    { message: "macro.docx contains macros, which aren't allowed in course resources", status: 415 });
+});
+
+test('refuses text files with binary content', async () => {
+  const filePath = await writeFixture('data.csv', Buffer.from('a,b\n\x00\x01\x02'));
+  await assert.rejects(checkFileContents(filePath, 'data.csv', 'text/csv'), { message: 'data.csv is not a valid CSV text file' });
+});
+
+test('refuses types that are not allowed or do not match the declared MIME type', async () => {
+  const exe = await writeFixture('tool.exe', 'MZ');
+  await assert.rejects(checkFileContents(exe, 'tool.exe', 'application/octet-stream'), { message: /is not a supported file type/, status: 415 });
+
+  const pdf = await writeFixture('sent-as-html.pdf', '%PDF-1.4\n');
+  await assert.rejects(checkFileContents(pdf, 'sent-as-html.pdf', 'text/html'),
+    { message: "sent-as-html.pdf was sent as text/html, which doesn't match its .pdf extension" });
+});
+
+test('stored file names are safe and unique', () => {
+  const taken = new Set(['week_1_notes.pdf']);
+  assert.equal(storedFileName('../Week 1 Notes.PDF', new Set()), 'Week_1_Notes.pdf');
+  assert.equal(storedFileName('week 1 notes.pdf', taken), 'week_1_notes-2.pdf');
+  assert.equal(storedFileName('.hidden.txt', new Set()), 'hidden.txt');
+});
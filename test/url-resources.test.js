@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { snapshotUrl, isPrivateAddress } = require('../lib/url-resources');
+
+const PAGE = `<!doctype html>
+<html><head><title>Week 1 &amp; Intro</title><script>track()</script></head>
+<body>
+  <nav><a href="/">Home</a> <a href="/about">About</a></nav>
+  <main><h1>Cell Biology</h1><p>Cells are the basic unit of life.</p></main>
+  <footer>Copyright University</footer>
+</body></html>`;
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\n%%EOF\n');
+
+// The fixture runs on localhost, which snapshotUrl otherwise refuses
+const local = { allowPrivate: true };
+
+let server;
+let baseUrl;
+let resourcesDir;
+let revision = 1;
+
+before(async () => {
+  resourcesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'url-resources-'));
+  server = http.createServer((req, res) => {
+    switch (req.url) {
+      case '/page':
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        return res.end(PAGE);
+      case '/notes.pdf':
+        res.writeHead(200, { 'Content-Type': 'application/pdf' });
+        return res.end(PDF);
+      case '/slow':
+        // Never answers; the client gives up first
+        return;
+      case '/large':
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        return res.end('x'.repeat(2 * 1024 * 1024));
+      case '/syllabus':
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        return res.end(`<html><body><main><p>Syllabus revision ${revision}</p></main></body></html>`);
+      default:
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end('Not found');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(resourcesDir, { recursive: true, force: true });
+});
+
+test('reduces an HTML page to its readable text', async () => {
+  const result = await snapshotUrl(`${baseUrl}/page`, resourcesDir, local);
+  assert.equal(result.contentType, 'text/html');
+  assert.equal(result.title, 'Week 1 & Intro');
+  assert.match(result.snapshot, /^web\/.+\.txt$/);
+
+  const text = await fs.readFile(path.join(resourcesDir, result.snapshot), 'utf8');
+  assert.match(text, /Cells are the basic unit of life\./);
+  assert.match(text, new RegExp(`Source: ${baseUrl}/page`));
+  assert.doesNotMatch(text, /track\(\)|Copyright University|<p>/);
+});
+
+test('keeps PDFs as they are', async () => {
+  const result = await snapshotUrl(`${baseUrl}/notes.pdf`, resourcesDir, local);
+  assert.equal(result.contentType, 'application/pdf');
+  assert.match(result.snapshot, /\.pdf$/);
+  assert.equal(result.bytes, PDF.length);
+  assert.deepEqual(await fs.readFile(path.join(resourcesDir, result.snapshot)), PDF);
+});
+
+test('reports the status when the site returns an error', async () => {
+  await assert.rejects(snapshotUrl(`${baseUrl}/missing`, resourcesDir, local), { message: 'The site returned 404' });
+});
+
+test('gives up on a site that does not answer', async () => {
+  await assert.rejects(snapshotUrl(`${baseUrl}/slow`, resourcesDir, { ...local, timeout: 200 }), { message: 'No response within 0.2 seconds' });
+});
+
+test('refuses responses over the size limit', async () => {
+  await assert.rejects(snapshotUrl(`${baseUrl}/large`, resourcesDir, { ...local, maxBytes: 1024 * 1024 }), { message: 'Larger than 1 MB' });
+});
+
+test('refuses URLs that are not http(s)', async () => {
+  await assert.rejects(snapshotUrl('file:///etc/passwd', resourcesDir), { message: 'Only http and https URLs can be fetched' });
+});
+
+test('refreshing a URL replaces its snapshot in place', async () => {
+  revision = 1;
+  const first = await snapshotUrl(`${baseUrl}/syllabus`, resourcesDir, local);
+  revision = 2;
+  const second = await snapshotUrl(`${baseUrl}/syllabus`, resourcesDir, local);
+
+  assert.equal(second.snapshot, first.snapshot);
+  const text = await fs.readFile(path.join(resourcesDir, second.snapshot), 'utf8');
+  assert.match(text, /Syllabus revision 2/);
+  assert.doesNotMatch(text, /Syllabus revision 1/);
+});
+
+test('refuses loopback, link-local and private addresses', async () => {
+  for (const [url, host] of [
+    [`${baseUrl}/page`, '127.0.0.1'],
+    ['http://169.254.169.254/latest/meta-data/', '169.254.169.254'],
+    ['http://10.0.0.5/', '10.0.0.5'],
+    ['http://[::1]/', '::1'],
+    ['http://2130706433/', '127.0.0.1']
+  ]) {
+    await assert.rejects(snapshotUrl(url, resourcesDir), { message: `${host} is a private or local address, which can't be added as a course resource` }, url);
+  }
+});
+
+test('checks the address a host name resolves to', async () => {
+  const url = `http://localhost:${server.address().port}/page`;
+  await assert.rejects(snapshotUrl(url, resourcesDir), { message: /^localhost \((127\.0\.0\.1|::1)\) is a private or local address/ });
+});
+
+test('isPrivateAddress knows the non-public ranges', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.0.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:7f00:1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '172.32.0.1', '192.0.2.10', '2606:4700::1']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});